@@ -29,10 +29,8 @@ server.on(
     tritonAuditLogger.createAuditLogHandler({
         log: log,
         resBody: {},
-        routeOverrides: {
-            oops: {
-                logLevel: 'error'
-            }
+        logLevelByStatus: {
+            '5xx': 'error'
         }
     })
 );
@@ -5,7 +5,7 @@
  */
 
 /*
- * Copyright (c) 2018, Joyent, Inc.
+ * Copyright 2026 Joyent, Inc.
  */
 
 /*
@@ -19,17 +19,28 @@
  *          ...options...
  *      }));
  *
+ * The same audit records can be logged for Express apps and plain node
+ * `http` servers, via the `createExpressAuditLogger` and
+ * `wrapRequestListener` adapters.
+ *
  * Features and differences:
  *
  * - Fine control on how and whether to log request and response bodies.
  *   `opts.reqBody` and `opts.resBody` can be used to independently control
  *   how the request and response bodies are logged. At its simplest,
- *   `{resBody: {}}`, will log response bodies, excluding buffers, excluding
- *   responses with GET requests with a 2xx status code, and will clip
- *   at 10k characters.
+ *   `{resBody: {}}`, will log response bodies, excluding responses with GET
+ *   requests with a 2xx status code, and will clip at 10k characters.
+ *   Binary bodies are logged as summaries with a SHA-256 digest.
+ *
+ *   Bodies can be handled by content type (pretty-printed JSON, multipart
+ *   part summaries, skipped) and content-encoded bodies decoded.
  *
  *   These replace `opts.body` from the default restify audit logger.
  *
+ * - A size budget for whole records (`opts.maxRecordSize`): over budget,
+ *   bodies, the error stack, timers and then non-essential headers are
+ *   clipped or dropped, and listed in a `truncated` field.
+ *
  * - This audit logger attempts to log the req/res bodies as close to the wire
  *   as possible. `res.body` is the *formatted* response body, as opposed
  *   to the default restify audit logger which logs the response body *object*
@@ -38,465 +49,85 @@
  *
  * - Logged records set `audit: true`.
  *   (Note that restify's audit logger sets that *and* `_audit: true`.)
+ *   Records match a versioned JSON Schema (`AUDIT_RECORD_SCHEMA`, see
+ *   record-schema.js), and carry its version in a `schemaVersion` field.
  *
  * - There is an optional `polish` function that can be passed in to customize
  *   audit log records just before they are logged by Bunyan.
  *
- * - Most options can be overridden per route name via `opts.routeOverrides`.
+ * - An ordered pipeline of `opts.enrichers`, each sync or returning a
+ *   promise (with a timeout), can add fields to records or drop them, e.g.
+ *   to look up an account login. Enricher errors are noted in the record,
+ *   not thrown.
  *
- * See the `createAuditLogHandler` block comment for specifics.
- */
-
-var assert = require('assert-plus');
-
-// Default maximum length for requests/responses body that are logged.
-var DEFAULT_BODY_MAX_LEN = 10 * 1024;
-
-// Avoid a bunyan package dependency by copying some code from Bunyan 1.8.12.
-var bunyanErrSerializer;
-var bunyanNameFromLevel;
-var bunyanResolveLevel;
-try {
-    var bunyan = require('bunyan');
-    bunyanErrSerializer = bunyan.stdSerializers.err;
-    bunyanNameFromLevel = bunyan.nameFromLevel;
-    bunyanResolveLevel = bunyan.resolveLevel;
-} catch (_bunyanImportErr) {
-    var format = require('util').format;
-
-    var getFullErrorStack = function _getFullErrorStack(ex) {
-        var ret = ex.stack || ex.toString();
-        if (ex.cause && typeof ex.cause === 'function') {
-            var cex = ex.cause();
-            if (cex) {
-                ret += '\nCaused by: ' + getFullErrorStack(cex);
-            }
-        }
-        return ret;
-    };
-
-    bunyanErrSerializer = function _errSerializer(err) {
-        if (!err || !err.stack) {
-            return err;
-        }
-        var obj = {
-            message: err.message,
-            name: err.name,
-            stack: getFullErrorStack(err),
-            code: err.code,
-            signal: err.signal
-        };
-        return obj;
-    };
-
-    var TRACE = 10;
-    var DEBUG = 20;
-    var INFO = 30;
-    var WARN = 40;
-    var ERROR = 50;
-    var FATAL = 60;
-
-    var levelFromName = {
-        trace: TRACE,
-        debug: DEBUG,
-        info: INFO,
-        warn: WARN,
-        error: ERROR,
-        fatal: FATAL
-    };
-    bunyanNameFromLevel = {};
-    Object.keys(levelFromName).forEach(function(name) {
-        bunyanNameFromLevel[levelFromName[name]] = name;
-    });
-
-    bunyanResolveLevel = function resolveLevel(nameOrNum) {
-        var level;
-        var type = typeof nameOrNum;
-        if (type === 'string') {
-            level = levelFromName[nameOrNum.toLowerCase()];
-            if (!level) {
-                throw new Error(format('unknown level name: "%s"', nameOrNum));
-            }
-        } else if (type !== 'number') {
-            throw new TypeError(
-                format(
-                    'cannot resolve level: invalid arg (%s):',
-                    type,
-                    nameOrNum
-                )
-            );
-        } else if (nameOrNum < 0 || Math.floor(nameOrNum) !== nameOrNum) {
-            throw new TypeError(
-                format('level is not a positive integer: %s', nameOrNum)
-            );
-        } else {
-            level = nameOrNum;
-        }
-        return level;
-    };
-}
-
-function auditBodyFromReq(req, bodyOpts) {
-    var auditBody;
-
-    if (bodyOpts === undefined) {
-        return undefined;
-    }
-
-    // We want the audit log to be as close as possible to the what is on
-    // the wire. Restify 5.x added support for `req.rawBody`
-    // (https://github.com/restify/node-restify/issues/928). We'll use that
-    // if available.
-    auditBody = req.hasOwnProperty('rawBody') ? req.rawBody : req.body;
-
-    if (!bodyOpts.include) {
-        auditBody = undefined;
-    } else if (!auditBody) {
-        /* jsl:pass */
-    } else if (Buffer.isBuffer(auditBody) && !bodyOpts.includeBuffers) {
-        auditBody = '<buffer>';
-    } else if (
-        typeof auditBody === 'string' &&
-        auditBody.length > bodyOpts.maxLen
-    ) {
-        auditBody =
-            auditBody.slice(0, bodyOpts.maxLen) +
-            '\n...<elided ' +
-            (auditBody.length - bodyOpts.maxLen) +
-            ' chars>';
-    }
-
-    return auditBody;
-}
-
-// Same as `auditBodyFromReq` plus:
-// - `req._body` is trickier
-// - handle `bodyOpts.includeGet2xx`.
-function auditBodyFromRes(res, bodyOpts) {
-    var auditBody;
-
-    if (bodyOpts === undefined) {
-        return undefined;
-    }
-
-    // We want the audit log to be as close as possible to the what is on
-    // the wire. That means we prefer the *formatted* response body (i.e. after
-    // the restify "formatter" has been applied). `res._data` holds this --
-    // at least that appears to be so in restify 4.x and 6.x code.
-    //
-    // This differs from the core restify audit logger that uses the
-    // *unformatted* response body:
-    //    if (res._body instanceof HttpError) {
-    //        auditBody = res._body.body;
-    //    } else {
-    //        auditBody = res._body;
-    //    }
-    //
-    // One reason we want the formatted body is that we can more realistically
-    // apply `maxLen`.
-    auditBody = res._data;
-
-    // In restify v4 (but not in restify v7), `res._data` would be set to
-    // `null` rather than a more appropriate `undefined`. Handle that here.
-    // Dev Note: If this proves problematic for an intended `null` body,
-    // then lets remove this hack for older restify versions.
-    if (auditBody === null) {
-        auditBody = undefined;
-    }
-
-    if (!bodyOpts.include) {
-        auditBody = undefined;
-    } else if (
-        !bodyOpts.includeGet2xx &&
-        res.req.method === 'GET' &&
-        res.statusCode >= 200 &&
-        res.statusCode < 300
-    ) {
-        auditBody = undefined;
-    } else if (!auditBody) {
-        /* jsl:pass */
-    } else if (Buffer.isBuffer(auditBody) && !bodyOpts.includeBuffers) {
-        auditBody = '<buffer>';
-    } else if (
-        typeof auditBody === 'string' &&
-        auditBody.length > bodyOpts.maxLen
-    ) {
-        auditBody =
-            auditBody.slice(0, bodyOpts.maxLen) +
-            '\n...<elided ' +
-            (auditBody.length - bodyOpts.maxLen) +
-            ' chars>';
-    }
-
-    return auditBody;
-}
-
-/**
- * Manually generates a POJO from `res.getHeaderNames` and `res.getHeader`,
- * if available, falling back to deprecated `res._headers`, otherwise.
- * Intentionally does not use `res.getHeaders` to avoid deserialization
- * issues with object returned by that method.
+ * - Sensitive headers (e.g. `Authorization`, `Cookie`) are redacted in the
+ *   logged record via `opts.redact.headers`, without modifying the live
+ *   request or response headers. Sensitive query parameters (e.g. signed URL
+ *   signatures) can be redacted in the logged URL and query via
+ *   `opts.redact.query`.
  *
- * See https://github.com/restify/node-restify/issues/1370
+ * - The logged request and response headers can be limited to allowlists,
+ *   or denylists, of names and globs (`opts.reqHeaders`, `opts.resHeaders`),
+ *   with long header values clipped.
  *
- * (This was lifted from restify v6.x's lib/plugins/audit.js.)
- */
-function getResponseHeaders(res) {
-    if (res.getHeaderNames && res.getHeader) {
-        return res.getHeaderNames().reduce(function reduce(prev, curr) {
-            var header = {};
-            header[curr] = res.getHeader(curr);
-            return Object.assign({}, prev, header);
-        }, {});
-    }
-    return res._headers;
-}
-
-/*
- * A "bodyOpts" is one of the `opts.reqBody` or `opts.resBody` options to
- * `createAuditLogHandler`.
- */
-function assertOptionalBodyOpts(bo, bodyName) {
-    if (!bo) {
-        return;
-    }
-    assert.optionalBool(bo.include, bodyName + '.include');
-    assert.optionalBool(bo.includeBuffers, bodyName + '.includeBuffers');
-    assert.optionalBool(bo.includeGet2xx, bodyName + '.includeGet2xx');
-    assert.optionalNumber(bo.maxLen, bodyName + '.maxLen');
-}
-
-/*
- * A `routeOpts` is one of the objects specified as values to
- * `opts.routeOverrides`. The top-level `opts` to `createAuditLogHandler`
- * is also a superset of `routeOpts`.
- */
-function assertRouteOpts(ro, routeName) {
-    assert.optionalBool(ro.include, routeName + '.include');
-    // logLevel is validated in `Normalize` section below.
-    assertOptionalBodyOpts(ro.reqBody, routeName + '.reqBody');
-    assertOptionalBodyOpts(ro.resBody, routeName + '.resBody');
-    assert.optionalFunc(ro.polish, routeName + '.polish');
-}
-
-function normalizeRouteOpts(ro, defaults) {
-    // - default 'ro.include' to true
-    if (ro.include === undefined) {
-        ro.include = true;
-    }
-    // - set `ro.logFnName`, default to "info"
-    if (ro.logLevel) {
-        ro.logFnName = bunyanNameFromLevel[bunyanResolveLevel(ro.logLevel)];
-        assert.string(
-            ro.logFnName,
-            'can resolve logLevel="' +
-                ro.logLevel +
-                '" to a Bunyan log level name'
-        );
-    } else {
-        ro.logFnName = 'info';
-    }
-    [ro.reqBody, ro.resBody].forEach(function(bodyOpt) {
-        if (bodyOpt) {
-            // - default `reqBody.include` and `resBody.include` to true
-            if (!bodyOpt.hasOwnProperty('include')) {
-                bodyOpt.include = true;
-            }
-            // - default `reqBody.maxLen` and `resBody.maxLen`
-            if (!bodyOpt.hasOwnProperty('maxLen')) {
-                bodyOpt.maxLen = DEFAULT_BODY_MAX_LEN;
-            }
-        }
-    });
-    // - inherit values from `defaultRouteOpts`
-    if (defaults) {
-        Object.keys(defaults).forEach(function(fieldName) {
-            if (ro[fieldName] === undefined) {
-                ro[fieldName] = defaults[fieldName];
-            }
-        });
-    }
-}
-
-// ---- API
-
-/**
- * Create an audit log handler.
+ * - The detail of a logged error can be chosen (`opts.errDetail`): no stack
+ *   for 4xx responses, a structured cause chain, the restify `restCode` and
+ *   client-facing error body, and VError `info()` fields.
+ *
+ * - The caller's identity (e.g. the account, sub-user and key fingerprint of
+ *   an HTTP Signature) can be logged as a structured `caller` field via
+ *   `opts.caller`.
+ *
+ * - Trace correlation fields (`trace_id`, `span_id`, `parent_span_id`,
+ *   `upstream_req_id`) from W3C Trace Context and request id headers, to join
+ *   the audit logs of services calling each other, via `opts.trace`.
+ *
+ * - Audit records can be written to other sinks than a Bunyan logger (a
+ *   rotated file, syslog, pino, a stream or a callback) via `opts.sinks`,
+ *   each with its own level filter.
+ *
+ * - Records can be hash chained (`opts.chain`) so that edited, deleted or
+ *   reordered records can be detected, with `verifyAuditLog()` or the
+ *   `triton-audit-verify` command.
+ *
+ * - In-process request metrics (`opts.metrics`), also covering requests
+ *   that aren't logged, as a JS snapshot or in the Prometheus text format.
+ *
+ * - Slow requests (`opts.slowThreshold`) are logged at a raised level with
+ *   a breakdown of handler timers, and an optional watchdog
+ *   (`opts.watchdog`) logs requests still in flight, e.g. hung requests.
+ *
+ * - Most options can be overridden per route name via `opts.routeOverrides`,
+ *   or for requests matching `opts.rules`, and changed at runtime with the
+ *   handler's `update()`, `setRouteOverride()` and `removeRouteOverride()`
+ *   methods.
+ *
+ * - Options are validated against a schema, reporting every invalid or
+ *   unknown option at once (`validateOptions()` checks options without
+ *   creating a handler), and can be loaded from a JSON config file
+ *   (`opts.configFile`, or a path in place of `opts`).
  *
- * @param {Object} opts:
- *      @param {Object} opts.log - A Bunyan logger on which to log. Required.
- *      @param {Boolean} opts.include - Whether to log at all. Default true.
- *      @param {String} opts.logLevel - The bunyan log level (either the name
- *          or the integer value) at which to log. Default is "info".
- *      @param {Object} opts.reqBody - Options for logging request bodies.
- *      @param {Object} opts.resBody - Options for logging response bodies.
- *          Each of `reqBody` and `resBody` are optional. If they are not
- *          specified then there is no body logging. To enable body logging with
- *          the defaults, specify an empty object: `reqBody: {}, reqBody: {},`.
- *          Each of `reqBody` and `resBody` may have the following fields.
- *          All fields are optional.
- *          - {Boolean} `include` - Whether to log the body. Default is true.
- *          - {Number} `maxLen` - The maximum length of body to log.
- *            Default is 10k.
- *          - {Boolean} `includeBuffers` - Whether to log the body even if it
- *            is a Buffer. By default buffers are logged as `<buffer>`.
- *          - {Boolean} `includeGet2xx` - Whether to include response bodies
- *            for "GET" requests with a success response code (i.e. 2xx).
- *            Default is false. The reasoning is that successful GET response
- *            bodies can tend to be large and uninteresting. This field is
- *            only relevant for `opts.resBody`.
- *      @param {Function} opts.polish - A *sync* function that is called for
- *          each audit log record just before the call to log it. Called as:
- *              `function (fields, req, res, route, err)`
- *          where `fields` is the Bunyan fields object being logged. It
- *          can be changed in-place (as could `req` et al) to "polish" the
- *          audit log record.
- *      @param {Object} opts.routeOverrides - A mapping of `route.name`
- *          (recall that restify, at least v4.x, lowercases `route.name`), to
- *          overrides for any of the above options, except `log`. E.g.:
- *              {
- *                  // Exclude "GetPing" requests.
- *                  'getping': {include: false}
- *                  // Log "GetConfig" requests at DEBUG-level.
- *                  'getconfig': {logLevel: 'debug'}
- *                  // See the first 300 chars of ListInstances responses.
- *                  'listinstances': {
- *                      resBody: {
- *                          includeGet2xx: true,
- *                          maxLen: 300
- *                      }
- *                  }
- *              }
- *          Dev Note: This function modifies the `routeOverrides` objects
- *          in-place.
- * @returns {Function} A restify handler intended for `server.on('after', ...)`.
+ * See the `createAuditor` block comment in core.js for specifics.
  */
-function createAuditLogHandler(opts) {
-    // Validate inputs.
-    assert.object(opts, 'opts');
-    assert.object(opts.log, 'opts.log');
-    assert.optionalObject(opts.routeOverrides, 'opts.routeOverrides');
-    var defaultRouteOpts = {
-        include: opts.include,
-        logLevel: opts.logLevel,
-        reqBody: opts.reqBody,
-        resBody: opts.resBody,
-        polish: opts.polish
-    };
-    assertRouteOpts(defaultRouteOpts, 'default');
-    var routeOptsFromName = opts.routeOverrides || {};
-    Object.keys(routeOptsFromName).forEach(function(name) {
-        assertRouteOpts(routeOptsFromName[name], 'routeOverrides.' + name);
-    });
-
-    // Normalize routeOpts objects.
-    normalizeRouteOpts(defaultRouteOpts);
-    Object.keys(routeOptsFromName).forEach(function(name) {
-        normalizeRouteOpts(routeOptsFromName[name], defaultRouteOpts);
-    });
-
-    function routeOptsFromRoute(route) {
-        return (
-            (route && route.name && routeOptsFromName[route.name]) ||
-            defaultRouteOpts
-        );
-    }
-
-    var errSerializer =
-        opts.log.serializers && opts.log.serializers.err
-            ? opts.log.serializers.err
-            : bunyanErrSerializer;
-    var log = opts.log.child({
-        audit: true,
-        serializers: {
-            err: errSerializer,
-            req: function auditReqSerializer(req) {
-                if (!req) {
-                    return false;
-                }
-
-                var routeOpts = routeOptsFromRoute(req.route);
-
-                var timers = {};
-                (req.timers || []).forEach(function(time) {
-                    var t = time.time;
-                    var _t = Math.floor(1000000 * t[0] + t[1] / 1000);
-                    // TODO: restify 6.x diff here to consider
-                    timers[time.name] = _t;
-                });
-
-                return {
-                    body: auditBodyFromReq(req, routeOpts.reqBody),
-                    // TODO: consider connectionState from restify 6.x here
-                    headers: req.headers,
-                    httpVersion: req.httpVersion,
-                    method: req.method,
-                    // account for native and queryParser plugin usage
-                    query:
-                        typeof req.query === 'function'
-                            ? req.query()
-                            : req.query,
-                    timers: timers,
-                    trailers: req.trailers,
-                    url: req.url,
-                    version: req.version()
-                };
-            },
-            res: function auditResSerializer(res) {
-                if (!res) {
-                    return false;
-                }
-
-                var routeOpts = routeOptsFromRoute(res.req.route);
-
-                return {
-                    body: auditBodyFromRes(res, routeOpts.resBody),
-                    headers: getResponseHeaders(res),
-                    statusCode: res.statusCode,
-                    trailer: res._trailer || false
-                };
-            }
-        }
-    });
-
-    function audit(req, res, route, err) {
-        var routeName = (route && route.name) || undefined;
-        var routeOpts = routeOptsFromRoute(route);
-
-        if (!routeOpts.include) {
-            return;
-        }
-
-        // TODO: 6.x diff here to accomodate.
-        var latency = res.get('Response-Time');
-        if (typeof latency !== 'number') {
-            latency = Date.now() - req._time;
-        }
-
-        var fields = {
-            err: err,
-            latency: latency,
-            remoteAddress: req.connection.remoteAddress,
-            remotePort: req.connection.remotePort,
-            req: req,
-            req_id: req.getId(),
-            res: res,
-            route: routeName,
-            secure: req.secure
-        };
-
-        if (routeOpts.polish) {
-            routeOpts.polish(fields, req, res, route, err);
-        }
-
-        log[routeOpts.logFnName](fields, 'handled: %d', res.statusCode);
-    }
 
-    return audit;
-}
+var chain = require('./chain');
+var express = require('./express');
+var http = require('./http');
+var options = require('./options');
+var recordSchema = require('./record-schema');
+var redact = require('./redact');
+var restify = require('./restify');
 
 // ---- exports
 
 module.exports = {
-    createAuditLogHandler: createAuditLogHandler
+    createAuditLogHandler: restify.createAuditLogHandler,
+    createExpressAuditLogger: express.createExpressAuditLogger,
+    wrapRequestListener: http.wrapRequestListener,
+    validateOptions: options.validateOptions,
+    verifyAuditLog: chain.verifyAuditLog,
+    validateAuditRecord: recordSchema.validateAuditRecord,
+    AUDIT_RECORD_SCHEMA: recordSchema.AUDIT_RECORD_SCHEMA,
+    AUDIT_RECORD_SCHEMA_VERSION: recordSchema.AUDIT_RECORD_SCHEMA_VERSION,
+    DEFAULT_REDACT_HEADERS: redact.DEFAULT_REDACT_HEADERS
 };
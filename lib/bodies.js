@@ -0,0 +1,331 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Content-type and content-encoding aware handling of logged bodies: the
+ * `contentTypes` and `decodeContentEncoding` fields of `reqBody` and
+ * `resBody`.
+ *
+ * A `contentTypes` option maps media types, or globs such as "text/*", to a
+ * policy for bodies of that type:
+ *
+ * - "raw": Log the body as is (clipped to `maxLen`). The default.
+ * - "pretty": Log a JSON body pretty-printed (then clipped to `maxLen`).
+ * - "parts": Log a "multipart/form-data" body as a summary of its parts:
+ *   `{multipart: true, parts: [{name, filename, contentType, length}]}`.
+ * - "summary": Log a summary of the body, as for Buffer bodies: `{buffer:
+ *   true, length, contentType, sha256}`.
+ * - "skip": Don't log the body.
+ */
+
+var assert = require('assert-plus');
+var zlib = require('zlib');
+
+var POLICIES = ['raw', 'pretty', 'parts', 'summary', 'skip'];
+
+// The largest decoded body for `decodeContentEncoding`, to guard against
+// decompression bombs. (Only enforced with node versions that support
+// zlib's `maxOutputLength`.)
+var MAX_DECODED_LENGTH = 10 * 1024 * 1024;
+
+// ---- internal support
+
+function mediaTypeFromContentType(contentType) {
+    return String(contentType)
+        .split(';')[0]
+        .trim()
+        .toLowerCase();
+}
+
+/*
+ * Convert a media type glob to a RegExp. `*` matches any characters except
+ * "/", e.g. "text/*" or "application/*+json".
+ */
+function regExpFromMediaTypeGlob(glob) {
+    var re = glob
+        .toLowerCase()
+        .split('*')
+        .map(function(s) {
+            return s.replace(/[-[\]{}()+?.,\\^$|#]/g, '\\$&');
+        })
+        .join('[^/]*');
+    return new RegExp('^' + re + '$');
+}
+
+function parseHeaderParams(value) {
+    var params = {};
+    var re = /;\s*([^=;\s]+)\s*=\s*(?:"([^"]*)"|([^;]*))/g;
+    var m;
+    while ((m = re.exec(value)) !== null) {
+        params[m[1].toLowerCase()] = m[2] !== undefined ? m[2] : m[3].trim();
+    }
+    return params;
+}
+
+/*
+ * Get a part's name, filename and content type from its headers.
+ */
+function partFromHeaders(headerText) {
+    var part = {
+        name: undefined,
+        filename: undefined,
+        contentType: 'text/plain'
+    };
+    headerText.split('\r\n').forEach(function(line) {
+        var colon = line.indexOf(':');
+        if (colon === -1) {
+            return;
+        }
+        var name = line
+            .slice(0, colon)
+            .trim()
+            .toLowerCase();
+        var value = line.slice(colon + 1).trim();
+        if (name === 'content-disposition') {
+            var params = parseHeaderParams(value);
+            part.name = params.name;
+            part.filename = params.filename;
+        } else if (name === 'content-type') {
+            part.contentType = value;
+        }
+    });
+    return part;
+}
+
+/*
+ * Parse the parts of a multipart body, without keeping their contents.
+ * A truncated body (e.g. a captured response prefix) gives the parts up to
+ * where it ends.
+ */
+function partsFromMultipartBuffer(buf, boundary) {
+    var delim = Buffer.from('--' + boundary);
+    var parts = [];
+    var pos = buf.indexOf(delim);
+
+    while (pos !== -1) {
+        var start = pos + delim.length;
+        if (buf.slice(start, start + 2).toString() === '--') {
+            break;
+        }
+        var next = buf.indexOf(delim, start);
+        var end = next === -1 ? buf.length : next;
+        var headerEnd = buf.indexOf('\r\n\r\n', start);
+        if (headerEnd === -1 || headerEnd > end) {
+            break;
+        }
+
+        var part = partFromHeaders(
+            buf.slice(start, headerEnd).toString('utf8')
+        );
+        // The part's content is followed by CRLF before the next delimiter.
+        part.length = Math.max(
+            0,
+            end - (headerEnd + 4) - (next === -1 ? 0 : 2)
+        );
+        parts.push(part);
+        pos = next;
+    }
+
+    return parts;
+}
+
+/*
+ * Summarize the fields and files of a multipart body already parsed by the
+ * framework, e.g. restify's multipart body parser, which leaves no raw body.
+ */
+function partsFromParsedReq(req) {
+    var parts = [];
+    if (
+        req.body &&
+        typeof req.body === 'object' &&
+        !Buffer.isBuffer(req.body)
+    ) {
+        Object.keys(req.body).forEach(function(name) {
+            parts.push({
+                name: name,
+                filename: undefined,
+                contentType: 'text/plain',
+                length: Buffer.byteLength(String(req.body[name]))
+            });
+        });
+    }
+    if (req.files && typeof req.files === 'object') {
+        Object.keys(req.files).forEach(function(name) {
+            var file = req.files[name];
+            parts.push({
+                name: name,
+                filename: file.name,
+                contentType: file.type,
+                length: file.size
+            });
+        });
+    }
+    return parts;
+}
+
+// ---- exports
+
+/*
+ * Validate a `contentTypes` body option and compile it to a function
+ * returning the policy for a Content-Type, or undefined if no entry
+ * matches. An exact media type takes precedence over globs, which are
+ * tried in order.
+ */
+function compileContentTypes(contentTypes, desc) {
+    assert.object(contentTypes, desc);
+
+    var exact = {};
+    var globs = [];
+    Object.keys(contentTypes).forEach(function(key) {
+        var policy = contentTypes[key];
+        assert.ok(
+            POLICIES.indexOf(policy) !== -1,
+            desc +
+                '["' +
+                key +
+                '"] is one of ' +
+                POLICIES.join(', ') +
+                ': ' +
+                JSON.stringify(policy)
+        );
+        if (key.indexOf('*') === -1) {
+            exact[key.toLowerCase()] = policy;
+        } else {
+            globs.push({re: regExpFromMediaTypeGlob(key), policy: policy});
+        }
+    });
+
+    return function policyFromContentType(contentType) {
+        if (!contentType) {
+            return undefined;
+        }
+        var mediaType = mediaTypeFromContentType(contentType);
+        if (exact.hasOwnProperty(mediaType)) {
+            return exact[mediaType];
+        }
+        for (var i = 0; i < globs.length; i++) {
+            if (globs[i].re.test(mediaType)) {
+                return globs[i].policy;
+            }
+        }
+        return undefined;
+    };
+}
+
+/*
+ * Decode a Buffer body with the given Content-Encoding ("gzip", "deflate"
+ * or, if supported by this node, "br"). Other bodies, and bodies that fail
+ * to decode (e.g. already decoded by the framework), are returned as is.
+ */
+function decodeBody(body, contentEncoding) {
+    if (!Buffer.isBuffer(body) || !contentEncoding) {
+        return body;
+    }
+
+    var zopts = {maxOutputLength: MAX_DECODED_LENGTH};
+    var encoding = String(contentEncoding)
+        .trim()
+        .toLowerCase();
+    try {
+        switch (encoding) {
+            case 'gzip':
+            case 'x-gzip':
+                if (body[0] === 0x1f && body[1] === 0x8b) {
+                    return zlib.gunzipSync(body, zopts);
+                }
+                break;
+            case 'deflate':
+                try {
+                    return zlib.inflateSync(body, zopts);
+                } catch (_zlibHeaderErr) {
+                    // Some clients send raw deflate data without the zlib
+                    // header.
+                    return zlib.inflateRawSync(body, zopts);
+                }
+            case 'br':
+                if (zlib.brotliDecompressSync) {
+                    return zlib.brotliDecompressSync(body, zopts);
+                }
+                break;
+            default:
+                break;
+        }
+    } catch (_decodeErr) {
+        /* jsl:pass */
+    }
+    return body;
+}
+
+/*
+ * Pretty-print a JSON body (a string, Buffer or object). A body that cannot
+ * be parsed is returned as is.
+ */
+function prettyJson(body) {
+    var obj = body;
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+        try {
+            obj = JSON.parse(body.toString());
+        } catch (_parseErr) {
+            return body;
+        }
+    }
+    return JSON.stringify(obj, null, 2);
+}
+
+/*
+ * Summarize a multipart body as its part names and sizes. `req` is given
+ * for request bodies, whose parts are taken from the framework's parsed
+ * `req.body` and `req.files` if the raw body isn't available.
+ *
+ * @returns {Object} `{multipart: true, parts: [...]}`, where each part is
+ *      `{name, filename, contentType, length}`; or undefined if there is no
+ *      body.
+ */
+function multipartSummary(body, contentType, req) {
+    var parts;
+    var boundary = parseHeaderParams(String(contentType || '')).boundary;
+
+    if ((typeof body === 'string' || Buffer.isBuffer(body)) && boundary) {
+        parts = partsFromMultipartBuffer(
+            Buffer.isBuffer(body) ? body : Buffer.from(body),
+            boundary
+        );
+    } else if (req) {
+        parts = partsFromParsedReq(req);
+    }
+
+    if (!parts) {
+        return undefined;
+    }
+    return {multipart: true, parts: parts};
+}
+
+/*
+ * Clip a logged body string to `maxLen` characters, marking the clipped
+ * body with the number of characters elided. `numElided` is the number of
+ * characters already missing from the end of the body, if any.
+ */
+function elideString(s, maxLen, numElided) {
+    return (
+        s.slice(0, maxLen) +
+        '\n...<elided ' +
+        (Math.max(0, s.length - maxLen) + (numElided || 0)) +
+        ' chars>'
+    );
+}
+
+module.exports = {
+    POLICIES: POLICIES,
+    compileContentTypes: compileContentTypes,
+    decodeBody: decodeBody,
+    elideString: elideString,
+    multipartSummary: multipartSummary,
+    prettyJson: prettyJson
+};
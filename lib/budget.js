@@ -0,0 +1,211 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * A size budget for whole audit records (`opts.maxRecordSize`), for log
+ * shippers that drop large records.
+ *
+ * The size of a record is the length in bytes of its JSON serialization. A
+ * record over budget has these pieces clipped or dropped, in order, until it
+ * fits:
+ *
+ * 1. The bodies, `req.body` and `res.body`, largest first. A body is clipped
+ *    (object bodies by their serialized length), or dropped if clipping it
+ *    isn't enough.
+ * 2. The error stack: `err.stack`.
+ * 3. The timers: `req.timers`, then `timerBreakdown`.
+ * 4. Non-essential headers (all but `ESSENTIAL_HEADERS`), largest first,
+ *    from `req.headers` and `res.headers`.
+ *
+ * A `truncated` field is added listing what was clipped or dropped, e.g.
+ * `["res.body", "err.stack", "req.headers"]`. A record still over budget
+ * after all this is logged as it is.
+ */
+
+var bodies = require('./bodies');
+
+// Headers kept when shedding headers, to identify the request.
+var ESSENTIAL_HEADERS = [
+    'accept-version',
+    'content-length',
+    'content-type',
+    'host',
+    'location',
+    'request-id',
+    'user-agent',
+    'x-api-version',
+    'x-forwarded-for',
+    'x-request-id'
+];
+
+// Bytes to allow for the "...<elided N chars>" marker on a clipped body.
+var ELISION_ALLOWANCE = 32;
+
+// ---- internal support
+
+function jsonSize(val) {
+    return Buffer.byteLength(JSON.stringify(val));
+}
+
+function isObject(val) {
+    return val !== null && typeof val === 'object';
+}
+
+/*
+ * Clip a body to make it at least `numBytes` shorter when serialized, or
+ * return undefined if it can't be clipped that much.
+ */
+function clipBody(body, numBytes) {
+    var s;
+    if (typeof body === 'string') {
+        s = body;
+    } else if (isObject(body) && !Buffer.isBuffer(body)) {
+        s = JSON.stringify(body);
+    } else {
+        return undefined;
+    }
+
+    // The serialized length to clip to. An object body gets longer as a
+    // string (quotes are escaped), so this is from its current length.
+    var targetLen = jsonSize(body) - numBytes - ELISION_ALLOWANCE;
+    // Assume the characters kept take their share of the serialized length.
+    var encodedLen = jsonSize(s);
+    var keep = Math.floor((s.length * targetLen) / encodedLen);
+    if (keep <= 0) {
+        return undefined;
+    }
+    return bodies.elideString(s, keep, 0);
+}
+
+/*
+ * The non-essential headers of the record's `req` and `res`, largest first,
+ * as `{name, headers, header, size}`.
+ */
+function sheddableHeaders(rec) {
+    var candidates = [];
+    ['req', 'res'].forEach(function(name) {
+        var hdrs = isObject(rec[name]) ? rec[name].headers : undefined;
+        if (!isObject(hdrs)) {
+            return;
+        }
+        // A copy, as the headers object may be the live `req.headers`.
+        var copy = {};
+        Object.keys(hdrs).forEach(function(header) {
+            copy[header] = hdrs[header];
+            if (ESSENTIAL_HEADERS.indexOf(header.toLowerCase()) === -1) {
+                candidates.push({
+                    name: name + '.headers',
+                    headers: copy,
+                    header: header,
+                    size: jsonSize([header, hdrs[header]])
+                });
+            }
+        });
+        rec[name].headers = copy;
+    });
+    return candidates.sort(function(a, b) {
+        return b.size - a.size;
+    });
+}
+
+// ---- exports
+
+/*
+ * Clip or drop pieces of a record over `maxRecordSize` bytes (see the top
+ * comment), in place. The record's `req`, `res` and `err` are expected to
+ * be serialized already, i.e. not the live request objects.
+ *
+ * @param {Object} rec - The record.
+ * @param {Number} maxRecordSize - The budget in bytes.
+ */
+function fitRecord(rec, maxRecordSize) {
+    var truncated = [];
+
+    function overBy() {
+        if (truncated.length > 0) {
+            rec.truncated = truncated;
+        }
+        return jsonSize(rec) - maxRecordSize;
+    }
+    function shed(name) {
+        truncated.push(name);
+        return overBy();
+    }
+
+    var over = overBy();
+    if (over <= 0) {
+        return;
+    }
+
+    // 1. The bodies, largest first.
+    ['req', 'res']
+        .filter(function(name) {
+            return isObject(rec[name]) && rec[name].body !== undefined;
+        })
+        .sort(function(a, b) {
+            return jsonSize(rec[b].body) - jsonSize(rec[a].body);
+        })
+        .forEach(function(name) {
+            var obj = rec[name];
+            if (over <= 0) {
+                return;
+            }
+            over = shed(name + '.body');
+            var clipped = clipBody(obj.body, over);
+            if (clipped !== undefined) {
+                obj.body = clipped;
+                over = overBy();
+            }
+            if (over > 0 || clipped === undefined) {
+                delete obj.body;
+                over = overBy();
+            }
+        });
+
+    // 2. The error stack.
+    if (over > 0 && isObject(rec.err) && rec.err.stack !== undefined) {
+        var err = {};
+        Object.keys(rec.err).forEach(function(key) {
+            if (key !== 'stack') {
+                err[key] = rec.err[key];
+            }
+        });
+        rec.err = err;
+        over = shed('err.stack');
+    }
+
+    // 3. The timers.
+    if (over > 0 && isObject(rec.req) && rec.req.timers !== undefined) {
+        delete rec.req.timers;
+        over = shed('req.timers');
+    }
+    if (over > 0 && rec.timerBreakdown !== undefined) {
+        delete rec.timerBreakdown;
+        over = shed('timerBreakdown');
+    }
+
+    // 4. Non-essential headers.
+    if (over > 0) {
+        var candidates = sheddableHeaders(rec);
+        for (var i = 0; i < candidates.length && over > 0; i++) {
+            var c = candidates[i];
+            if (truncated.indexOf(c.name) === -1) {
+                over = shed(c.name);
+            }
+            delete c.headers[c.header];
+            over -= c.size;
+        }
+    }
+}
+
+module.exports = {
+    ESSENTIAL_HEADERS: ESSENTIAL_HEADERS,
+    fitRecord: fitRecord
+};
@@ -0,0 +1,164 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Extraction of the caller's identity for the `caller` field of audit
+ * records (`opts.caller`).
+ *
+ * An extractor is a function `function (req)` returning an object describing
+ * the caller, or undefined if it doesn't apply to the request. The built-in
+ * extractors are:
+ *
+ * - "signature": From an HTTP Signature "Authorization" header, with a
+ *   Triton `keyId` of "/<account>/keys/<fingerprint>" or
+ *   "/<account>/users/<user>/keys/<fingerprint>":
+ *   `{scheme: 'signature', account, user, fingerprint, keyId}`. `user` is
+ *   only set for sub-users. Other `keyId`s give `{scheme, keyId}`.
+ * - "basic": From a Basic "Authorization" header:
+ *   `{scheme: 'basic', username}`. The password is never logged.
+ */
+
+var assert = require('assert-plus');
+
+var common = require('./common');
+
+// ---- internal support
+
+/*
+ * Split an "Authorization" header value into its scheme (lowercased) and
+ * credentials, or return undefined.
+ */
+function authFromReq(req) {
+    var value = req.headers && req.headers.authorization;
+    if (typeof value !== 'string') {
+        return undefined;
+    }
+    var auth = common.authFromValue(value);
+    if (!auth) {
+        return undefined;
+    }
+    return {scheme: auth.scheme.toLowerCase(), credentials: auth.credentials};
+}
+
+function callerFromSignature(req) {
+    var auth = authFromReq(req);
+    if (!auth || auth.scheme !== 'signature') {
+        return undefined;
+    }
+    var keyId = common.keyIdFromSignature(auth.credentials);
+    if (keyId === undefined) {
+        return undefined;
+    }
+
+    var caller = {scheme: 'signature'};
+    var parts = keyId.split('/');
+    // ['', account, 'keys', fingerprint] or
+    // ['', account, 'users', user, 'keys', fingerprint]
+    if (parts.length === 4 && parts[0] === '' && parts[2] === 'keys') {
+        caller.account = common.safeDecodeURIComponent(parts[1]);
+        caller.fingerprint = common.safeDecodeURIComponent(parts[3]);
+    } else if (
+        parts.length === 6 &&
+        parts[0] === '' &&
+        parts[2] === 'users' &&
+        parts[4] === 'keys'
+    ) {
+        caller.account = common.safeDecodeURIComponent(parts[1]);
+        caller.user = common.safeDecodeURIComponent(parts[3]);
+        caller.fingerprint = common.safeDecodeURIComponent(parts[5]);
+    }
+    caller.keyId = keyId;
+    return caller;
+}
+
+function callerFromBasic(req) {
+    var auth = authFromReq(req);
+    if (!auth || auth.scheme !== 'basic') {
+        return undefined;
+    }
+    var decoded = Buffer.from(auth.credentials.trim(), 'base64').toString(
+        'utf8'
+    );
+    var colon = decoded.indexOf(':');
+    if (colon <= 0) {
+        return undefined;
+    }
+    return {scheme: 'basic', username: decoded.slice(0, colon)};
+}
+
+var EXTRACTORS = {
+    signature: callerFromSignature,
+    basic: callerFromBasic
+};
+
+// The extractors used for `caller: true`.
+var DEFAULT_EXTRACTORS = ['signature', 'basic'];
+
+// ---- exports
+
+/*
+ * Validate the `opts.caller` option and compile it to a function
+ * `function (req)` returning the caller for a request, or undefined.
+ *
+ * @param {Boolean|Function|Array} callerOpt - `true` for the built-in
+ *      extractors ("signature", then "basic"); or an extractor function; or
+ *      an array of built-in extractor names and extractor functions, tried
+ *      in order until one returns a caller.
+ * @param {String} desc - Description of the option for error messages.
+ * @returns {Function} Or undefined if `callerOpt` is undefined or false.
+ */
+function compileCaller(callerOpt, desc) {
+    if (callerOpt === undefined || callerOpt === false) {
+        return undefined;
+    }
+
+    var specs;
+    if (callerOpt === true) {
+        specs = DEFAULT_EXTRACTORS;
+    } else if (typeof callerOpt === 'function') {
+        specs = [callerOpt];
+    } else {
+        assert.array(callerOpt, desc);
+        specs = callerOpt;
+    }
+
+    var extractors = specs.map(function(spec, i) {
+        if (typeof spec === 'function') {
+            return spec;
+        }
+        assert.ok(
+            typeof spec === 'string' && EXTRACTORS.hasOwnProperty(spec),
+            desc +
+                '[' +
+                i +
+                '] is a function or one of ' +
+                Object.keys(EXTRACTORS).join(', ') +
+                ': ' +
+                JSON.stringify(spec)
+        );
+        return EXTRACTORS[spec];
+    });
+
+    return function callerFromReq(req) {
+        for (var i = 0; i < extractors.length; i++) {
+            var caller = extractors[i](req);
+            if (caller !== undefined && caller !== null) {
+                return caller;
+            }
+        }
+        return undefined;
+    };
+}
+
+module.exports = {
+    callerFromBasic: callerFromBasic,
+    callerFromSignature: callerFromSignature,
+    compileCaller: compileCaller
+};
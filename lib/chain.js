@@ -0,0 +1,600 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Tamper-evident hash chaining of audit records (`opts.chain`).
+ *
+ * Each record logged by an auditor gets these fields:
+ *
+ * - `chainId`: A random id for the chain, new for each auditor (i.e. for each
+ *   process start).
+ * - `seq`: The record's sequence number in the chain, starting at 0.
+ * - `hmac`: The hex HMAC, keyed with the contents of the secret file, over
+ *   the previous record's `hmac` (an empty string for the first record), a
+ *   newline, and the canonical JSON serialization (sorted keys) of the
+ *   record without its `name`, `v`, `src` and `hmac` fields. (Those are left
+ *   out because Bunyan loggers set them themselves.)
+ *
+ * The first record of a chain (`seq` 0) is a chain-start marker with
+ * `chainStart: true` and msg "audit chain start". It is logged just before
+ * the first audit record, to the same sinks. A verifier can then tell a
+ * process restart (a new chain) from deleted records.
+ *
+ * With a `stateFile`, the `chainId`, `seq` and `hmac` of the last record
+ * signed are saved to that file, and the chain-start marker of the next
+ * chain (e.g. after a restart) links back to them with `prevChainId`,
+ * `prevSeq` and `prevDigest`. A verifier can then tell that the last records
+ * of the previous chain, or the whole previous chain, were deleted. The
+ * state is saved asynchronously, at most every `STATE_SAVE_INTERVAL` ms and
+ * on `close()`, so after a crash the link may point a few records before the
+ * end of the previous chain: records after it can then be deleted undetected.
+ *
+ * The chain covers all records logged by the auditor, so verify the output of
+ * a sink without a `level` filter. Deleting the *last* records of the
+ * current chain cannot be detected, nor can deleting the last records of a
+ * chain without a `stateFile`.
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var format = require('util').format;
+var fs = require('fs');
+
+var logfile = require('./logfile');
+
+var DEFAULT_ALGORITHM = 'sha256';
+
+// Interval (ms) at which the chain state is saved to `stateFile`.
+var STATE_SAVE_INTERVAL = 100;
+
+// How far (in records) before the end of the previous chain a chain-start
+// marker may link, as when the chain state wasn't saved before a crash.
+var MAX_LINK_LAG = 1000;
+
+// Record fields not covered by the HMAC.
+var UNSIGNED_FIELDS = ['name', 'v', 'src', 'hmac'];
+
+// ---- internal support
+
+/*
+ * JSON serialization with object keys sorted, so that the serialization of a
+ * record doesn't depend on the field order of the logger that wrote it.
+ */
+function canonicalJson(val) {
+    if (Array.isArray(val)) {
+        return '[' + val.map(canonicalJson).join(',') + ']';
+    } else if (val !== null && typeof val === 'object') {
+        return (
+            '{' +
+            Object.keys(val)
+                .sort()
+                .map(function(key) {
+                    return JSON.stringify(key) + ':' + canonicalJson(val[key]);
+                })
+                .join(',') +
+            '}'
+        );
+    }
+    return JSON.stringify(val);
+}
+
+function digestFromRec(key, algorithm, prevDigest, rec) {
+    // Round-trip through JSON to get the record as it is read back, e.g.
+    // `time` as a string and without undefined fields.
+    var signed = JSON.parse(JSON.stringify(rec));
+    UNSIGNED_FIELDS.forEach(function(field) {
+        delete signed[field];
+    });
+    return crypto
+        .createHmac(algorithm, key)
+        .update(prevDigest + '\n' + canonicalJson(signed))
+        .digest('hex');
+}
+
+function assertChainOpts(chainOpts, desc) {
+    assert.object(chainOpts, desc);
+    assert.optionalString(chainOpts.secretFile, desc + '.secretFile');
+    assert.ok(
+        chainOpts.secretFile || Buffer.isBuffer(chainOpts.key),
+        desc + '.secretFile is required'
+    );
+    assert.optionalString(chainOpts.stateFile, desc + '.stateFile');
+    assert.optionalString(chainOpts.algorithm, desc + '.algorithm');
+    var algorithm = chainOpts.algorithm || DEFAULT_ALGORITHM;
+    assert.ok(
+        crypto.getHashes().indexOf(algorithm) !== -1,
+        desc + '.algorithm is a supported hash algorithm: ' + algorithm
+    );
+}
+
+function keyFromChainOpts(chainOpts, desc) {
+    if (chainOpts.key) {
+        return chainOpts.key;
+    }
+    var key = fs.readFileSync(chainOpts.secretFile);
+    assert.ok(key.length > 0, desc + '.secretFile is not empty');
+    return key;
+}
+
+/*
+ * Read the last record signed by a previous chain from a state file, as
+ * `{chainId, seq, digest}`, or undefined if there is none yet.
+ */
+function readChainState(stateFile, desc) {
+    var content;
+    try {
+        content = fs.readFileSync(stateFile, 'utf8');
+    } catch (readErr) {
+        if (readErr.code === 'ENOENT') {
+            return undefined;
+        }
+        throw readErr;
+    }
+    var state;
+    try {
+        state = JSON.parse(content);
+    } catch (_parseErr) {
+        state = null;
+    }
+    assert.ok(
+        state !== null &&
+            typeof state === 'object' &&
+            typeof state.chainId === 'string' &&
+            typeof state.seq === 'number' &&
+            typeof state.digest === 'string',
+        format('%s.stateFile is a chain state file: %s', desc, stateFile)
+    );
+    return state;
+}
+
+// ---- chaining
+
+/*
+ * @param {Object} chainOpts - The `opts.chain` option.
+ *      @param {String} chainOpts.secretFile - Path to a file whose contents
+ *          are the HMAC key. It is read once, synchronously.
+ *      @param {String} chainOpts.stateFile - Optional. Path to a file in
+ *          which to save the last record signed, to link the next chain to
+ *          this one. It is read once, synchronously. It is written
+ *          asynchronously (to a temporary file that is then renamed), at
+ *          most every `STATE_SAVE_INTERVAL` ms and on `close()`.
+ *      @param {String} chainOpts.algorithm - The HMAC hash algorithm.
+ *          Default "sha256".
+ * @param {String} desc - Description of `chainOpts` for error messages.
+ * @param {Function} onStateError - Optional. `function (err)` called when
+ *      saving the state file fails, once until it succeeds again. Records
+ *      are still signed.
+ */
+function AuditChain(chainOpts, desc, onStateError) {
+    assertChainOpts(chainOpts, desc);
+    assert.optionalFunc(onStateError, 'onStateError');
+    this.key = keyFromChainOpts(chainOpts, desc);
+    this.algorithm = chainOpts.algorithm || DEFAULT_ALGORITHM;
+    this.stateFile = chainOpts.stateFile;
+    this.prevState = this.stateFile
+        ? readChainState(this.stateFile, desc)
+        : undefined;
+    this.onStateError = onStateError;
+    this.stateErr = null;
+    // The state yet to be saved, and the pending save.
+    this.unsavedState = null;
+    this.saveTimer = null;
+    this.saving = false;
+    this.onSaved = [];
+    this.id = crypto.randomBytes(16).toString('hex');
+    this.seq = 0;
+    this.prevDigest = '';
+}
+
+/*
+ * Whether the chain-start marker is yet to be logged.
+ */
+AuditChain.prototype.isStart = function isStart() {
+    return this.seq === 0;
+};
+
+/*
+ * The fields of the chain-start marker: `chainStart`, and the link to the
+ * previous chain, if any.
+ */
+AuditChain.prototype.startFields = function startFields() {
+    var fields = {chainStart: true};
+    if (this.prevState) {
+        fields.prevChainId = this.prevState.chainId;
+        fields.prevSeq = this.prevState.seq;
+        fields.prevDigest = this.prevState.digest;
+    }
+    return fields;
+};
+
+/*
+ * Add the `chainId`, `seq` and `hmac` fields to a record, in-place. The
+ * record must be complete (including `time`), as it is about to be written.
+ */
+AuditChain.prototype.sign = function sign(rec) {
+    rec.chainId = this.id;
+    rec.seq = this.seq++;
+    rec.hmac = digestFromRec(this.key, this.algorithm, this.prevDigest, rec);
+    this.prevDigest = rec.hmac;
+    if (this.stateFile) {
+        this.unsavedState = {
+            chainId: rec.chainId,
+            seq: rec.seq,
+            digest: rec.hmac
+        };
+        this._scheduleSave();
+    }
+};
+
+AuditChain.prototype._scheduleSave = function _scheduleSave() {
+    var self = this;
+    if (self.saveTimer || self.saving) {
+        return;
+    }
+    self.saveTimer = setTimeout(function onSaveTimer() {
+        self.saveTimer = null;
+        self._saveState();
+    }, STATE_SAVE_INTERVAL);
+    self.saveTimer.unref();
+};
+
+/*
+ * Save the latest state, if not already saved. Saves don't overlap: a
+ * state signed during a save is saved after it.
+ */
+AuditChain.prototype._saveState = function _saveState() {
+    var self = this;
+    var state = self.unsavedState;
+    if (!state) {
+        self._onSaved();
+        return;
+    }
+    self.unsavedState = null;
+    self.saving = true;
+
+    var tmpFile = self.stateFile + '.tmp';
+    fs.writeFile(tmpFile, JSON.stringify(state), function onWritten(writeErr) {
+        if (writeErr) {
+            onDone(writeErr);
+            return;
+        }
+        fs.rename(tmpFile, self.stateFile, onDone);
+    });
+
+    function onDone(saveErr) {
+        self.saving = false;
+        if (saveErr) {
+            if (!self.stateErr && self.onStateError) {
+                self.onStateError(saveErr);
+            }
+            self.stateErr = saveErr;
+        } else {
+            self.stateErr = null;
+        }
+        if (self.onSaved.length > 0) {
+            // Closing: save any state signed meanwhile now.
+            self._saveState();
+        } else if (self.unsavedState) {
+            self._scheduleSave();
+        }
+    }
+};
+
+AuditChain.prototype._onSaved = function _onSaved() {
+    var onSaved = this.onSaved;
+    this.onSaved = [];
+    onSaved.forEach(function(cb) {
+        cb();
+    });
+};
+
+/*
+ * Save the chain state now, then call `cb()`.
+ */
+AuditChain.prototype.close = function close(cb) {
+    if (this.saveTimer) {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+    }
+    this.onSaved.push(cb);
+    if (!this.saving) {
+        this._saveState();
+    }
+};
+
+// ---- verification
+
+function noteLastRecord(chain, rec) {
+    chain.lastSeq = rec.seq;
+    chain.recentDigests[rec.seq] = rec.hmac;
+    delete chain.recentDigests[rec.seq - MAX_LINK_LAG];
+}
+
+/*
+ * A verifier of chained audit records. Feed it log lines with `addLine()` or
+ * parsed records with `addRec()`, in the order they were logged (e.g. for
+ * rotated log files, oldest file first), then call `end()` for the report.
+ *
+ * Lines that aren't JSON, and records without `audit: true`, are skipped:
+ * the audit log may be shared with a service's other logging. Several chains
+ * (e.g. one per process start) are verified independently.
+ *
+ * Problems found are objects with `problem`, `chainId` and `seq` fields,
+ * and `line` (the 1-based line number) and `file` where known:
+ *
+ * - "modified": The record's `hmac` doesn't match its contents and the
+ *   previous record's `hmac`. The record, or its predecessor's `hmac`, was
+ *   edited.
+ * - "gap": Records are missing. `seq` is the first missing sequence number
+ *   and `endSeq` the last.
+ * - "reordered": The record appears after a later record of its chain.
+ * - "duplicate": A record with this sequence number was already seen.
+ * - "missingChainStart": The first record seen for a chain isn't its
+ *   chain-start marker. Expected when verifying a rotated log file without
+ *   the earlier files.
+ * - "unchained": An audit record without the chain fields.
+ * - "truncated": The last records of a chain, before the next chain
+ *   started, are missing. `chainId` is the truncated chain, `seq` the first
+ *   missing sequence number and `endSeq` the last.
+ * - "missingPrevChain": The chain-start marker links to a previous chain
+ *   (`prevChainId`) of which no records were seen. The whole previous chain
+ *   was deleted, or, for the first chain, the earlier files weren't given.
+ * - "brokenLink": The chain-start marker links to a previous chain whose
+ *   last records don't include a match (`prevSeq` and `prevDigest`). The
+ *   link may point up to `MAX_LINK_LAG` records before the end of the
+ *   previous chain (see `STATE_SAVE_INTERVAL`).
+ *
+ * @param {Object} opts
+ *      @param {String} opts.secretFile - The secret file used for logging.
+ *      @param {Buffer} opts.key - Alternatively, the key itself.
+ *      @param {String} opts.algorithm - The HMAC hash algorithm. Default
+ *          "sha256".
+ */
+function AuditChainVerifier(opts) {
+    assertChainOpts(opts, 'opts');
+    this.key = keyFromChainOpts(opts, 'opts');
+    this.algorithm = opts.algorithm || DEFAULT_ALGORITHM;
+    this.chains = {};
+    this.chainIds = [];
+    this.problems = [];
+    this.numLines = 0;
+    this.numRecords = 0;
+}
+
+/*
+ * @param {String} line - A log line.
+ * @param {String} file - Optional. The log file, for problem reports.
+ * @param {Number} lineNum - Optional. The line number, for problem reports.
+ */
+AuditChainVerifier.prototype.addLine = function addLine(line, file, lineNum) {
+    this.numLines++;
+    if (line[0] !== '{') {
+        return;
+    }
+    var rec;
+    try {
+        rec = JSON.parse(line);
+    } catch (_parseErr) {
+        return;
+    }
+    this.addRec(rec, file, lineNum);
+};
+
+/*
+ * @param {Object} rec - A parsed log record.
+ * @param {String} file - Optional. The log file, for problem reports.
+ * @param {Number} line - Optional. The line number, for problem reports.
+ */
+AuditChainVerifier.prototype.addRec = function addRec(rec, file, line) {
+    if (!rec || rec.audit !== true) {
+        return;
+    }
+    this.numRecords++;
+
+    var self = this;
+    function problem(name, seq) {
+        var p = {problem: name, chainId: rec.chainId, seq: seq};
+        if (file !== undefined) {
+            p.file = file;
+        }
+        if (line !== undefined) {
+            p.line = line;
+        }
+        self.problems.push(p);
+    }
+
+    if (
+        typeof rec.chainId !== 'string' ||
+        typeof rec.seq !== 'number' ||
+        typeof rec.hmac !== 'string'
+    ) {
+        problem('unchained', undefined);
+        return;
+    }
+
+    var chain = self.chains[rec.chainId];
+    if (!chain) {
+        chain = self.chains[rec.chainId] = {
+            expectedSeq: 0,
+            prevDigest: '',
+            missing: {},
+            // The last record seen, i.e. with the highest `seq`, and the
+            // digests of the last `MAX_LINK_LAG` records, by `seq`.
+            lastSeq: -1,
+            recentDigests: {},
+            // The link to the previous chain from the chain-start marker.
+            link: null
+        };
+        self.chainIds.push(rec.chainId);
+        if (!rec.chainStart || rec.seq !== 0) {
+            // We can't check this record's HMAC without its predecessor.
+            problem('missingChainStart', rec.seq);
+            chain.expectedSeq = rec.seq + 1;
+            chain.prevDigest = rec.hmac;
+            noteLastRecord(chain, rec);
+            return;
+        }
+    }
+
+    if (rec.seq > chain.lastSeq) {
+        noteLastRecord(chain, rec);
+    }
+    if (rec.chainStart && rec.seq === 0 && rec.prevChainId !== undefined) {
+        // The previous chain may not have been fully read yet, so the link
+        // is checked in `end()`.
+        chain.link = {
+            prevChainId: rec.prevChainId,
+            prevSeq: rec.prevSeq,
+            prevDigest: rec.prevDigest,
+            file: file,
+            line: line
+        };
+    }
+
+    if (rec.seq === chain.expectedSeq) {
+        var digest = digestFromRec(
+            self.key,
+            self.algorithm,
+            chain.prevDigest,
+            rec
+        );
+        if (digest !== rec.hmac) {
+            problem('modified', rec.seq);
+        }
+    } else if (rec.seq > chain.expectedSeq) {
+        // Records are missing (or will turn up later, out of order). This
+        // record's HMAC can't be checked without its predecessor.
+        for (var s = chain.expectedSeq; s < rec.seq; s++) {
+            chain.missing[s] = true;
+        }
+    } else if (chain.missing[rec.seq]) {
+        delete chain.missing[rec.seq];
+        problem('reordered', rec.seq);
+        return;
+    } else {
+        problem('duplicate', rec.seq);
+        return;
+    }
+
+    chain.expectedSeq = rec.seq + 1;
+    chain.prevDigest = rec.hmac;
+};
+
+/*
+ * @returns {Object} A report with `numLines`, `numRecords` (audit records),
+ *      `chainIds` (in order of first appearance), `problems` and `ok`
+ *      (true if there are no problems).
+ */
+AuditChainVerifier.prototype.end = function end() {
+    var self = this;
+
+    // Missing records that never turned up are gaps.
+    self.chainIds.forEach(function(chainId) {
+        var missing = Object.keys(self.chains[chainId].missing)
+            .map(Number)
+            .sort(function(a, b) {
+                return a - b;
+            });
+        var gap = null;
+        missing.forEach(function(seq) {
+            if (gap && seq === gap.endSeq + 1) {
+                gap.endSeq = seq;
+            } else {
+                gap = {
+                    problem: 'gap',
+                    chainId: chainId,
+                    seq: seq,
+                    endSeq: seq
+                };
+                self.problems.push(gap);
+            }
+        });
+    });
+
+    // Check the links between chains.
+    self.chainIds.forEach(function(chainId) {
+        var link = self.chains[chainId].link;
+        if (!link) {
+            return;
+        }
+        var p;
+        var prevChain = self.chains[link.prevChainId];
+        if (!prevChain) {
+            p = {problem: 'missingPrevChain', chainId: chainId, seq: 0};
+            p.prevChainId = link.prevChainId;
+        } else if (prevChain.lastSeq < link.prevSeq) {
+            p = {
+                problem: 'truncated',
+                chainId: link.prevChainId,
+                seq: prevChain.lastSeq + 1,
+                endSeq: link.prevSeq
+            };
+        } else if (prevChain.recentDigests[link.prevSeq] !== link.prevDigest) {
+            p = {problem: 'brokenLink', chainId: chainId, seq: 0};
+            p.prevChainId = link.prevChainId;
+        } else {
+            return;
+        }
+        if (link.file !== undefined) {
+            p.file = link.file;
+        }
+        if (link.line !== undefined) {
+            p.line = link.line;
+        }
+        self.problems.push(p);
+    });
+
+    return {
+        numLines: self.numLines,
+        numRecords: self.numRecords,
+        chainIds: self.chainIds,
+        problems: self.problems,
+        ok: self.problems.length === 0
+    };
+};
+
+/*
+ * Verify the chained audit records in log files.
+ *
+ * @param {Object} opts - Options for `AuditChainVerifier`, plus:
+ *      @param {Array} opts.paths - Log file paths, in the order they were
+ *          written (e.g. for rotated log files, oldest first). Gzipped files
+ *          are gunzipped.
+ *      @param {Object} opts.stream - Alternatively, a readable stream of log
+ *          lines.
+ * @param {Function} cb - `function (err, report)`. See
+ *      `AuditChainVerifier.prototype.end` for the report.
+ */
+function verifyAuditLog(opts, cb) {
+    assert.object(opts, 'opts');
+    assert.func(cb, 'cb');
+
+    var verifier = new AuditChainVerifier(opts);
+    logfile.forEachLogLine(
+        opts,
+        function onLine(line, file, lineNum) {
+            verifier.addLine(line, file, lineNum);
+        },
+        function onRead(err) {
+            if (err) {
+                cb(err);
+            } else {
+                cb(null, verifier.end());
+            }
+        }
+    );
+}
+
+module.exports = {
+    AuditChain: AuditChain,
+    AuditChainVerifier: AuditChainVerifier,
+    canonicalJson: canonicalJson,
+    verifyAuditLog: verifyAuditLog
+};
@@ -0,0 +1,99 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Helpers shared by several modules: parsing of "Authorization"-style header
+ * values, and matching of names (header or query parameter names) against
+ * names and globs.
+ */
+
+var assert = require('assert-plus');
+
+// ---- internal support
+
+/*
+ * Convert a lowercase name glob to a RegExp. `*` matches any characters.
+ */
+function regExpFromNameGlob(glob) {
+    var re = glob
+        .split('*')
+        .map(function(s) {
+            return s.replace(/[-[\]{}()+?.,\\^$|#]/g, '\\$&');
+        })
+        .join('.*');
+    return new RegExp('^' + re + '$');
+}
+
+// ---- exports
+
+function safeDecodeURIComponent(s) {
+    try {
+        return decodeURIComponent(s);
+    } catch (_decodeErr) {
+        return s;
+    }
+}
+
+/*
+ * Split an "Authorization"-style header value, "<scheme> <credentials>"
+ * (RFC 7235), into `{scheme, credentials}`, with the scheme as sent. Returns
+ * undefined for other values.
+ */
+function authFromValue(value) {
+    var match = /^\s*([A-Za-z0-9!#$%&'*+.^_`|~-]+)\s+(.*)$/.exec(value);
+    if (!match) {
+        return undefined;
+    }
+    return {scheme: match[1], credentials: match[2]};
+}
+
+/*
+ * The `keyId` parameter of HTTP Signature credentials, or undefined.
+ */
+function keyIdFromSignature(credentials) {
+    var match = /(?:^|[\s,])keyId="([^"]*)"/.exec(credentials);
+    return match ? match[1] : undefined;
+}
+
+/*
+ * Compile names and globs (where "*" matches any characters) to a function
+ * testing a lowercase name, e.g. a header name. Names are compared
+ * case-insensitively.
+ */
+function compileNames(names, desc) {
+    assert.arrayOfString(names, desc);
+
+    var exact = {};
+    var globs = [];
+    names.forEach(function(name) {
+        var lname = name.toLowerCase();
+        if (lname.indexOf('*') === -1) {
+            exact[lname] = true;
+        } else {
+            globs.push(regExpFromNameGlob(lname));
+        }
+    });
+
+    return function matchName(lname) {
+        return (
+            exact.hasOwnProperty(lname) ||
+            globs.some(function(re) {
+                return re.test(lname);
+            })
+        );
+    };
+}
+
+module.exports = {
+    authFromValue: authFromValue,
+    compileNames: compileNames,
+    keyIdFromSignature: keyIdFromSignature,
+    safeDecodeURIComponent: safeDecodeURIComponent
+};
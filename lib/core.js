@@ -0,0 +1,2022 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * The framework-agnostic core of the audit logger: option handling and
+ * building and logging audit records. The framework adapters (restify.js,
+ * express.js, http.js) gather the framework-specific details of a request
+ * (request id, latency, timers, the response body) into an "exchange" object
+ * and pass it to `auditor.audit(exchange)`.
+ *
+ * See the top comment in audit-logger.js for an overview.
+ */
+
+var assert = require('assert-plus');
+var crypto = require('crypto');
+var format = require('util').format;
+var os = require('os');
+
+var bodies = require('./bodies');
+var budget = require('./budget');
+var caller = require('./caller');
+var chain = require('./chain');
+var common = require('./common');
+var enrich = require('./enrich');
+var errors = require('./errors');
+var headers = require('./headers');
+var metrics = require('./metrics');
+var options = require('./options');
+var recordSchema = require('./record-schema');
+var redact = require('./redact');
+var rules = require('./rules');
+var sinks = require('./sinks');
+var throttle = require('./throttle');
+var trace = require('./trace');
+var watchdog = require('./watchdog');
+
+// Default maximum length for requests/responses body that are logged.
+var DEFAULT_BODY_MAX_LEN = 10 * 1024;
+
+// The options that can be overridden per route.
+var ROUTE_OPTS_NAMES = [
+    'include',
+    'logLevel',
+    'logLevelByStatus',
+    'errLogLevel',
+    'slowThreshold',
+    'slowLogLevel',
+    'reqBody',
+    'resBody',
+    'polish',
+    'enrichers',
+    'redact',
+    'reqHeaders',
+    'resHeaders',
+    'sample',
+    'rateLimit',
+    'errDetail'
+];
+
+// The options that can be changed on a live auditor, with `update()`.
+var UPDATABLE_OPTS_NAMES = ROUTE_OPTS_NAMES.concat(['rules', 'routeOverrides']);
+
+// Avoid a bunyan package dependency by copying some code from Bunyan 1.8.12.
+var bunyanErrSerializer;
+var bunyanNameFromLevel;
+var bunyanResolveLevel;
+try {
+    var bunyan = require('bunyan');
+    bunyanErrSerializer = bunyan.stdSerializers.err;
+    bunyanNameFromLevel = bunyan.nameFromLevel;
+    bunyanResolveLevel = bunyan.resolveLevel;
+} catch (_bunyanImportErr) {
+    var getFullErrorStack = function _getFullErrorStack(ex) {
+        var ret = ex.stack || ex.toString();
+        if (ex.cause && typeof ex.cause === 'function') {
+            var cex = ex.cause();
+            if (cex) {
+                ret += '\nCaused by: ' + getFullErrorStack(cex);
+            }
+        }
+        return ret;
+    };
+
+    bunyanErrSerializer = function _errSerializer(err) {
+        if (!err || !err.stack) {
+            return err;
+        }
+        var obj = {
+            message: err.message,
+            name: err.name,
+            stack: getFullErrorStack(err),
+            code: err.code,
+            signal: err.signal
+        };
+        return obj;
+    };
+
+    var TRACE = 10;
+    var DEBUG = 20;
+    var INFO = 30;
+    var WARN = 40;
+    var ERROR = 50;
+    var FATAL = 60;
+
+    var levelFromName = {
+        trace: TRACE,
+        debug: DEBUG,
+        info: INFO,
+        warn: WARN,
+        error: ERROR,
+        fatal: FATAL
+    };
+    bunyanNameFromLevel = {};
+    Object.keys(levelFromName).forEach(function(name) {
+        bunyanNameFromLevel[levelFromName[name]] = name;
+    });
+
+    bunyanResolveLevel = function resolveLevel(nameOrNum) {
+        var level;
+        var type = typeof nameOrNum;
+        if (type === 'string') {
+            level = levelFromName[nameOrNum.toLowerCase()];
+            if (!level) {
+                throw new Error(format('unknown level name: "%s"', nameOrNum));
+            }
+        } else if (type !== 'number') {
+            throw new TypeError(
+                format(
+                    'cannot resolve level: invalid arg (%s):',
+                    type,
+                    nameOrNum
+                )
+            );
+        } else if (nameOrNum < 0 || Math.floor(nameOrNum) !== nameOrNum) {
+            throw new TypeError(
+                format('level is not a positive integer: %s', nameOrNum)
+            );
+        } else {
+            level = nameOrNum;
+        }
+        return level;
+    };
+}
+
+/*
+ * Summarize a Buffer body for logging, rather than logging its bytes:
+ *
+ *      {
+ *          buffer: true,
+ *          length: <total body length in bytes>,
+ *          contentType: <the Content-Type, if any>,
+ *          sha256: <hex SHA-256 digest of the body>,
+ *          preview: <the first bytes, with `bodyOpts.bufferPreview`>,
+ *          previewEncoding: <"hex" or "base64">
+ *      }
+ *
+ * `sha256` is omitted if the body is incomplete (`numElided`) and no
+ * `digest` of the whole body was computed while capturing it.
+ */
+function summaryFromBuffer(buf, bodyOpts, numElided, contentType, digest) {
+    var summary = {
+        buffer: true,
+        length: buf.length + numElided,
+        contentType: contentType ? String(contentType) : undefined,
+        sha256: digest
+    };
+    if (!summary.sha256 && !numElided) {
+        summary.sha256 = crypto
+            .createHash('sha256')
+            .update(buf)
+            .digest('hex');
+    }
+
+    var preview = bodyOpts.bufferPreview;
+    if (preview) {
+        var encoding = preview.encoding || 'hex';
+        summary.preview = buf
+            .slice(0, Math.min(preview.length, bodyOpts.maxLen))
+            .toString(encoding);
+        summary.previewEncoding = encoding;
+    }
+
+    return summary;
+}
+
+/*
+ * Clip a Buffer body logged with `bodyOpts.includeBuffers` to `maxLen`
+ * bytes. As a Buffer can't end with an "...<elided N chars>" marker, as a
+ * clipped string does, a clipped Buffer is logged as:
+ *
+ *      {
+ *          buffer: true,
+ *          length: <total body length in bytes>,
+ *          clipped: true,
+ *          data: <the first `maxLen` bytes>
+ *      }
+ */
+function clipBuffer(buf, maxLen, numElided) {
+    if (buf.length <= maxLen && !numElided) {
+        return buf;
+    }
+    return {
+        buffer: true,
+        length: buf.length + numElided,
+        clipped: true,
+        data: buf.slice(0, maxLen)
+    };
+}
+
+/*
+ * Apply `bodyOpts.includeBuffers` and `bodyOpts.maxLen` to a body to be
+ * logged. `numElided` is the number of trailing bytes of the body that are
+ * already missing, e.g. for a response body captured up to a limit.
+ * `contentType` and `digest` (the SHA-256 digest of the whole body, if
+ * known) are for Buffer summaries.
+ */
+function clipAuditBody(auditBody, bodyOpts, numElided, contentType, digest) {
+    if (!auditBody) {
+        /* jsl:pass */
+    } else if (Buffer.isBuffer(auditBody) && !bodyOpts.includeBuffers) {
+        auditBody = summaryFromBuffer(
+            auditBody,
+            bodyOpts,
+            numElided,
+            contentType,
+            digest
+        );
+    } else if (Buffer.isBuffer(auditBody)) {
+        auditBody = clipBuffer(auditBody, bodyOpts.maxLen, numElided);
+    } else if (
+        typeof auditBody === 'string' &&
+        (auditBody.length > bodyOpts.maxLen || numElided)
+    ) {
+        auditBody = bodies.elideString(auditBody, bodyOpts.maxLen, numElided);
+    } else if (typeof auditBody === 'object') {
+        // E.g. restify 4.x's parsed `req.body`: clip it by its serialized
+        // length.
+        var serialized = JSON.stringify(auditBody);
+        if (serialized.length > bodyOpts.maxLen) {
+            auditBody = bodies.elideString(serialized, bodyOpts.maxLen, 0);
+        }
+    }
+
+    return auditBody;
+}
+
+/*
+ * Get the `contentTypes` policy for a body (see bodies.js).
+ */
+function bodyPolicy(bodyOpts, contentType) {
+    return (
+        (bodyOpts.policyFromContentType &&
+            bodyOpts.policyFromContentType(contentType)) ||
+        'raw'
+    );
+}
+
+/*
+ * The "parts" and "summary" policies log an object describing the body,
+ * which isn't clipped: clipping it to `maxLen` would log it as a truncated
+ * JSON string, losing e.g. its `sha256`.
+ */
+function isSummaryPolicy(policy) {
+    return policy === 'parts' || policy === 'summary';
+}
+
+/*
+ * Decode a body per its Content-Encoding, for `decodeContentEncoding`.
+ * A decoded body of a text content type is returned as a string.
+ */
+function decodeAuditBody(auditBody, contentEncoding, contentType) {
+    var decoded = bodies.decodeBody(auditBody, contentEncoding);
+    if (decoded !== auditBody && isTextContentType(contentType)) {
+        decoded = decoded.toString('utf8');
+    }
+    return decoded;
+}
+
+/*
+ * Apply a "pretty", "parts" or "summary" body policy (see bodies.js).
+ * Bodies are otherwise returned as is, for `clipAuditBody`. Objects made
+ * by the "parts" and "summary" policies aren't clipped.
+ */
+function applyBodyPolicy(auditBody, policy, bodyOpts, ctx) {
+    switch (policy) {
+        case 'pretty':
+            if (auditBody && !ctx.numElided) {
+                auditBody = bodies.prettyJson(auditBody);
+            }
+            break;
+        case 'parts':
+            auditBody = bodies.multipartSummary(
+                auditBody,
+                ctx.contentType,
+                ctx.req
+            );
+            break;
+        case 'summary':
+            if (auditBody) {
+                auditBody = summaryFromBuffer(
+                    Buffer.isBuffer(auditBody)
+                        ? auditBody
+                        : Buffer.from(
+                              typeof auditBody === 'string'
+                                  ? auditBody
+                                  : JSON.stringify(auditBody)
+                          ),
+                    bodyOpts,
+                    ctx.numElided,
+                    ctx.contentType,
+                    ctx.digest
+                );
+            }
+            break;
+        default:
+            break;
+    }
+    return auditBody;
+}
+
+function auditBodyFromReq(req, bodyOpts) {
+    var auditBody;
+    var contentType = req.headers['content-type'];
+
+    if (bodyOpts === undefined) {
+        return undefined;
+    }
+
+    // We want the audit log to be as close as possible to the what is on
+    // the wire. Restify 5.x added support for `req.rawBody`
+    // (https://github.com/restify/node-restify/issues/928). We'll use that
+    // if available.
+    auditBody = req.hasOwnProperty('rawBody') ? req.rawBody : req.body;
+
+    var policy = bodyPolicy(bodyOpts, contentType);
+    if (!bodyOpts.include || policy === 'skip') {
+        return undefined;
+    }
+
+    if (bodyOpts.decodeContentEncoding) {
+        auditBody = decodeAuditBody(
+            auditBody,
+            req.headers['content-encoding'],
+            contentType
+        );
+    }
+
+    // Redaction must happen before clipping to `maxLen`, else a clipped JSON
+    // body could not be parsed.
+    if (
+        bodyOpts.redact &&
+        auditBody &&
+        (policy === 'raw' || policy === 'pretty')
+    ) {
+        auditBody = redact.redactBody(auditBody, contentType, bodyOpts);
+    }
+
+    auditBody = applyBodyPolicy(auditBody, policy, bodyOpts, {
+        req: req,
+        contentType: contentType,
+        numElided: 0
+    });
+
+    if (isSummaryPolicy(policy)) {
+        return auditBody;
+    }
+    return clipAuditBody(auditBody, bodyOpts, 0, contentType);
+}
+
+// Same as `auditBodyFromReq` plus:
+// - the response body comes from the adapter (`exchange.resBody`) or
+//   from capturing what was written to the response
+// - handle `bodyOpts.includeGet2xx`.
+function auditBodyFromRes(exchange, bodyOpts) {
+    var auditBody;
+    var numElided = 0;
+    var res = exchange.res;
+    var contentType = res.getHeader('content-type');
+    var contentEncoding = res.getHeader('content-encoding');
+
+    if (bodyOpts === undefined) {
+        return undefined;
+    }
+
+    auditBody = exchange.resBody;
+    if (auditBody === undefined && exchange.capture) {
+        auditBody = bodyFromCapture(
+            exchange.capture,
+            contentType,
+            contentEncoding
+        );
+        numElided = exchange.capture.length - exchange.capture.numCaptured;
+    }
+    var digest =
+        exchange.resBody === undefined && exchange.capture
+            ? digestFromCapture(exchange.capture)
+            : undefined;
+
+    var policy = bodyPolicy(bodyOpts, contentType);
+    if (!bodyOpts.include || policy === 'skip') {
+        return undefined;
+    } else if (
+        !bodyOpts.includeGet2xx &&
+        exchange.req.method === 'GET' &&
+        res.statusCode >= 200 &&
+        res.statusCode < 300
+    ) {
+        return undefined;
+    }
+
+    // A partially captured body cannot be decoded.
+    if (bodyOpts.decodeContentEncoding && !numElided) {
+        auditBody = decodeAuditBody(auditBody, contentEncoding, contentType);
+    }
+
+    if (
+        bodyOpts.redact &&
+        auditBody &&
+        (policy === 'raw' || policy === 'pretty')
+    ) {
+        if (!numElided) {
+            auditBody = redact.redactBody(auditBody, contentType, bodyOpts);
+        } else if (
+            redact.isJsonContentType(contentType) &&
+            bodyOpts.redactParseFailure !== 'log'
+        ) {
+            // A partially captured JSON body cannot be parsed for redaction.
+            auditBody = undefined;
+        }
+    }
+
+    auditBody = applyBodyPolicy(auditBody, policy, bodyOpts, {
+        contentType: contentType,
+        numElided: numElided,
+        digest: digest
+    });
+
+    if (isSummaryPolicy(policy)) {
+        return auditBody;
+    }
+    return clipAuditBody(auditBody, bodyOpts, numElided, contentType, digest);
+}
+
+function isTextContentType(contentType) {
+    if (!contentType) {
+        return true;
+    }
+    var mediaType = String(contentType)
+        .split(';')[0]
+        .trim()
+        .toLowerCase();
+    return (
+        /^text\//.test(mediaType) ||
+        /[/+](json|xml|javascript|x-www-form-urlencoded)$/.test(mediaType)
+    );
+}
+
+/*
+ * Capture (up to `limit` bytes of) the response body written with
+ * `res.write()` and `res.end()` (which includes bodies piped to `res`), by
+ * wrapping those methods. Only the first `limit` bytes are kept.
+ *
+ * @returns {Object} A "capture" object with fields: `chunks` (the captured
+ *      Buffers), `numCaptured` (bytes captured), `length` (total bytes
+ *      written), `numWrites` (the number of `res.write()` calls) and, for
+ *      binary content types, `hash` (a SHA-256 hash of all bytes written).
+ */
+function captureResponse(res, limit) {
+    var capture = {
+        chunks: [],
+        numCaptured: 0,
+        length: 0,
+        numWrites: 0,
+        hash: undefined,
+        digest: undefined
+    };
+    var origWrite = res.write;
+    var origEnd = res.end;
+
+    function record(chunk, encoding) {
+        if (
+            chunk === undefined ||
+            chunk === null ||
+            typeof chunk === 'function'
+        ) {
+            return;
+        }
+        var buf = Buffer.isBuffer(chunk)
+            ? chunk
+            : Buffer.from(
+                  String(chunk),
+                  typeof encoding === 'string' ? encoding : 'utf8'
+              );
+        // Binary bodies are hashed as they are written, for the SHA-256 of
+        // Buffer summaries (see `summaryFromBuffer`).
+        if (capture.hash === undefined) {
+            capture.hash =
+                limit > 0 && !isTextContentType(res.getHeader('content-type'))
+                    ? crypto.createHash('sha256')
+                    : null;
+        }
+        if (capture.hash) {
+            capture.hash.update(buf);
+        }
+        capture.length += buf.length;
+        if (capture.numCaptured < limit) {
+            var part = buf.slice(0, limit - capture.numCaptured);
+            capture.chunks.push(part);
+            capture.numCaptured += part.length;
+        }
+    }
+
+    res.write = function auditCaptureWrite(chunk, encoding) {
+        capture.numWrites++;
+        record(chunk, encoding);
+        return origWrite.apply(res, arguments);
+    };
+    res.end = function auditCaptureEnd(chunk, encoding) {
+        record(chunk, encoding);
+        return origEnd.apply(res, arguments);
+    };
+
+    return capture;
+}
+
+/*
+ * Whether the response body was streamed: written with `res.write()` (e.g.
+ * piped from a stream), rather than formatted by the framework (restify's
+ * `res.send()`, which the adapter gives as `exchange.resBody`) or sent with
+ * a single `res.end()`.
+ */
+function isStreamedResponse(exchange) {
+    return Boolean(
+        exchange.capture &&
+            exchange.capture.numWrites > 0 &&
+            exchange.resBody === undefined
+    );
+}
+
+/*
+ * Get the hex SHA-256 digest of a captured binary response body.
+ */
+function digestFromCapture(capture) {
+    if (capture.digest === undefined && capture.hash) {
+        capture.digest = capture.hash.digest('hex');
+    }
+    return capture.digest;
+}
+
+/*
+ * Get the captured response body: a string for text content types (unless
+ * content-encoded, e.g. gzipped), else a Buffer.
+ */
+function bodyFromCapture(capture, contentType, contentEncoding) {
+    if (capture.length === 0) {
+        return undefined;
+    }
+    var buf = Buffer.concat(capture.chunks, capture.numCaptured);
+    var isEncoded = Boolean(contentEncoding) && contentEncoding !== 'identity';
+    return isTextContentType(contentType) && !isEncoded
+        ? buf.toString('utf8')
+        : buf;
+}
+
+/**
+ * Manually generates a POJO from `res.getHeaderNames` and `res.getHeader`,
+ * if available, falling back to deprecated `res._headers`, otherwise.
+ * Intentionally does not use `res.getHeaders` to avoid deserialization
+ * issues with object returned by that method.
+ *
+ * See https://github.com/restify/node-restify/issues/1370
+ *
+ * (This was lifted from restify v6.x's lib/plugins/audit.js.)
+ */
+function getResponseHeaders(res) {
+    if (res.getHeaderNames && res.getHeader) {
+        return res.getHeaderNames().reduce(function reduce(prev, curr) {
+            var header = {};
+            header[curr] = res.getHeader(curr);
+            return Object.assign({}, prev, header);
+        }, {});
+    }
+    return res._headers;
+}
+
+/*
+ * Apply a compiled `reqHeaders` or `resHeaders` option, if any, to the
+ * (redacted) headers to log.
+ */
+function selectHeaders(selectFn, hdrs) {
+    return selectFn ? selectFn(hdrs) : hdrs;
+}
+
+function logFnNameFromLevel(level, optName) {
+    var logFnName = bunyanNameFromLevel[bunyanResolveLevel(level)];
+    assert.string(
+        logFnName,
+        'can resolve ' + optName + '="' + level + '" to a Bunyan log level name'
+    );
+    return logFnName;
+}
+
+/*
+ * Normalize a `logLevelByStatus` option, e.g.:
+ *      {'5xx': 'error', '4xx': 'warn', '404': 'info', default: 'info'}
+ * to:
+ *      {
+ *          codes: {'404': 'info'},
+ *          classes: {'4': 'warn', '5': 'error'},
+ *          dflt: 'info'
+ *      }
+ */
+function normalizeLogLevelByStatus(logLevelByStatus, includeDefault) {
+    var norm = {
+        codes: {},
+        classes: {},
+        dflt: undefined
+    };
+
+    Object.keys(logLevelByStatus).forEach(function(key) {
+        var optName = 'logLevelByStatus["' + key + '"]';
+        assert.ok(
+            key === 'default' || /^[1-5]([0-9][0-9]|xx)$/i.test(key),
+            optName +
+                ' key is an HTTP status code (e.g. "404"), ' +
+                'status class (e.g. "5xx") or "default"'
+        );
+        var logFnName = logFnNameFromLevel(logLevelByStatus[key], optName);
+        if (key === 'default') {
+            if (includeDefault) {
+                norm.dflt = logFnName;
+            }
+        } else if (/xx$/i.test(key)) {
+            norm.classes[key[0]] = logFnName;
+        } else {
+            norm.codes[key] = logFnName;
+        }
+    });
+
+    return norm;
+}
+
+/*
+ * Return the higher of two log levels, by log method name.
+ */
+function maxLogFnName(a, b) {
+    return bunyanResolveLevel(b) > bunyanResolveLevel(a) ? b : a;
+}
+
+/*
+ * Determine the name of the Bunyan log method with which to log the audit
+ * record for a request.
+ */
+function logFnNameFromResult(routeOpts, statusCode, err, slow) {
+    var byStatus = routeOpts.logFnNameFromStatus;
+    var logFnName;
+
+    if (byStatus) {
+        logFnName =
+            byStatus.codes[statusCode] ||
+            byStatus.classes[Math.floor(statusCode / 100)] ||
+            byStatus.dflt;
+    }
+    if (!logFnName) {
+        logFnName = routeOpts.logFnName;
+    }
+
+    // An error or a slow request can raise, but not lower, the log level.
+    if (err && routeOpts.errLogFnName) {
+        logFnName = maxLogFnName(logFnName, routeOpts.errLogFnName);
+    }
+    if (slow) {
+        logFnName = maxLogFnName(logFnName, routeOpts.slowLogFnName);
+    }
+
+    return logFnName;
+}
+
+/*
+ * Get the handler timers (microseconds, by handler name) as an array of
+ * `{name, ms}`, slowest first, for slow requests.
+ */
+function timerBreakdownFromTimers(timers) {
+    if (!timers) {
+        return undefined;
+    }
+    return Object.keys(timers)
+        .map(function(name) {
+            return {name: name, ms: timers[name] / 1000};
+        })
+        .sort(function(a, b) {
+            return b.ms - a.ms;
+        });
+}
+
+function normalizeRouteOpts(ro, defaults) {
+    // - default 'ro.include' to true
+    if (ro.include === undefined) {
+        ro.include = true;
+    }
+    // - set `ro.logFnName`, default to "info"
+    if (ro.logLevel) {
+        ro.logFnName = logFnNameFromLevel(ro.logLevel, 'logLevel');
+    } else {
+        ro.logFnName = 'info';
+    }
+    // - set `ro.logFnNameFromStatus` from own or inherited `logLevelByStatus`.
+    //   An inherited "default" is not used if this route sets `logLevel`.
+    if (ro.logLevelByStatus) {
+        ro.logFnNameFromStatus = normalizeLogLevelByStatus(
+            ro.logLevelByStatus,
+            true
+        );
+    } else if (defaults && defaults.logLevelByStatus) {
+        ro.logFnNameFromStatus = normalizeLogLevelByStatus(
+            defaults.logLevelByStatus,
+            !ro.logLevel
+        );
+    }
+    // - set `ro.errLogFnName`
+    if (ro.errLogLevel) {
+        ro.errLogFnName = logFnNameFromLevel(ro.errLogLevel, 'errLogLevel');
+    }
+    // - set `ro.slowLogFnName`, default to "warn"
+    if (ro.slowLogLevel) {
+        ro.slowLogFnName = logFnNameFromLevel(ro.slowLogLevel, 'slowLogLevel');
+    } else if (!defaults) {
+        ro.slowLogFnName = 'warn';
+    }
+    [ro.reqBody, ro.resBody].forEach(function(bodyOpt) {
+        if (bodyOpt) {
+            // - default `reqBody.include` and `resBody.include` to true
+            if (!bodyOpt.hasOwnProperty('include')) {
+                bodyOpt.include = true;
+            }
+            // - default `reqBody.maxLen` and `resBody.maxLen`
+            if (!bodyOpt.hasOwnProperty('maxLen')) {
+                bodyOpt.maxLen = DEFAULT_BODY_MAX_LEN;
+            }
+            // - compile `contentTypes` to `policyFromContentType`
+            if (bodyOpt.contentTypes && !bodyOpt.policyFromContentType) {
+                bodyOpt.policyFromContentType = bodies.compileContentTypes(
+                    bodyOpt.contentTypes,
+                    'contentTypes'
+                );
+            }
+        }
+    });
+    // - normalize `ro.redact` to a new object with lowercase header names,
+    //   and `redact.query` compiled to `isRedactedQueryParam`. Unset fields
+    //   are inherited separately from the defaults' `redact`, else
+    //   `headers` defaults to `DEFAULT_REDACT_HEADERS`.
+    if (ro.redact) {
+        var redactHeaders;
+        if (ro.redact.headers) {
+            redactHeaders = ro.redact.headers.map(function(name) {
+                return name.toLowerCase();
+            });
+        } else if (defaults) {
+            redactHeaders = defaults.redact.headers;
+        } else {
+            redactHeaders = redact.DEFAULT_REDACT_HEADERS;
+        }
+        var isRedactedQueryParam;
+        if (ro.redact.query) {
+            isRedactedQueryParam =
+                ro.redact.query.length > 0
+                    ? common.compileNames(ro.redact.query, 'redact.query')
+                    : undefined;
+        } else if (defaults) {
+            isRedactedQueryParam = defaults.redact.isRedactedQueryParam;
+        }
+        ro.redact = {
+            headers: redactHeaders,
+            isRedactedQueryParam: isRedactedQueryParam
+        };
+    } else if (!defaults) {
+        ro.redact = {headers: redact.DEFAULT_REDACT_HEADERS};
+    }
+    // - compile `reqHeaders` and `resHeaders` to `selectReqHeaders` and
+    //   `selectResHeaders`
+    if (ro.reqHeaders) {
+        ro.selectReqHeaders = headers.compileHeadersOpt(
+            ro.reqHeaders,
+            'reqHeaders'
+        );
+    }
+    if (ro.resHeaders) {
+        ro.selectResHeaders = headers.compileHeadersOpt(
+            ro.resHeaders,
+            'resHeaders'
+        );
+    }
+    // - inherit values from `defaultRouteOpts`
+    if (defaults) {
+        Object.keys(defaults).forEach(function(fieldName) {
+            if (ro[fieldName] === undefined) {
+                ro[fieldName] = defaults[fieldName];
+            }
+        });
+    }
+    // - compile own or inherited `enrichers`, then `polish`, to `enrichSteps`
+    ro.enrichSteps = enrich.compileEnrichers(ro.enrichers, 'enrichers');
+    if (ro.polish) {
+        ro.enrichSteps.push(enrich.stepFromPolish(ro.polish));
+    }
+}
+
+/*
+ * Copy plain option objects and arrays, so that normalizing the copy
+ * leaves the caller's objects untouched. Other values (functions, RegExps,
+ * etc.) are shared.
+ */
+function copyOpts(val) {
+    if (Array.isArray(val)) {
+        return val.map(copyOpts);
+    } else if (
+        val !== null &&
+        typeof val === 'object' &&
+        Object.getPrototypeOf(val) === Object.prototype
+    ) {
+        var copy = {};
+        Object.keys(val).forEach(function(key) {
+            copy[key] = copyOpts(val[key]);
+        });
+        return copy;
+    }
+    return val;
+}
+
+/*
+ * A JSON-friendly copy of options, for the record logged on a config change.
+ */
+function describeOpts(val) {
+    if (typeof val === 'function') {
+        return '<function ' + (val.name || 'anonymous') + '>';
+    } else if (val instanceof RegExp) {
+        return String(val);
+    } else if (Array.isArray(val)) {
+        return val.map(describeOpts);
+    } else if (val !== null && typeof val === 'object') {
+        var desc = {};
+        Object.keys(val).forEach(function(key) {
+            desc[key] = describeOpts(val[key]);
+        });
+        return desc;
+    }
+    return val;
+}
+
+/*
+ * Compile the route options (`ROUTE_OPTS_NAMES`), `rules` and
+ * `routeOverrides` fields of `routeConfigOpts`, already validated against
+ * the options schema (see options.js). `routeConfigOpts` is not modified.
+ * This throws if the options are invalid in ways the schema doesn't check,
+ * e.g. an unknown log level name or an invalid `match.path` pattern.
+ *
+ * @returns {Object} `{defaultRouteOpts, ruleList, captureLimit}`, where
+ *      `ruleList` is the ordered rules (`opts.rules`, then
+ *      `opts.routeOverrides`) as `{desc, match, matcher, routeOpts}`, and
+ *      `captureLimit` is the length up to which to capture responses, or
+ *      undefined to not capture them.
+ */
+function compileRouteConfig(routeConfigOpts, captureStreams) {
+    var defaultRouteOpts = {};
+    ROUTE_OPTS_NAMES.forEach(function(name) {
+        defaultRouteOpts[name] = copyOpts(routeConfigOpts[name]);
+    });
+
+    // `opts.routeOverrides` are sugar for rules matching a route name, after
+    // any `opts.rules`.
+    var ruleList = (routeConfigOpts.rules || []).map(function(rule, i) {
+        var desc = 'rules[' + i + ']';
+        return {desc: desc, match: rule.match || {}, routeOpts: copyOpts(rule)};
+    });
+    var routeOverrides = routeConfigOpts.routeOverrides || {};
+    Object.keys(routeOverrides).forEach(function(name) {
+        ruleList.push({
+            desc: 'routeOverrides.' + name,
+            match: {route: name},
+            routeOpts: copyOpts(routeOverrides[name])
+        });
+    });
+    ruleList.forEach(function(rule) {
+        rule.matcher = rules.compileMatch(rule.match, rule.desc + '.match');
+    });
+
+    // Normalize routeOpts objects.
+    normalizeRouteOpts(defaultRouteOpts);
+    ruleList.forEach(function(rule) {
+        normalizeRouteOpts(rule.routeOpts, defaultRouteOpts);
+    });
+    // - set `ro.ruleDesc`, by which rate limit windows and suppressed record
+    //   counts are kept (see throttle.js). This isn't inherited.
+    defaultRouteOpts.ruleDesc = 'default';
+    ruleList.forEach(function(rule) {
+        rule.routeOpts.ruleDesc = rule.desc;
+    });
+
+    // Responses are captured up to the largest `resBody.maxLen`. With
+    // `captureStreams` all responses are captured, if only to count bytes.
+    var captureLimit = [defaultRouteOpts]
+        .concat(
+            ruleList.map(function(rule) {
+                return rule.routeOpts;
+            })
+        )
+        .reduce(
+            function(limit, ro) {
+                if (ro.resBody && ro.resBody.include) {
+                    return Math.max(limit || 0, ro.resBody.maxLen);
+                }
+                return limit;
+            },
+            captureStreams ? 0 : undefined
+        );
+
+    return {
+        defaultRouteOpts: defaultRouteOpts,
+        ruleList: ruleList,
+        captureLimit: captureLimit
+    };
+}
+
+// ---- API
+
+/**
+ * Create an auditor: the framework-agnostic part of an audit log handler.
+ * The framework adapters pass their `opts` through to this function.
+ *
+ * Options are validated against the options schema (see options.js): all
+ * invalid options, including unknown fields, are reported in one
+ * AssertionError. Warnings, e.g. for mixed-case route names, are logged on
+ * `opts.log`.
+ *
+ * @param {Object|String} opts - The options, or the path to a JSON config file
+ *      as shorthand for `{configFile: <path>}`:
+ *      @param {String} opts.configFile - A JSON file with options. Options
+ *          given in `opts` take precedence over those in the file, e.g. to
+ *          add a `log` or `polish` function, which can't be in JSON.
+ *      @param {Object} opts.log - A Bunyan logger on which to log. Either
+ *          this or `opts.sinks` is required.
+ *      @param {Array} opts.sinks - Sinks to write audit records to, in
+ *          addition to (or instead of) `opts.log`. Each is a spec object
+ *          with a `type` ("bunyan", "pino", "file", "syslog", "stream" or
+ *          "callback") and an optional `level` below which records are not
+ *          written to that sink. See sinks.js for the spec fields of each
+ *          type. E.g. to keep audit records in a dedicated rotated file:
+ *              [
+ *                  {
+ *                      type: 'file',
+ *                      path: '/var/log/myapi-audit.log',
+ *                      rotate: {size: 100 * 1024 * 1024, count: 20}
+ *                  }
+ *              ]
+ *          Sink errors (e.g. a file that cannot be opened) are logged on
+ *          `opts.log` at WARN-level, if given, and are otherwise ignored.
+ *      @param {String} opts.name - The `name` field for records written to
+ *          sinks other than Bunyan loggers. Default is the name of
+ *          `opts.log`, if given, else "audit".
+ *      @param {Object} opts.chain - Add tamper-evident hash chain fields
+ *          (`chainId`, `seq` and `hmac`) to every record, so that edited,
+ *          deleted or reordered records can be detected with
+ *          `verifyAuditLog()` or the `triton-audit-verify` command. Fields:
+ *          - {String} `secretFile` - Path to a file whose contents are the
+ *            HMAC key. Required.
+ *          - {String} `stateFile` - Path to a file in which to save the
+ *            last record signed (asynchronously, and on `close()`), so
+ *            that the chain-start marker of the next process's chain links
+ *            back to it (`prevChainId`, `prevSeq` and `prevDigest`).
+ *            Without it, deleting the last records of a process's chain,
+ *            or a whole chain, cannot be detected.
+ *          - {String} `algorithm` - The HMAC hash algorithm. Default
+ *            "sha256".
+ *          See chain.js for details.
+ *      @param {Boolean} opts.captureStreams - Capture all responses as they
+ *          are written, to log `res.bodyLength` (the number of body bytes
+ *          written) for every response, and the body of streamed responses
+ *          (written with `res.write()` or piped to `res`, rather than
+ *          formatted by restify's `res.send()`). Records for streamed
+ *          responses have `streamed: true`. At most the largest
+ *          `resBody.maxLen` bytes of a body are kept in memory. For restify
+ *          this needs `server.pre(audit.pre)`, and a handler streaming a
+ *          response should call `next()` when the stream has ended. Default
+ *          false. This option cannot be overridden per route.
+ *      @param {Object} opts.metrics - Collect in-process request metrics: a
+ *          request counter by route, method and status class, and a latency
+ *          histogram by route and method. Requests are counted whether or
+ *          not they are logged (e.g. with `include: false`). `true` for the
+ *          defaults, or an object with fields:
+ *          - {Array} `buckets` - Upper bounds (ms) of the latency histogram
+ *            buckets, in increasing order. Default
+ *            `[5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]`.
+ *          - {String} `prefix` - A prefix for metric names in the Prometheus
+ *            text format. Default "http_".
+ *          This option cannot be overridden per route. See metrics.js.
+ *      @param {Boolean} opts.include - Whether to log at all. Default true.
+ *      @param {String} opts.logLevel - The bunyan log level (either the name
+ *          or the integer value) at which to log. Default is "info".
+ *      @param {Object} opts.logLevelByStatus - A mapping of response status
+ *          to log level, to log at a level other than `logLevel` depending on
+ *          the response. Keys are a status code (e.g. "404"), a status class
+ *          (e.g. "5xx") or "default". A status code takes precedence over a
+ *          status class, which takes precedence over "default", which takes
+ *          precedence over `logLevel`. E.g.:
+ *              {'5xx': 'error', '4xx': 'warn', '404': 'info'}
+ *          (A route override that sets `logLevel` but not `logLevelByStatus`
+ *          ignores an inherited "default".)
+ *      @param {String} opts.errLogLevel - A minimum log level for requests
+ *          that complete with an error (the `err` argument to the 'after'
+ *          event handler). This can raise, but not lower, the log level
+ *          determined from `logLevel` and `logLevelByStatus`.
+ *      @param {Object} opts.errDetail - How much detail of the `err` to log.
+ *          By default the error is logged as serialized by the `opts.log`
+ *          `err` serializer (or Bunyan's), with the cause chain joined into
+ *          one `stack` string. Fields:
+ *          - {Boolean} `stack4xx` - Set to false to not log `err.stack`
+ *            for 4xx responses.
+ *          - {Boolean} `causes` - Log the cause chain as `err.causes`, an
+ *            array of `{name, message, code}`.
+ *          - {Boolean} `clientError` - Log the restify error `restCode`
+ *            and the error body sent to the client, as `err.restCode` and
+ *            `err.body`.
+ *          - {Boolean} `info` - Log the VError `info()` fields as
+ *            `err.info`.
+ *          E.g.: `{stack4xx: false, causes: true, clientError: true}`. See
+ *          errors.js.
+ *      @param {Number} opts.slowThreshold - A latency (ms) at or above which
+ *          a request is "slow". The audit record for a slow request has
+ *          `slow: true`, its log level is raised to at least `slowLogLevel`,
+ *          and it has a `timerBreakdown` field: the handler timers (if the
+ *          framework keeps them, as restify does), slowest first, as an
+ *          array of `{name, ms}`.
+ *      @param {String} opts.slowLogLevel - The minimum log level for slow
+ *          requests. Default "warn".
+ *      @param {Object} opts.watchdog - Log a record for each request still
+ *          in flight after `threshold` ms, since a hung request is otherwise
+ *          never logged. The record has `inFlight: true` and `elapsed` (ms)
+ *          fields, and the request (but no response) fields. Fields:
+ *          - {Number} `threshold` - Required. This is typically well above
+ *            `slowThreshold`.
+ *          - {Number} `interval` - Interval (ms) between checks for
+ *            requests past the threshold. Default half of `threshold`, at
+ *            most 5s.
+ *          - {String} `logLevel` - Default "warn".
+ *          E.g. `{threshold: 60000}`. This option cannot be overridden per
+ *          route. See watchdog.js.
+ *      @param {Boolean|Function|Array} opts.caller - Log the identity of
+ *          the caller as a top-level `caller` field. Use `true` for the
+ *          built-in extractors: "signature" (from an HTTP Signature
+ *          "Authorization" header: `{scheme: 'signature', account, user,
+ *          fingerprint, keyId}`, where `user` is only set for sub-users)
+ *          then "basic" (from a Basic "Authorization" header:
+ *          `{scheme: 'basic', username}`). Or give an extractor function
+ *          `function (req)` returning the caller object (or undefined), or
+ *          an array of built-in extractor names and extractor functions,
+ *          tried in order until one returns a caller. E.g. for CloudAPI's
+ *          `req.caller`:
+ *              [
+ *                  function (req) {
+ *                      return req.caller && {
+ *                          account: req.caller.login,
+ *                          uuid: req.caller.uuid
+ *                      };
+ *                  },
+ *                  'signature'
+ *              ]
+ *          This option cannot be overridden per route. See caller.js.
+ *      @param {Boolean|Object} opts.trace - Log distributed trace
+ *          correlation fields, to join the audit logs of services calling
+ *          each other: `trace_id` and `parent_span_id` from a W3C
+ *          "traceparent" request header, `trace_state` from "tracestate",
+ *          `span_id` from a "traceresponse" or "traceparent" response
+ *          header set by the service, and `upstream_req_id` from an
+ *          "x-request-id" or "request-id" request header. Use `true` for
+ *          these headers, or an object with any of `traceparentHeaders`,
+ *          `resTraceparentHeaders`, `tracestateHeaders` and `reqIdHeaders`:
+ *          arrays of header names to try in order, e.g.
+ *          `{reqIdHeaders: ['x-upstream-request-id']}`. This option cannot
+ *          be overridden per route. See trace.js.
+ *      @param {Object} opts.reqBody - Options for logging request bodies.
+ *      @param {Object} opts.resBody - Options for logging response bodies.
+ *          Each of `reqBody` and `resBody` are optional. If they are not
+ *          specified then there is no body logging. To enable body logging with
+ *          the defaults, specify an empty object: `reqBody: {}, reqBody: {},`.
+ *          Each of `reqBody` and `resBody` may have the following fields.
+ *          All fields are optional.
+ *          - {Boolean} `include` - Whether to log the body. Default is true.
+ *          - {Number} `maxLen` - The maximum length of body to log.
+ *            Default is 10k.
+ *          - {Boolean} `includeBuffers` - Whether to log a Buffer body as
+ *            is. A Buffer longer than `maxLen` bytes is logged as
+ *            `{buffer: true, length, clipped: true, data}`, with `data`
+ *            the first `maxLen` bytes. By default a Buffer body is logged
+ *            as a summary object: `{buffer: true, length, contentType,
+ *            sha256}`, plus `preview` and `previewEncoding` with
+ *            `bufferPreview`. `sha256` is the digest of the whole body, also
+ *            for captured response bodies longer than `maxLen`.
+ *          - {Object} `contentTypes` - Policies for bodies by content type:
+ *            a mapping of media types, or globs such as "text/*", to one
+ *            of "raw" (log the body as is, the default), "pretty" (log a
+ *            JSON body pretty-printed), "parts" (log a multipart body as a
+ *            summary of its part names and sizes), "summary" (log a summary
+ *            as for Buffer bodies) or "skip" (don't log the body). An exact
+ *            media type takes precedence over globs, which are tried in
+ *            order. E.g.:
+ *              {
+ *                  'application/json': 'pretty',
+ *                  'multipart/form-data': 'parts',
+ *                  'application/octet-stream': 'skip',
+ *                  'image/*': 'summary'
+ *              }
+ *            See bodies.js.
+ *          - {Boolean} `decodeContentEncoding` - Decode bodies with a
+ *            "gzip", "deflate" or "br" Content-Encoding before logging
+ *            them. Bodies already decoded by the framework (e.g. restify's
+ *            body parser gunzips request bodies) are left as is, as are
+ *            partially captured response bodies. Default false.
+ *          - {Object} `bufferPreview` - Include a preview of the first
+ *            `length` bytes (at most `maxLen`) of a Buffer body in its
+ *            summary, as `encoding` "hex" (the default) or "base64". E.g.
+ *            `{length: 16}`.
+ *          - {Boolean} `includeGet2xx` - Whether to include response bodies
+ *            for "GET" requests with a success response code (i.e. 2xx).
+ *            Default is false. The reasoning is that successful GET response
+ *            bodies can tend to be large and uninteresting. This field is
+ *            only relevant for `opts.resBody`.
+ *          - {Array} `redact` - Field selectors for fields to redact in JSON
+ *            bodies, e.g. `['password', '*.secret', 'metadata.credentials']`.
+ *            Selectors are dot-separated paths from the top of the body.
+ *            A `*` path segment matches any single field name or array
+ *            index, and `**` matches any number (including zero) of
+ *            nested levels. String and Buffer bodies are parsed if the
+ *            "Content-Type" is JSON; object bodies (e.g. restify 4.x
+ *            `req.body`) are used as is. The redacted body is
+ *            re-serialized and then clipped to `maxLen`.
+ *          - {String} `redactParseFailure` - What to do with a JSON body
+ *            that cannot be parsed for `redact`: "drop" it (the default)
+ *            or "log" it as is.
+ *      @param {Function} opts.polish - A *sync* function that is called for
+ *          each audit log record just before the call to log it. Called as:
+ *              `function (fields, req, res, route, err)`
+ *          where `fields` is the Bunyan fields object being logged. It
+ *          can be changed in-place (as could `req` et al) to "polish" the
+ *          audit log record. It is called after any `opts.enrichers`, and
+ *          its return value is ignored.
+ *      @param {Array} opts.enrichers - An ordered array of functions to
+ *          enrich, or drop, each audit log record, called as for `polish`.
+ *          An enricher can change `fields` in place, return `false` to drop
+ *          the record, or return a promise to wait for before the next
+ *          enricher (a promise resolving to `false` also drops the record).
+ *          An element can be an object, `{enrich, name, timeout}`, to name
+ *          the enricher in error messages and set the time (ms, default
+ *          1000) to wait for its promise, e.g.:
+ *              {name: 'login', enrich: addLoginFromCache, timeout: 200}
+ *          An enricher that throws, rejects or times out is skipped: the
+ *          record is still logged, with an `enrichErrors` field listing
+ *          the failures, which are also logged on `opts.log`. Records are
+ *          logged synchronously unless an enricher returns a promise. See
+ *          enrich.js.
+ *      @param {Object} opts.redact - Options for redacting sensitive data in
+ *          the logged record. Redaction is applied to *copies* of the logged
+ *          data, so the live `req` and `res` are not modified. Fields:
+ *          - {Array} `headers` - Names of request and response headers
+ *            whose values are redacted. Default is `DEFAULT_REDACT_HEADERS`
+ *            (Authorization, Cookie, Proxy-Authorization, Set-Cookie,
+ *            X-Auth-Token and X-Registry-Auth). Use `[]` to disable.
+ *            Redacted "Authorization" values keep the auth scheme (and
+ *            the `keyId` for HTTP Signature auth), e.g.
+ *            `Signature keyId="/bob/keys/aa:bb" (redacted)`.
+ *          - {Array} `query` - Names of query parameters whose values are
+ *            redacted in the logged `req.url` and `req.query`, e.g.
+ *            `['signature', '*token*']`. Names are compared
+ *            case-insensitively and can be globs where "*" matches any
+ *            characters. The rest of the URL is logged as is. By default no
+ *            query parameters are redacted.
+ *          A per-route `redact` inherits each of `headers` and `query` that
+ *          it doesn't set from the top-level `redact`.
+ *      @param {Object} opts.reqHeaders - Which request headers to log, and
+ *          how much of each. By default all headers are logged in full.
+ *          Fields:
+ *          - {Array} `include` - Names of the only headers to log.
+ *          - {Array} `exclude` - Names of headers not to log.
+ *          - {Number} `maxValueLen` - The maximum length of a logged
+ *            header value. Longer values are clipped and end with
+ *            "...<elided N chars>".
+ *          Names are compared case-insensitively and can be globs where
+ *          "*" matches any characters, e.g.
+ *              {exclude: ['x-joyent-*', 'x-forwarded-*'], maxValueLen: 256}
+ *          Headers are selected after `redact.headers` are redacted.
+ *      @param {Object} opts.resHeaders - Which response headers to log, as
+ *          for `opts.reqHeaders`.
+ *      @param {Number} opts.sample - A fraction (between 0 and 1) of
+ *          requests to log, for high-volume routes. Sampled records have a
+ *          `sampleRate` field. Requests that complete with an error (a 5xx
+ *          status code or an `err`) are always logged.
+ *      @param {Object} opts.rateLimit - Limit the number of audit records
+ *          logged per route to `max` records per `interval` ms (default
+ *          1000). As with `sample`, error responses are always logged. E.g.:
+ *              {max: 10, interval: 1000}
+ *          For both `sample` and `rateLimit`, the number of suppressed
+ *          records for each route is periodically logged in a record with
+ *          `suppressed`, `suppressedBySample` and `suppressedByRateLimit`
+ *          fields, so that request totals can be reconstructed.
+ *      @param {Number} opts.suppressedReportInterval - Interval (ms) at which
+ *          suppressed record counts are logged. Default 1 minute. This option
+ *          cannot be overridden per route.
+ *      @param {Number} opts.maxRecordSize - A size budget (bytes of JSON) for
+ *          each record, checked after `enrichers` and `polish`. Pieces of a
+ *          record over budget are clipped or dropped, in order, until it
+ *          fits: the bodies, the `err.stack`, the timers, then non-essential
+ *          headers. The record gets a `truncated` field listing what was
+ *          clipped or dropped, e.g. `["res.body", "err.stack"]`. See
+ *          budget.js. This option cannot be overridden per route.
+ *      @param {Array} opts.rules - An ordered array of rules to override any
+ *          of the above options, except `log`, `caller`, `trace`,
+ *          `watchdog`, `suppressedReportInterval` and `maxRecordSize`,
+ *          for matching requests. The first matching rule wins. Each rule
+ *          has a `match` object and any of the overridable options. All
+ *          given `match` fields must match:
+ *          - `route`: A route name (compared case-insensitively), a RegExp or
+ *            "/pattern/flags" string to test against the route name (with
+ *            only the "i" and "m" flags), or `null` to match requests with
+ *            no route (e.g. 404s).
+ *          - `method`: An HTTP method or array of methods.
+ *          - `path`: A path glob, or array of globs, e.g. "/my/machines/*"
+ *            ("*" doesn't match "/", "**" does).
+ *          - `status`: A status code, status class ("5xx"), range
+ *            ("400-499"), or [min, max] array.
+ *          - `header`: A request header name, or array of names, that must
+ *            be present.
+ *          - `remoteAddress`: A client IP address or CIDR (IPv4 or IPv6),
+ *            or an array of them.
+ *          E.g.:
+ *              [
+ *                  // Log 404s at WARN-level.
+ *                  {match: {route: null}, logLevel: 'warn'},
+ *                  // Log request bodies for changes to instances.
+ *                  {
+ *                      match: {
+ *                          method: ['POST', 'PUT', 'DELETE'],
+ *                          path: '/my/machines/**'
+ *                      },
+ *                      reqBody: {}
+ *                  },
+ *                  // Don't log health checks from the local admin network.
+ *                  {
+ *                      match: {remoteAddress: '10.99.99.0/24'},
+ *                      include: false
+ *                  }
+ *              ]
+ *      @param {Object} opts.routeOverrides - A mapping of `route.name`
+ *          (compared case-insensitively, because restify versions differ in
+ *          how they lowercase `route.name`) to overrides for any of the
+ *          options that `opts.rules` can override. These are equivalent to
+ *          rules matching `{route: <name>}` after any `opts.rules`. E.g.:
+ *              {
+ *                  // Exclude "GetPing" requests.
+ *                  'getping': {include: false}
+ *                  // Log "GetConfig" requests at DEBUG-level.
+ *                  'getconfig': {logLevel: 'debug'}
+ *                  // See the first 300 chars of ListInstances responses.
+ *                  'listinstances': {
+ *                      resBody: {
+ *                          includeGet2xx: true,
+ *                          maxLen: 300
+ *                      }
+ *                  }
+ *              }
+ *          The given `routeOverrides`, `rules` and other option objects are
+ *          not modified.
+ * @returns {Object} An auditor with these methods:
+ *      - `audit(exchange)` to log the audit record for a completed request.
+ *        `exchange` has these fields, gathered by the adapter:
+ *          - {Object} `req`, {Object} `res` - Required.
+ *          - {Object} `route` - The route object, if any, with a `name`.
+ *          - {Error} `err` - The error with which the request completed.
+ *          - {String} `reqId` - The request id. Required.
+ *          - {Number} `latency` - Request latency in ms. Required.
+ *          - {Object} `timers` - Handler timings in microseconds, by name.
+ *          - {String} `connectionState` - E.g. "close" if the client closed
+ *            the connection before the response was sent.
+ *          - {String} `version` - The requested API version.
+ *          - `resBody` - The formatted response body, if the framework
+ *            keeps it (e.g. restify's `res._data`).
+ *          - {Object} `capture` - The result of `captureResponse(res)`.
+ *      - `captureResponse(res)` to start capturing the response body
+ *        written with `res.write()` and `res.end()`. This returns undefined
+ *        if no response body logging is configured.
+ *      - `watchRequest(watched)` to watch a request that has started, for
+ *        `opts.watchdog`. `watched` has these fields, from the adapter:
+ *          - {Object} `req`, {Object} `res` - Required.
+ *          - {Function} `getReqId` - Returns the request id. Required.
+ *          - {Function} `getRoute` - Returns the route object, if any.
+ *        This does nothing if `opts.watchdog` isn't set.
+ *      - `close(cb)` to log any pending suppressed record counts and close
+ *        the sinks, e.g. to close files on server shutdown.
+ *      - `update(changes)` to change options on the live auditor, e.g.
+ *        from an admin endpoint or a signal handler. `changes` has new
+ *        values for any of the options that can be overridden per route,
+ *        `rules` and `routeOverrides` (which replace the current rules or
+ *        route overrides). Options not given are unchanged; give
+ *        `undefined` to reset an option to its default.
+ *      - `setRouteOverride(name, routeOpts)` to add, or replace, the
+ *        `routeOverrides` entry for a route name.
+ *      - `removeRouteOverride(name)` to remove the `routeOverrides` entry for
+ *        a route name. This returns false if there was none.
+ *        For each of these three, the changed options are validated and
+ *        applied together, or this throws and nothing changes. A record
+ *        describing the change is logged at INFO-level, e.g.:
+ *            {
+ *                "configChange": {
+ *                    "op": "setRouteOverride",
+ *                    "route": "createmachine",
+ *                    "options": {"reqBody": {}, "logLevel": "debug"}
+ *                },
+ *                "msg": "audit options changed: setRouteOverride",
+ *                ...
+ *            }
+ *        The given objects are copied, so changing them afterwards has no
+ *        effect.
+ *      and a `metrics` field: the `AuditMetrics` (with `snapshot()` and
+ *      `prometheusText()` methods) if `opts.metrics` is set, else undefined.
+ */
+function createAuditor(opts) {
+    // Validate inputs.
+    opts = options.loadOptions(opts);
+    var optsWarnings = options.assertOptions(opts);
+    assert.ok(
+        opts.log || (opts.sinks && opts.sinks.length > 0),
+        'opts.log or opts.sinks is required'
+    );
+    var callerFromReq = caller.compileCaller(opts.caller, 'opts.caller');
+    // A custom `opts.caller` function that throws must not break the
+    // adapter's handler: warn (on `opts.log`, else as a process warning)
+    // and log the record without `caller`.
+    function addCaller(fields, req) {
+        var reqCaller;
+        try {
+            reqCaller = callerFromReq ? callerFromReq(req) : undefined;
+        } catch (callerErr) {
+            if (opts.log) {
+                opts.log.warn({err: callerErr}, 'audit caller error');
+            } else {
+                process.emitWarning(callerErr);
+            }
+            return;
+        }
+        if (reqCaller !== undefined && reqCaller !== null) {
+            fields.caller = reqCaller;
+        }
+    }
+    var traceFieldsFromReq = trace.compileTrace(opts.trace, 'opts.trace');
+    function addTraceFields(fields, req, res) {
+        if (traceFieldsFromReq) {
+            var traceFields = traceFieldsFromReq(req, res);
+            Object.keys(traceFields).forEach(function(key) {
+                fields[key] = traceFields[key];
+            });
+        }
+    }
+
+    // The options from which `routeConfig` is compiled, kept to apply
+    // changes with `update()` et al.
+    var routeConfigOpts = {};
+    UPDATABLE_OPTS_NAMES.forEach(function(name) {
+        routeConfigOpts[name] = copyOpts(opts[name]);
+    });
+    var routeConfig = compileRouteConfig(routeConfigOpts, opts.captureStreams);
+
+    // Resolve the routeOpts for a request: the first matching rule wins.
+    function resolveRouteOpts(req, res, route) {
+        var ruleList = routeConfig.ruleList;
+        var ctx = {req: req, res: res, route: route};
+        for (var i = 0; i < ruleList.length; i++) {
+            if (ruleList[i].matcher(ctx)) {
+                return ruleList[i].routeOpts;
+            }
+        }
+        return routeConfig.defaultRouteOpts;
+    }
+
+    // The exchange for a request being logged, keyed by its `req`, its `res`
+    // and any `err` object, for the `req`, `res` and `err` serializers.
+    var exchangeFromObj = new WeakMap();
+    function exchangeFor(obj) {
+        return (
+            exchangeFromObj.get(obj) || {
+                routeOpts: routeConfig.defaultRouteOpts
+            }
+        );
+    }
+
+    var errSerializer =
+        opts.log && opts.log.serializers && opts.log.serializers.err
+            ? opts.log.serializers.err
+            : bunyanErrSerializer;
+    var serializers = {
+        err: function auditErrSerializer(err) {
+            var exchange = exchangeFor(err);
+            return errors.shapeErr(
+                errSerializer(err),
+                err,
+                exchange.routeOpts.errDetail,
+                exchange.res ? exchange.res.statusCode : undefined
+            );
+        },
+        req: function auditReqSerializer(req) {
+            if (!req) {
+                return false;
+            }
+
+            var exchange = exchangeFor(req);
+            var routeOpts = exchange.routeOpts;
+
+            return {
+                body: auditBodyFromReq(req, routeOpts.reqBody),
+                connectionState: exchange.connectionState,
+                headers: selectHeaders(
+                    routeOpts.selectReqHeaders,
+                    redact.redactHeaders(req.headers, routeOpts.redact.headers)
+                ),
+                httpVersion: req.httpVersion,
+                method: req.method,
+                // account for native and queryParser plugin usage
+                query: redact.redactQuery(
+                    typeof req.query === 'function' ? req.query() : req.query,
+                    routeOpts.redact.isRedactedQueryParam
+                ),
+                timers: exchange.timers,
+                trailers: req.trailers,
+                url: redact.redactUrl(
+                    req.url,
+                    routeOpts.redact.isRedactedQueryParam
+                ),
+                version: exchange.version
+            };
+        },
+        res: function auditResSerializer(res) {
+            if (!res) {
+                return false;
+            }
+
+            var exchange = exchangeFor(res);
+            var routeOpts = exchange.routeOpts;
+
+            return {
+                body: exchange.res
+                    ? auditBodyFromRes(exchange, routeOpts.resBody)
+                    : undefined,
+                bodyLength:
+                    opts.captureStreams && exchange.capture
+                        ? exchange.capture.length
+                        : undefined,
+                headers: selectHeaders(
+                    routeOpts.selectResHeaders,
+                    redact.redactHeaders(
+                        getResponseHeaders(res),
+                        routeOpts.redact.headers
+                    )
+                ),
+                statusCode: res.statusCode,
+                trailer: res._trailer || false
+            };
+        }
+    };
+
+    // `opts.log` is sugar for a "bunyan" sink.
+    var sinkSpecs = [];
+    if (opts.log) {
+        sinkSpecs.push({
+            desc: 'opts.log',
+            spec: {type: 'bunyan', log: opts.log}
+        });
+    }
+    (opts.sinks || []).forEach(function(spec, i) {
+        sinkSpecs.push({desc: 'opts.sinks[' + i + ']', spec: spec});
+    });
+    /*
+     * Option warnings (e.g. mixed-case route names) go to `opts.log`, as
+     * sink errors do, rather than into the audit log.
+     */
+    function warnAboutOptions(warnings) {
+        if (opts.log && warnings.length > 0) {
+            opts.log.warn(
+                {
+                    warnings: warnings.map(function(w) {
+                        return w.message;
+                    })
+                },
+                'audit logger options warnings'
+            );
+        }
+    }
+    warnAboutOptions(optsWarnings);
+
+    var sinkList = sinkSpecs.map(function(ss) {
+        var sink = sinks.createSink(ss.spec, ss.desc);
+        sink.level =
+            ss.spec.level === undefined ? 0 : bunyanResolveLevel(ss.spec.level);
+        sink.on('error', function onSinkError(err) {
+            if (opts.log) {
+                opts.log.warn(
+                    {err: err, sink: ss.desc},
+                    'audit log sink error'
+                );
+            }
+        });
+        return sink;
+    });
+
+    // Records start with the fields of `opts.log`, as Bunyan records do.
+    var recBase = {};
+    if (opts.log && opts.log.fields) {
+        Object.keys(opts.log.fields).forEach(function(key) {
+            recBase[key] = opts.log.fields[key];
+        });
+    }
+    recBase.name = opts.name || recBase.name || 'audit';
+    recBase.hostname = recBase.hostname || os.hostname();
+    recBase.pid = recBase.pid || process.pid;
+
+    var auditChain = opts.chain
+        ? new chain.AuditChain(
+              opts.chain,
+              'opts.chain',
+              function onChainStateError(err) {
+                  if (opts.log) {
+                      opts.log.warn({err: err}, 'audit chain state error');
+                  } else {
+                      process.emitWarning(err);
+                  }
+              }
+          )
+        : null;
+
+    function buildRecord(level, fields, msg) {
+        var rec = {};
+        Object.keys(recBase).forEach(function(key) {
+            rec[key] = recBase[key];
+        });
+        rec.audit = true;
+        rec.schemaVersion = recordSchema.AUDIT_RECORD_SCHEMA_VERSION;
+        rec.level = level;
+        Object.keys(fields).forEach(function(key) {
+            var val = fields[key];
+            if (val !== undefined && serializers.hasOwnProperty(key)) {
+                val = serializers[key](val);
+            }
+            rec[key] = val;
+        });
+        rec.msg = msg;
+        rec.time = new Date();
+        rec.v = 0;
+        if (opts.maxRecordSize) {
+            budget.fitRecord(rec, opts.maxRecordSize);
+        }
+        if (auditChain) {
+            auditChain.sign(rec);
+        }
+        return rec;
+    }
+
+    /*
+     * Write a record to the sinks enabled for the level. The record is only
+     * built (and its fields serialized) if there are any.
+     */
+    function logRecord(logFnName, fields, msg) {
+        var level = bunyanResolveLevel(logFnName);
+        var enabledSinks = sinkList.filter(function(sink) {
+            return (
+                level >= sink.level &&
+                (!sink.enabled || sink.enabled(logFnName))
+            );
+        });
+        if (enabledSinks.length === 0) {
+            return;
+        }
+
+        var recs = [];
+        if (auditChain && auditChain.isStart()) {
+            // The chain-start marker goes to the same sinks as the first
+            // chained record.
+            recs.push(
+                buildRecord(
+                    level,
+                    auditChain.startFields(),
+                    'audit chain start'
+                )
+            );
+        }
+        recs.push(buildRecord(level, fields, msg));
+
+        recs.forEach(function(rec) {
+            enabledSinks.forEach(function(sink) {
+                sink.write(rec, logFnName);
+            });
+        });
+    }
+
+    var auditMetrics = opts.metrics
+        ? new metrics.AuditMetrics(opts.metrics)
+        : undefined;
+
+    var auditThrottle = new throttle.AuditThrottle({
+        reportInterval: opts.suppressedReportInterval,
+        report: function reportSuppressed(routeName, counts, routeOpts) {
+            var numSuppressed = counts.sample + counts.rateLimit;
+            logRecord(
+                routeOpts.logFnName,
+                {
+                    route: routeName,
+                    sampleRate: routeOpts.sample,
+                    suppressed: numSuppressed,
+                    suppressedBySample: counts.sample,
+                    suppressedByRateLimit: counts.rateLimit
+                },
+                format('suppressed %d audit records', numSuppressed)
+            );
+        }
+    });
+
+    var inFlightWatchdog;
+    if (opts.watchdog) {
+        var watchdogLogFnName = opts.watchdog.logLevel
+            ? logFnNameFromLevel(opts.watchdog.logLevel, 'watchdog.logLevel')
+            : 'warn';
+        inFlightWatchdog = new watchdog.InFlightWatchdog({
+            threshold: opts.watchdog.threshold,
+            interval: opts.watchdog.interval,
+            report: function reportInFlight(watched, elapsed) {
+                var req = watched.req;
+                var route = watched.getRoute ? watched.getRoute() : null;
+                var fields = {
+                    elapsed: elapsed,
+                    inFlight: true,
+                    remoteAddress: req.connection.remoteAddress,
+                    remotePort: req.connection.remotePort,
+                    req: req,
+                    req_id: watched.getReqId(),
+                    route: (route && route.name) || undefined
+                };
+                addCaller(fields, req);
+                addTraceFields(fields, req, watched.res);
+                logRecord(
+                    watchdogLogFnName,
+                    fields,
+                    format('in flight after %d ms', elapsed)
+                );
+            }
+        });
+    }
+
+    function watchRequest(watched) {
+        if (!inFlightWatchdog) {
+            return;
+        }
+        inFlightWatchdog.watch(watched);
+        onResponseDone(watched.res, function unwatchRequest() {
+            inFlightWatchdog.unwatch(watched);
+        });
+    }
+
+    /*
+     * Enricher errors are noted in the record's `enrichErrors` field (so
+     * they are seen with only `opts.sinks`), and logged on `opts.log` as
+     * sink errors are. The record is still logged.
+     */
+    function addEnrichError(fields, step, err) {
+        var message = step.name + ': ' + (err && err.message);
+        fields.enrichErrors = (fields.enrichErrors || []).concat([message]);
+        if (opts.log) {
+            opts.log.warn(
+                {err: err, enricher: step.name},
+                'audit enricher error'
+            );
+        }
+    }
+
+    /*
+     * An error logging a record after async enrichment can't be thrown to
+     * the adapter's handler, so report it on `opts.log`, else as a process
+     * warning.
+     */
+    function reportAsyncLogError(err) {
+        if (opts.log) {
+            opts.log.warn({err: err}, 'audit log error');
+        } else {
+            process.emitWarning(err);
+        }
+    }
+
+    // `close()` waits for records still being enriched asynchronously.
+    var numAsyncEnriching = 0;
+    var onEnrichDrained = [];
+    function onAsyncEnrichDone() {
+        numAsyncEnriching--;
+        if (numAsyncEnriching === 0) {
+            onEnrichDrained.splice(0).forEach(function(fn) {
+                fn();
+            });
+        }
+    }
+
+    function audit(exchange) {
+        var req = exchange.req;
+        var res = exchange.res;
+        var route = exchange.route;
+        var err = exchange.err;
+        var routeName = (route && route.name) || undefined;
+        var routeOpts = resolveRouteOpts(req, res, route);
+
+        // Metrics cover all requests, whether or not they are logged.
+        if (auditMetrics) {
+            auditMetrics.observe(
+                routeName,
+                req.method,
+                res.statusCode,
+                exchange.latency
+            );
+        }
+
+        if (!routeOpts.include) {
+            return;
+        } else if (
+            !auditThrottle.shouldLog(routeName, routeOpts, res.statusCode, err)
+        ) {
+            return;
+        }
+
+        exchange.routeOpts = routeOpts;
+        exchangeFromObj.set(req, exchange);
+        exchangeFromObj.set(res, exchange);
+        if (err !== null && typeof err === 'object') {
+            exchangeFromObj.set(err, exchange);
+        }
+
+        var fields = {
+            err: err,
+            latency: exchange.latency,
+            remoteAddress: req.connection.remoteAddress,
+            remotePort: req.connection.remotePort,
+            req: req,
+            req_id: exchange.reqId,
+            res: res,
+            route: routeName,
+            secure:
+                req.secure !== undefined
+                    ? req.secure
+                    : Boolean(req.connection.encrypted)
+        };
+
+        addCaller(fields, req);
+        addTraceFields(fields, req, res);
+
+        if (opts.captureStreams && isStreamedResponse(exchange)) {
+            fields.streamed = true;
+        }
+
+        var slow =
+            routeOpts.slowThreshold !== undefined &&
+            exchange.latency >= routeOpts.slowThreshold;
+        if (slow) {
+            fields.slow = true;
+            fields.timerBreakdown = timerBreakdownFromTimers(exchange.timers);
+        }
+
+        // Allow request totals to be estimated from sampled records.
+        if (
+            routeOpts.sample !== undefined &&
+            !throttle.isAlwaysLogged(res.statusCode, err)
+        ) {
+            fields.sampleRate = routeOpts.sample;
+        }
+
+        // The record is logged synchronously, unless an enricher returns a
+        // promise.
+        var enriched = false;
+        var isAsync = false;
+        function logEnriched() {
+            var logFnName = logFnNameFromResult(
+                routeOpts,
+                res.statusCode,
+                err,
+                slow
+            );
+            logRecord(logFnName, fields, format('handled: %d', res.statusCode));
+        }
+        enrich.runEnrichers(
+            routeOpts.enrichSteps,
+            [fields, req, res, route, err],
+            function onEnrichError(step, enrichErr) {
+                addEnrichError(fields, step, enrichErr);
+            },
+            function onEnriched(keep) {
+                enriched = true;
+                if (!isAsync) {
+                    if (keep) {
+                        logEnriched();
+                    }
+                    return;
+                }
+                try {
+                    if (keep) {
+                        logEnriched();
+                    }
+                } catch (logErr) {
+                    reportAsyncLogError(logErr);
+                } finally {
+                    onAsyncEnrichDone();
+                }
+            }
+        );
+        if (!enriched) {
+            isAsync = true;
+            numAsyncEnriching++;
+        }
+    }
+
+    function captureResponseForAuditor(res) {
+        if (routeConfig.captureLimit === undefined) {
+            return undefined;
+        }
+        return captureResponse(res, routeConfig.captureLimit);
+    }
+
+    function close(cb) {
+        if (numAsyncEnriching > 0) {
+            onEnrichDrained.push(function closeWhenEnriched() {
+                close(cb);
+            });
+            return;
+        }
+        auditThrottle.close();
+        if (inFlightWatchdog) {
+            inFlightWatchdog.close();
+        }
+        var numPending = 1;
+        function onClosed() {
+            numPending--;
+            if (numPending === 0 && cb) {
+                cb();
+            }
+        }
+        sinkList.forEach(function(sink) {
+            if (sink.close) {
+                numPending++;
+                sink.close(onClosed);
+            }
+        });
+        if (auditChain) {
+            numPending++;
+            auditChain.close(onClosed);
+        }
+        setImmediate(onClosed);
+    }
+
+    /*
+     * Compile and switch to new route config options, then log a record
+     * describing the change. If the options are invalid this throws, and
+     * the current config is kept.
+     */
+    function applyRouteConfigOpts(newRouteConfigOpts, configChange) {
+        var newRouteConfig = compileRouteConfig(
+            newRouteConfigOpts,
+            opts.captureStreams
+        );
+        routeConfigOpts = newRouteConfigOpts;
+        routeConfig = newRouteConfig;
+        logRecord(
+            'info',
+            {configChange: describeOpts(configChange)},
+            format('audit options changed: %s', configChange.op)
+        );
+    }
+
+    function routeConfigOptsWith(changes) {
+        var newRouteConfigOpts = {};
+        Object.keys(routeConfigOpts).forEach(function(name) {
+            newRouteConfigOpts[name] = routeConfigOpts[name];
+        });
+        Object.keys(changes).forEach(function(name) {
+            newRouteConfigOpts[name] = changes[name];
+        });
+        return newRouteConfigOpts;
+    }
+
+    function update(changes) {
+        assert.object(changes, 'changes');
+        var copiedChanges = {};
+        Object.keys(changes).forEach(function(name) {
+            assert.ok(
+                UPDATABLE_OPTS_NAMES.indexOf(name) !== -1,
+                'changes.' +
+                    name +
+                    ' is an option that can be updated (one of ' +
+                    UPDATABLE_OPTS_NAMES.join(', ') +
+                    ')'
+            );
+            copiedChanges[name] = copyOpts(changes[name]);
+        });
+        var warnings = options.assertOptions(copiedChanges, 'changes');
+        applyRouteConfigOpts(routeConfigOptsWith(copiedChanges), {
+            op: 'update',
+            options: copiedChanges
+        });
+        warnAboutOptions(warnings);
+    }
+
+    /*
+     * Copy the route overrides without those for `name` (compared
+     * case-insensitively, as for matching).
+     */
+    function routeOverridesWithout(name) {
+        var lname = name.toLowerCase();
+        var routeOverrides = {};
+        var current = routeConfigOpts.routeOverrides || {};
+        Object.keys(current).forEach(function(key) {
+            if (key.toLowerCase() !== lname) {
+                routeOverrides[key] = current[key];
+            }
+        });
+        return routeOverrides;
+    }
+
+    function setRouteOverride(name, routeOpts) {
+        assert.string(name, 'name');
+        assert.object(routeOpts, 'routeOpts');
+        var overrides = {};
+        overrides[name] = routeOpts;
+        var warnings = options.assertOptions({routeOverrides: overrides});
+        var routeOverrides = routeOverridesWithout(name);
+        routeOverrides[name] = copyOpts(routeOpts);
+        applyRouteConfigOpts(
+            routeConfigOptsWith({routeOverrides: routeOverrides}),
+            {op: 'setRouteOverride', route: name, options: routeOverrides[name]}
+        );
+        warnAboutOptions(warnings);
+    }
+
+    function removeRouteOverride(name) {
+        assert.string(name, 'name');
+        var routeOverrides = routeOverridesWithout(name);
+        if (
+            Object.keys(routeOverrides).length ===
+            Object.keys(routeConfigOpts.routeOverrides || {}).length
+        ) {
+            return false;
+        }
+        applyRouteConfigOpts(
+            routeConfigOptsWith({routeOverrides: routeOverrides}),
+            {op: 'removeRouteOverride', route: name}
+        );
+        return true;
+    }
+
+    return {
+        audit: audit,
+        captureResponse: captureResponseForAuditor,
+        close: close,
+        metrics: auditMetrics,
+        removeRouteOverride: removeRouteOverride,
+        setRouteOverride: setRouteOverride,
+        update: update,
+        watchRequest: watchRequest
+    };
+}
+
+/*
+ * Get a request id for frameworks that don't provide one: `req.id` if set
+ * (e.g. by request id middleware), else the "x-request-id" or "request-id"
+ * request header, else a new UUID.
+ */
+function reqIdFromReq(req) {
+    if (req.id) {
+        return String(req.id);
+    }
+    var hdr = req.headers['x-request-id'] || req.headers['request-id'];
+    if (hdr) {
+        return String(hdr);
+    }
+    var b = crypto.randomBytes(16);
+    b[6] = (b[6] & 0x0f) | 0x40;
+    b[8] = (b[8] & 0x3f) | 0x80;
+    var h = b.toString('hex');
+    return [
+        h.slice(0, 8),
+        h.slice(8, 12),
+        h.slice(12, 16),
+        h.slice(16, 20),
+        h.slice(20)
+    ].join('-');
+}
+
+/*
+ * Call `cb` once, when the response has finished or its connection was
+ * closed before that.
+ */
+function onResponseDone(res, cb) {
+    function onDone() {
+        res.removeListener('finish', onDone);
+        res.removeListener('close', onDone);
+        cb();
+    }
+    res.on('finish', onDone);
+    res.on('close', onDone);
+}
+
+// ---- exports
+
+module.exports = {
+    createAuditor: createAuditor,
+    onResponseDone: onResponseDone,
+    reqIdFromReq: reqIdFromReq
+};
@@ -0,0 +1,201 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * The enrichment pipeline for audit records (`opts.enrichers`, then
+ * `opts.polish`).
+ *
+ * An enricher is called as `function (fields, req, res, route, err)`, as
+ * `polish` is, and can change `fields` in place. It returns:
+ *
+ * - `false` to drop the record (later enrichers aren't called);
+ * - a promise (any "thenable"), to wait for before the next enricher. If it
+ *   resolves to `false` the record is dropped. If it doesn't settle within
+ *   the enricher's timeout, the pipeline continues without it;
+ * - anything else to continue with the next enricher.
+ *
+ * An enricher that throws, rejects or times out is reported, and the
+ * pipeline continues: the record is still logged. After a promise settles,
+ * the pipeline continues in a later tick, outside of the promise chain.
+ *
+ * The pipeline runs synchronously until an enricher returns a promise, so
+ * records are logged synchronously if no enricher does.
+ */
+
+var assert = require('assert-plus');
+var format = require('util').format;
+
+// Default time (ms) to wait for an enricher's promise.
+var DEFAULT_ENRICHER_TIMEOUT = 1000;
+
+// ---- internal support
+
+function isThenable(val) {
+    return (
+        val !== null &&
+        (typeof val === 'object' || typeof val === 'function') &&
+        typeof val.then === 'function'
+    );
+}
+
+// ---- exports
+
+/*
+ * Validate an `enrichers` option and compile it to an array of steps,
+ * `{name, enrich, timeout}`, for `runEnrichers`.
+ *
+ * @param {Array} enrichersOpt - An array of enricher functions, or objects
+ *      with these fields:
+ *      - {Function} `enrich` - The enricher. Required.
+ *      - {String} `name` - A name for error messages. Default the function
+ *        name.
+ *      - {Number} `timeout` - Time (ms) to wait for a promise returned by
+ *        the enricher. Default 1000.
+ * @param {String} desc - Description of the option for error messages.
+ * @returns {Array} Empty if `enrichersOpt` is undefined.
+ */
+function compileEnrichers(enrichersOpt, desc) {
+    if (enrichersOpt === undefined) {
+        return [];
+    }
+    assert.array(enrichersOpt, desc);
+
+    return enrichersOpt.map(function(enricher, i) {
+        var stepDesc = desc + '[' + i + ']';
+        var spec =
+            typeof enricher === 'function' ? {enrich: enricher} : enricher;
+        assert.object(spec, stepDesc);
+        assert.func(spec.enrich, stepDesc + '.enrich');
+        assert.optionalString(spec.name, stepDesc + '.name');
+        assert.optionalNumber(spec.timeout, stepDesc + '.timeout');
+        assert.ok(
+            spec.timeout === undefined || spec.timeout > 0,
+            stepDesc + '.timeout is a positive number'
+        );
+        return {
+            name: spec.name || spec.enrich.name || stepDesc,
+            enrich: spec.enrich,
+            timeout: spec.timeout || DEFAULT_ENRICHER_TIMEOUT
+        };
+    });
+}
+
+/*
+ * A step for a `polish` function. Its return value is ignored, as it
+ * always was.
+ */
+function stepFromPolish(polish) {
+    return {
+        name: 'polish',
+        enrich: function polishStep() {
+            polish.apply(null, arguments);
+        },
+        timeout: DEFAULT_ENRICHER_TIMEOUT
+    };
+}
+
+/*
+ * Run enrichment steps in order.
+ *
+ * @param {Array} steps - From `compileEnrichers`.
+ * @param {Array} args - The arguments for each enricher:
+ *      `[fields, req, res, route, err]`.
+ * @param {Function} onError - Called as `onError(step, err)` for an
+ *      enricher that throws, rejects or times out.
+ * @param {Function} cb - Called as `cb(keep)` when done, where `keep` is
+ *      false if an enricher dropped the record. This is called
+ *      synchronously unless an enricher returned a promise.
+ */
+function runEnrichers(steps, args, onError, cb) {
+    var i = 0;
+
+    function waitFor(step, promise) {
+        var settled = false;
+        var timer;
+        function settle(err, result) {
+            if (settled) {
+                return;
+            }
+            settled = true;
+            clearTimeout(timer);
+            if (err) {
+                onError(step, err);
+                next();
+            } else if (result === false) {
+                cb(false);
+            } else {
+                next();
+            }
+        }
+
+        timer = setTimeout(function onEnricherTimeout() {
+            settle(
+                new Error(
+                    format(
+                        'enricher "%s" timed out after %d ms',
+                        step.name,
+                        step.timeout
+                    )
+                )
+            );
+        }, step.timeout);
+        // Don't hold the process open for a slow enricher.
+        if (timer.unref) {
+            timer.unref();
+        }
+
+        // The pipeline continues outside of the promise's handlers, so that
+        // an exception from a later step or `cb` isn't turned into an
+        // unhandled rejection.
+        promise.then(
+            function onResolved(result) {
+                setImmediate(settle, null, result);
+            },
+            function onRejected(err) {
+                setImmediate(
+                    settle,
+                    err ||
+                        new Error(format('enricher "%s" rejected', step.name))
+                );
+            }
+        );
+    }
+
+    function next() {
+        while (i < steps.length) {
+            var step = steps[i];
+            var result;
+            i++;
+            try {
+                result = step.enrich.apply(null, args);
+            } catch (err) {
+                onError(step, err);
+                continue;
+            }
+            if (result === false) {
+                cb(false);
+                return;
+            } else if (isThenable(result)) {
+                waitFor(step, result);
+                return;
+            }
+        }
+        cb(true);
+    }
+
+    next();
+}
+
+module.exports = {
+    DEFAULT_ENRICHER_TIMEOUT: DEFAULT_ENRICHER_TIMEOUT,
+    compileEnrichers: compileEnrichers,
+    runEnrichers: runEnrichers,
+    stepFromPolish: stepFromPolish
+};
@@ -0,0 +1,179 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Shaping of the logged `err` of audit records: the `errDetail` option.
+ *
+ * The error is first serialized by the logger's `err` serializer (or
+ * Bunyan's), which joins the cause chain into one `stack` string. Then, per
+ * the `errDetail` fields:
+ *
+ * - {Boolean} `stack4xx` - Set to false to drop `err.stack` for 4xx
+ *   responses. Default true.
+ * - {Boolean} `causes` - Log the cause chain (VError `cause()`, or an
+ *   Error `cause` property) as `err.causes`, an array of
+ *   `{name, message, code}` (`code` if set), outermost cause first.
+ *   Default false.
+ * - {Boolean} `clientError` - Log the restify error `restCode` as
+ *   `err.restCode`, and the error body sent to the client as `err.body`.
+ *   Default false.
+ * - {Boolean} `info` - Log the VError `info()` fields, merged along the
+ *   cause chain (outer errors win), as `err.info`. Default false.
+ */
+
+// Causes beyond this depth aren't followed, in case of a cycle.
+var MAX_CAUSES = 20;
+
+// ---- internal support
+
+function isErrorLike(val) {
+    return val !== null && typeof val === 'object';
+}
+
+function causeOf(err) {
+    var cause;
+    if (typeof err.cause === 'function') {
+        cause = err.cause();
+    } else {
+        cause = err.cause;
+    }
+    return isErrorLike(cause) ? cause : undefined;
+}
+
+/*
+ * The causes of an error, outermost first, not including the error itself.
+ */
+function causesFromErr(err) {
+    var causes = [];
+    var cause = causeOf(err);
+    while (cause && causes.length < MAX_CAUSES) {
+        causes.push(cause);
+        cause = causeOf(cause);
+    }
+    return causes;
+}
+
+/*
+ * The `VError.info` function for an error of a VError class, found on its
+ * constructor or a super class (by `util.inherits` or `class ... extends`),
+ * else undefined.
+ */
+function verrorInfoFnFor(err) {
+    var ctor = err.constructor;
+    for (var depth = 0; typeof ctor === 'function' && depth < 10; depth++) {
+        if (typeof ctor.info === 'function') {
+            return ctor.info;
+        }
+        ctor = ctor.super_ || Object.getPrototypeOf(ctor);
+    }
+    return undefined;
+}
+
+/*
+ * The VError `info()` fields of an error, merged along its cause chain (as
+ * `VError.info()` does), or undefined if there are none. Errors that aren't
+ * of a VError class, but have a VError cause (e.g. with a `cause` property),
+ * are followed too.
+ */
+function infoFromErr(err) {
+    var info;
+    [err]
+        .concat(causesFromErr(err))
+        .reverse()
+        .forEach(function(e) {
+            var infoFn = verrorInfoFnFor(e);
+            // Without a `VError.info` to call (e.g. for a VError subclass
+            // not set up with `util.inherits` or `extends`), fall back to
+            // the private `jse_info` field that `VError.info` reads.
+            var errInfo = infoFn ? infoFn(e) : e.jse_info;
+            if (isErrorLike(errInfo)) {
+                Object.keys(errInfo).forEach(function(key) {
+                    info = info || {};
+                    info[key] = errInfo[key];
+                });
+            }
+        });
+    return info;
+}
+
+/*
+ * The error body sent to the client: as rendered by `toJSON()` for restify
+ * errors, else their `body`.
+ */
+function clientBodyFromErr(err) {
+    if (typeof err.toJSON === 'function') {
+        var body = err.toJSON();
+        if (isErrorLike(body)) {
+            return body;
+        }
+    }
+    return isErrorLike(err.body) ? err.body : undefined;
+}
+
+// ---- exports
+
+/*
+ * Shape a serialized error per the `errDetail` option (see the top
+ * comment).
+ *
+ * @param {Object} serialized - The error as serialized by the `err`
+ *      serializer. It isn't modified.
+ * @param {Error} err - The error.
+ * @param {Object} errDetail - The `errDetail` option, if any.
+ * @param {Number} statusCode - The response status code, if any.
+ * @returns {Object} `serialized`, or a shaped copy of it.
+ */
+function shapeErr(serialized, err, errDetail, statusCode) {
+    if (!errDetail || !isErrorLike(serialized) || !isErrorLike(err)) {
+        return serialized;
+    }
+
+    var shaped = {};
+    Object.keys(serialized).forEach(function(key) {
+        shaped[key] = serialized[key];
+    });
+
+    if (errDetail.stack4xx === false && Math.floor(statusCode / 100) === 4) {
+        delete shaped.stack;
+    }
+    if (errDetail.causes) {
+        var causes = causesFromErr(err);
+        if (causes.length > 0) {
+            shaped.causes = causes.map(function(cause) {
+                var c = {name: cause.name, message: cause.message};
+                if (cause.code !== undefined) {
+                    c.code = cause.code;
+                }
+                return c;
+            });
+        }
+    }
+    if (errDetail.clientError) {
+        if (typeof err.restCode === 'string') {
+            shaped.restCode = err.restCode;
+        }
+        var body = clientBodyFromErr(err);
+        if (body) {
+            shaped.body = body;
+        }
+    }
+    if (errDetail.info) {
+        var info = infoFromErr(err);
+        if (info) {
+            shaped.info = info;
+        }
+    }
+
+    return shaped;
+}
+
+module.exports = {
+    shapeErr: shapeErr
+};
@@ -0,0 +1,110 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * The Express adapter: an Express middleware.
+ */
+
+var core = require('./core');
+
+/*
+ * Express routes don't have names. Name them as restify names unnamed routes,
+ * e.g. "GET /my/machines/:id" -> "getmymachinesid", so that `routeOverrides`
+ * and `route` rule matches work the same.
+ */
+function routeFromReq(req) {
+    if (!req.route || typeof req.route.path !== 'string') {
+        return null;
+    }
+    var path = (req.baseUrl || '') + req.route.path;
+    return {
+        name: (req.method + '-' + path).replace(/\W/g, '').toLowerCase(),
+        path: path
+    };
+}
+
+/**
+ * Create an audit logger middleware for Express.
+ *
+ * Usage:
+ *
+ *      var auditLogger = createExpressAuditLogger({log: log, ...});
+ *      app.use(auditLogger);
+ *      // ... routes ...
+ *      // Optional: record errors passed to `next(err)` in audit records.
+ *      app.use(auditLogger.errorHandler);
+ *
+ * The audit record is logged when the response finishes (or the connection
+ * is closed before that).
+ *
+ * @param {Object|String} opts - See `createAuditor` in core.js for options.
+ * @returns {Function} An Express middleware, intended to be used before any
+ *      routes. It has an `errorHandler` property: an Express error-handling
+ *      middleware that records the error for the audit record and passes
+ *      it on with `next(err)`; a `close(cb)` method to close the audit
+ *      log sinks; `update`, `setRouteOverride` and `removeRouteOverride`
+ *      methods to change options at runtime; and a `metrics` property (see
+ *      `createAuditor`).
+ */
+function createExpressAuditLogger(opts) {
+    var auditor = core.createAuditor(opts);
+    var errFromReq = new WeakMap();
+
+    function auditLogger(req, res, next) {
+        var start = Date.now();
+        var capture = auditor.captureResponse(res);
+        // The same generated request id for watchdog and audit records.
+        var reqId;
+        function getReqId() {
+            if (reqId === undefined) {
+                reqId = core.reqIdFromReq(req);
+            }
+            return reqId;
+        }
+
+        auditor.watchRequest({
+            req: req,
+            res: res,
+            getReqId: getReqId,
+            getRoute: function getRoute() {
+                return routeFromReq(req);
+            }
+        });
+        core.onResponseDone(res, function auditDone() {
+            auditor.audit({
+                req: req,
+                res: res,
+                route: routeFromReq(req),
+                err: errFromReq.get(req),
+                reqId: getReqId(),
+                latency: Date.now() - start,
+                capture: capture
+            });
+        });
+        next();
+    }
+
+    auditLogger.errorHandler = function auditErrorHandler(err, req, res, next) {
+        errFromReq.set(req, err);
+        next(err);
+    };
+
+    auditLogger.close = auditor.close;
+    auditLogger.update = auditor.update;
+    auditLogger.setRouteOverride = auditor.setRouteOverride;
+    auditLogger.removeRouteOverride = auditor.removeRouteOverride;
+    auditLogger.metrics = auditor.metrics;
+
+    return auditLogger;
+}
+
+module.exports = {
+    createExpressAuditLogger: createExpressAuditLogger
+};
@@ -0,0 +1,100 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Selection and clipping of the request and response headers logged in audit
+ * records: the `reqHeaders` and `resHeaders` options.
+ *
+ * A headers option is an object with any of these fields:
+ *
+ * - {Array} `include` - Names of the only headers to log. Default all.
+ * - {Array} `exclude` - Names of headers not to log, even if included.
+ * - {Number} `maxValueLen` - The maximum length of a logged header value.
+ *   Longer values are clipped and end with "...<elided N chars>", as for
+ *   bodies.
+ *
+ * Header names are compared case-insensitively, and can be globs where "*"
+ * matches any characters, e.g. "x-joyent-*".
+ */
+
+var assert = require('assert-plus');
+
+var common = require('./common');
+
+// ---- internal support
+
+function clipValue(value, maxValueLen) {
+    if (Array.isArray(value)) {
+        // E.g. multiple 'Set-Cookie' response headers.
+        return value.map(function(v) {
+            return clipValue(v, maxValueLen);
+        });
+    } else if (typeof value === 'string' && value.length > maxValueLen) {
+        return (
+            value.slice(0, maxValueLen) +
+            '...<elided ' +
+            (value.length - maxValueLen) +
+            ' chars>'
+        );
+    }
+    return value;
+}
+
+// ---- exports
+
+/*
+ * Validate a `reqHeaders` or `resHeaders` option and compile it to a
+ * function `function (headers)` returning a copy of a headers object with
+ * only the selected headers, their values clipped to `maxValueLen`.
+ *
+ * @param {Object} headersOpt - The option (see the top comment).
+ * @param {String} desc - Description of the option for error messages.
+ * @returns {Function} Or undefined if `headersOpt` is undefined.
+ */
+function compileHeadersOpt(headersOpt, desc) {
+    if (headersOpt === undefined) {
+        return undefined;
+    }
+    assert.object(headersOpt, desc);
+    assert.optionalNumber(headersOpt.maxValueLen, desc + '.maxValueLen');
+
+    var isIncluded = headersOpt.include
+        ? common.compileNames(headersOpt.include, desc + '.include')
+        : null;
+    var isExcluded = headersOpt.exclude
+        ? common.compileNames(headersOpt.exclude, desc + '.exclude')
+        : null;
+    var maxValueLen = headersOpt.maxValueLen;
+
+    return function selectHeaders(headers) {
+        if (!headers) {
+            return headers;
+        }
+        var selected = {};
+        Object.keys(headers).forEach(function(name) {
+            var lname = name.toLowerCase();
+            if (
+                (isIncluded && !isIncluded(lname)) ||
+                (isExcluded && isExcluded(lname))
+            ) {
+                return;
+            }
+            selected[name] =
+                maxValueLen === undefined
+                    ? headers[name]
+                    : clipValue(headers[name], maxValueLen);
+        });
+        return selected;
+    };
+}
+
+module.exports = {
+    compileHeadersOpt: compileHeadersOpt
+};
@@ -0,0 +1,81 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * The plain node `http` adapter: a wrapper for an `http.Server` 'request'
+ * listener.
+ */
+
+var assert = require('assert-plus');
+
+var core = require('./core');
+
+/**
+ * Wrap an `http.Server` 'request' listener to audit log its requests.
+ *
+ * Usage:
+ *
+ *      var server = http.createServer(wrapRequestListener(
+ *          function onRequest(req, res) { ... },
+ *          {log: log, ...}));
+ *
+ * The audit record is logged when the response finishes (or the connection
+ * is closed before that). There are no routes, so `route` rule matches
+ * and `routeOverrides` don't apply: use other `rules` matches, e.g. `path`.
+ *
+ * @param {Function} listener - The 'request' listener to wrap.
+ * @param {Object|String} opts - See `createAuditor` in core.js for options.
+ * @returns {Function} A 'request' listener. It has a `close(cb)` method to
+ *      close the audit log sinks, `update`, `setRouteOverride` and
+ *      `removeRouteOverride` methods to change options at runtime, and a
+ *      `metrics` property (see `createAuditor`).
+ */
+function wrapRequestListener(listener, opts) {
+    assert.func(listener, 'listener');
+    var auditor = core.createAuditor(opts);
+
+    function auditedRequestListener(req, res) {
+        var start = Date.now();
+        var capture = auditor.captureResponse(res);
+        // The same generated request id for watchdog and audit records.
+        var reqId;
+        function getReqId() {
+            if (reqId === undefined) {
+                reqId = core.reqIdFromReq(req);
+            }
+            return reqId;
+        }
+
+        auditor.watchRequest({req: req, res: res, getReqId: getReqId});
+        core.onResponseDone(res, function auditDone() {
+            auditor.audit({
+                req: req,
+                res: res,
+                route: null,
+                reqId: getReqId(),
+                latency: Date.now() - start,
+                capture: capture
+            });
+        });
+        return listener.apply(this, arguments);
+    }
+
+    auditedRequestListener.close = auditor.close;
+    auditedRequestListener.update = auditor.update;
+    auditedRequestListener.setRouteOverride = auditor.setRouteOverride;
+    auditedRequestListener.removeRouteOverride = auditor.removeRouteOverride;
+    auditedRequestListener.metrics = auditor.metrics;
+
+    return auditedRequestListener;
+}
+
+module.exports = {
+    wrapRequestListener: wrapRequestListener
+};
@@ -0,0 +1,117 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Reading audit log files, for the verifier and the `triton-audit` command.
+ */
+
+var assert = require('assert-plus');
+var fs = require('fs');
+var readline = require('readline');
+var stream = require('stream');
+var zlib = require('zlib');
+
+/*
+ * Return a stream of the content of `input`, gunzipped if it starts with
+ * the gzip magic number. That handles gzip-rotated log files whatever their
+ * name, and gzipped stdin.
+ */
+function gunzippedIfGzip(input) {
+    var output = new stream.PassThrough();
+    var started = false;
+
+    input.once('data', function onFirstData(chunk) {
+        started = true;
+        var dest = output;
+        if (chunk.length >= 2 && chunk[0] === 0x1f && chunk[1] === 0x8b) {
+            dest = zlib.createGunzip();
+            dest.on('error', function onGunzipError(err) {
+                output.emit('error', err);
+            });
+            dest.pipe(output);
+        }
+        dest.write(chunk);
+        input.pipe(dest);
+    });
+    input.once('end', function onEnd() {
+        if (!started) {
+            output.end();
+        }
+    });
+    input.on('error', function onInputError(err) {
+        output.emit('error', err);
+    });
+
+    return output;
+}
+
+/*
+ * Call `onLine(line, file, lineNum)` for each line of the given log files
+ * (or stream), in order. `file` is undefined for a stream. `lineNum` is
+ * 1-based, per file.
+ *
+ * @param {Object} opts
+ *      @param {Array} opts.paths - Log file paths. Gzipped files are
+ *          gunzipped.
+ *      @param {Object} opts.stream - Alternatively, a readable stream, e.g.
+ *          `process.stdin`.
+ * @param {Function} onLine
+ * @param {Function} cb - `function (err)`, called when all lines have been
+ *      read, or on the first read error.
+ */
+function forEachLogLine(opts, onLine, cb) {
+    assert.object(opts, 'opts');
+    assert.optionalArrayOfString(opts.paths, 'opts.paths');
+    assert.optionalObject(opts.stream, 'opts.stream');
+    assert.ok(opts.paths || opts.stream, 'opts.paths or opts.stream');
+    assert.func(onLine, 'onLine');
+    assert.func(cb, 'cb');
+
+    var inputs = opts.paths ? opts.paths.slice() : [opts.stream];
+
+    function readNext() {
+        if (inputs.length === 0) {
+            cb();
+            return;
+        }
+        var input = inputs.shift();
+        var file = typeof input === 'string' ? input : undefined;
+        var lineNum = 0;
+
+        var finished = false;
+        function finish(err) {
+            if (!finished) {
+                finished = true;
+                if (err) {
+                    cb(err);
+                } else {
+                    readNext();
+                }
+            }
+        }
+
+        var content = gunzippedIfGzip(file ? fs.createReadStream(file) : input);
+        content.on('error', finish);
+        var lines = readline.createInterface({input: content});
+        lines.on('line', function onReadLine(line) {
+            lineNum++;
+            onLine(line, file, lineNum);
+        });
+        lines.on('close', function onClose() {
+            finish();
+        });
+    }
+
+    readNext();
+}
+
+module.exports = {
+    forEachLogLine: forEachLogLine
+};
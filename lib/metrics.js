@@ -0,0 +1,254 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * In-process request metrics (`opts.metrics`), collected from the audit path.
+ *
+ * Two metrics are kept, each labelled by route name and request method:
+ *
+ * - A request counter, also by response status class ("2xx", "5xx", ...).
+ * - A latency histogram (ms), with cumulative bucket counts as Prometheus
+ *   histograms have.
+ *
+ * Requests are counted whether or not their audit record is logged, i.e.
+ * also for `include: false`, sampled and rate limited requests.
+ */
+
+// Default upper bounds (ms) of the latency histogram buckets.
+var DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+var DEFAULT_PREFIX = 'http_';
+
+// ---- internal support
+
+function statusClassFromCode(statusCode) {
+    if (!(statusCode >= 100 && statusCode < 600)) {
+        return 'unknown';
+    }
+    return Math.floor(statusCode / 100) + 'xx';
+}
+
+function escapeLabelValue(val) {
+    return String(val)
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+function labelsStr(labels) {
+    return (
+        '{' +
+        Object.keys(labels)
+            .map(function(name) {
+                return name + '="' + escapeLabelValue(labels[name]) + '"';
+            })
+            .join(',') +
+        '}'
+    );
+}
+
+// ---- exports
+
+/*
+ * @param {Object} metricsOpts - The `opts.metrics` option, an object or
+ *      `true` for the defaults. See `opts.metrics` in core.js.
+ */
+function AuditMetrics(metricsOpts) {
+    var mo = typeof metricsOpts === 'object' ? metricsOpts : {};
+    this.buckets = (mo.buckets || DEFAULT_BUCKETS).slice();
+    this.prefix = mo.prefix !== undefined ? mo.prefix : DEFAULT_PREFIX;
+    this.since = new Date();
+    // Keyed by route, method and status class.
+    this.counters = {};
+    // Keyed by route and method.
+    this.histograms = {};
+}
+
+/*
+ * Count a completed request.
+ *
+ * @param {String} routeName - The route name, or undefined if none.
+ * @param {String} method - The request method.
+ * @param {Number} statusCode - The response status code.
+ * @param {Number} latency - The request latency (ms). A latency that isn't a
+ *      number (e.g. if the framework doesn't provide it) is not observed by
+ *      the histogram.
+ */
+AuditMetrics.prototype.observe = function observe(
+    routeName,
+    method,
+    statusCode,
+    latency
+) {
+    var route = routeName || '';
+    var statusClass = statusClassFromCode(statusCode);
+
+    var counterKey = [route, method, statusClass].join('\n');
+    var counter = this.counters[counterKey];
+    if (!counter) {
+        counter = this.counters[counterKey] = {
+            route: routeName || null,
+            method: method,
+            statusClass: statusClass,
+            count: 0
+        };
+    }
+    counter.count++;
+
+    if (typeof latency !== 'number' || !isFinite(latency)) {
+        return;
+    }
+    var histKey = [route, method].join('\n');
+    var hist = this.histograms[histKey];
+    if (!hist) {
+        hist = this.histograms[histKey] = {
+            route: routeName || null,
+            method: method,
+            // Non-cumulative counts per bucket, plus one for "+Inf".
+            bucketCounts: this.buckets.map(function() {
+                return 0;
+            }),
+            infCount: 0,
+            sum: 0,
+            count: 0
+        };
+    }
+    var i = 0;
+    while (i < this.buckets.length && latency > this.buckets[i]) {
+        i++;
+    }
+    if (i < this.buckets.length) {
+        hist.bucketCounts[i]++;
+    } else {
+        hist.infCount++;
+    }
+    hist.sum += latency;
+    hist.count++;
+};
+
+/*
+ * @returns {Object} A snapshot of the metrics, safe to modify:
+ *      - `since`: When collection started.
+ *      - `requests`: An array of `{route, method, statusClass, count}`.
+ *        `route` is null for requests with no route.
+ *      - `latency`: An array of `{route, method, buckets, sum, count}`, where
+ *        `buckets` is an array of `{le, count}` with cumulative counts, the
+ *        last with `le: Infinity`.
+ */
+AuditMetrics.prototype.snapshot = function snapshot() {
+    var self = this;
+
+    function byRouteAndMethod(a, b) {
+        return (
+            (a.route || '').localeCompare(b.route || '') ||
+            a.method.localeCompare(b.method)
+        );
+    }
+
+    var requests = Object.keys(self.counters)
+        .map(function(key) {
+            var counter = self.counters[key];
+            return {
+                route: counter.route,
+                method: counter.method,
+                statusClass: counter.statusClass,
+                count: counter.count
+            };
+        })
+        .sort(function(a, b) {
+            return (
+                byRouteAndMethod(a, b) ||
+                a.statusClass.localeCompare(b.statusClass)
+            );
+        });
+
+    var latency = Object.keys(self.histograms)
+        .map(function(key) {
+            var hist = self.histograms[key];
+            var cumulative = 0;
+            var buckets = self.buckets.map(function(le, i) {
+                cumulative += hist.bucketCounts[i];
+                return {le: le, count: cumulative};
+            });
+            buckets.push({le: Infinity, count: cumulative + hist.infCount});
+            return {
+                route: hist.route,
+                method: hist.method,
+                buckets: buckets,
+                sum: hist.sum,
+                count: hist.count
+            };
+        })
+        .sort(byRouteAndMethod);
+
+    return {
+        since: new Date(self.since.getTime()),
+        requests: requests,
+        latency: latency
+    };
+};
+
+/*
+ * @returns {String} The metrics in the Prometheus text exposition format.
+ *      Requests with no route have an empty `route` label.
+ */
+AuditMetrics.prototype.prometheusText = function prometheusText() {
+    var snap = this.snapshot();
+    var requestsName = this.prefix + 'requests_total';
+    var latencyName = this.prefix + 'request_duration_milliseconds';
+    var lines = [
+        '# HELP ' + requestsName + ' Completed HTTP requests.',
+        '# TYPE ' + requestsName + ' counter'
+    ];
+
+    snap.requests.forEach(function(counter) {
+        lines.push(
+            requestsName +
+                labelsStr({
+                    route: counter.route || '',
+                    method: counter.method,
+                    status_class: counter.statusClass
+                }) +
+                ' ' +
+                counter.count
+        );
+    });
+
+    lines.push(
+        '# HELP ' + latencyName + ' HTTP request latency in milliseconds.',
+        '# TYPE ' + latencyName + ' histogram'
+    );
+    snap.latency.forEach(function(hist) {
+        var labels = {route: hist.route || '', method: hist.method};
+        hist.buckets.forEach(function(bucket) {
+            lines.push(
+                latencyName +
+                    '_bucket' +
+                    labelsStr({
+                        route: labels.route,
+                        method: labels.method,
+                        le: bucket.le === Infinity ? '+Inf' : String(bucket.le)
+                    }) +
+                    ' ' +
+                    bucket.count
+            );
+        });
+        lines.push(
+            latencyName + '_sum' + labelsStr(labels) + ' ' + hist.sum,
+            latencyName + '_count' + labelsStr(labels) + ' ' + hist.count
+        );
+    });
+
+    return lines.join('\n') + '\n';
+};
+
+module.exports = {
+    AuditMetrics: AuditMetrics
+};
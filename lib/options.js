@@ -0,0 +1,480 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Validation of the audit logger options against a schema, and loading of
+ * options from a JSON config file (`opts.configFile`).
+ *
+ * The schema checks the structure of the options: types, ranges, enums and
+ * unknown fields (e.g. a typo such as `includeGET2xx`), reporting every
+ * problem at once. Further checks (e.g. that log level names resolve) are
+ * made as the options are used.
+ */
+
+var assert = require('assert-plus');
+var format = require('util').format;
+var fs = require('fs');
+
+var bodies = require('./bodies');
+var rules = require('./rules');
+var schema = require('./schema');
+var sinks = require('./sinks');
+
+// ---- the options schema
+
+var LOG_LEVEL = {type: ['string', 'integer']};
+
+var STRING_OR_STRINGS = {
+    type: ['string', 'array'],
+    items: {type: 'string'}
+};
+
+var BODY_OPTS_SCHEMA = {
+    type: 'object',
+    properties: {
+        include: {type: 'boolean'},
+        includeBuffers: {type: 'boolean'},
+        includeGet2xx: {type: 'boolean'},
+        maxLen: {type: 'number', minimum: 0},
+        bufferPreview: {
+            type: 'object',
+            properties: {
+                length: {type: 'number', minimum: 0},
+                encoding: {enum: ['hex', 'base64']}
+            },
+            required: ['length'],
+            additionalProperties: false
+        },
+        contentTypes: {
+            type: 'object',
+            additionalProperties: {enum: bodies.POLICIES}
+        },
+        decodeContentEncoding: {type: 'boolean'},
+        redact: {type: 'array', items: {type: 'string'}},
+        redactParseFailure: {enum: ['log', 'drop']}
+    },
+    additionalProperties: false
+};
+
+var HEADERS_OPTS_SCHEMA = {
+    type: 'object',
+    properties: {
+        include: {type: 'array', items: {type: 'string'}},
+        exclude: {type: 'array', items: {type: 'string'}},
+        maxValueLen: {type: 'number', minimum: 0}
+    },
+    additionalProperties: false
+};
+
+// The options that can be overridden per route.
+var ROUTE_OPTS_PROPERTIES = {
+    include: {type: 'boolean'},
+    logLevel: LOG_LEVEL,
+    logLevelByStatus: {type: 'object', additionalProperties: LOG_LEVEL},
+    errLogLevel: LOG_LEVEL,
+    slowThreshold: {type: 'number', minimum: 0},
+    slowLogLevel: LOG_LEVEL,
+    reqBody: BODY_OPTS_SCHEMA,
+    resBody: BODY_OPTS_SCHEMA,
+    polish: {type: 'function'},
+    enrichers: {
+        type: 'array',
+        items: {
+            anyOf: [
+                {type: 'function'},
+                {
+                    type: 'object',
+                    properties: {
+                        enrich: {type: 'function'},
+                        name: {type: 'string'},
+                        timeout: {type: 'number', exclusiveMinimum: 0}
+                    },
+                    required: ['enrich'],
+                    additionalProperties: false
+                }
+            ]
+        }
+    },
+    redact: {
+        type: 'object',
+        properties: {
+            headers: {type: 'array', items: {type: 'string'}},
+            query: {type: 'array', items: {type: 'string'}}
+        },
+        additionalProperties: false
+    },
+    reqHeaders: HEADERS_OPTS_SCHEMA,
+    resHeaders: HEADERS_OPTS_SCHEMA,
+    sample: {type: 'number', minimum: 0, maximum: 1},
+    rateLimit: {
+        type: 'object',
+        properties: {
+            max: {type: 'number', minimum: 0},
+            interval: {type: 'number', exclusiveMinimum: 0}
+        },
+        required: ['max'],
+        additionalProperties: false
+    },
+    errDetail: {
+        type: 'object',
+        properties: {
+            stack4xx: {type: 'boolean'},
+            causes: {type: 'boolean'},
+            clientError: {type: 'boolean'},
+            info: {type: 'boolean'}
+        },
+        additionalProperties: false
+    }
+};
+
+var ROUTE_OPTS_SCHEMA = {
+    type: 'object',
+    properties: ROUTE_OPTS_PROPERTIES,
+    additionalProperties: false
+};
+
+var RULE_SCHEMA = {
+    type: 'object',
+    properties: {
+        match: {
+            type: 'object',
+            properties: {
+                route: {type: ['string', 'regexp', 'null']},
+                method: STRING_OR_STRINGS,
+                path: STRING_OR_STRINGS,
+                status: {
+                    type: ['integer', 'string', 'array'],
+                    items: {type: 'integer'}
+                },
+                header: STRING_OR_STRINGS,
+                remoteAddress: STRING_OR_STRINGS
+            },
+            additionalProperties: false
+        }
+    },
+    additionalProperties: false
+};
+Object.keys(ROUTE_OPTS_PROPERTIES).forEach(function(name) {
+    RULE_SCHEMA.properties[name] = ROUTE_OPTS_PROPERTIES[name];
+});
+
+var SINK_SCHEMA = {
+    type: 'object',
+    properties: {
+        type: {enum: sinks.SINK_TYPES},
+        level: LOG_LEVEL,
+        // "bunyan"
+        log: {type: 'object'},
+        // "pino"
+        logger: {type: 'object'},
+        // "file" and "syslog"
+        path: {type: 'string'},
+        rotate: {
+            type: 'object',
+            properties: {
+                size: {type: 'number', exclusiveMinimum: 0},
+                period: {type: 'number', exclusiveMinimum: 0},
+                count: {type: 'integer', minimum: 1}
+            },
+            additionalProperties: false
+        },
+        // "syslog"
+        facility: {type: 'string'},
+        appName: {type: 'string'},
+        // "stream"
+        stream: {type: 'object'},
+        raw: {type: 'boolean'},
+        // "callback"
+        callback: {type: 'function'}
+    },
+    required: ['type'],
+    additionalProperties: false
+};
+
+var HEADER_NAMES = {type: 'array', items: {type: 'string'}};
+
+var OPTIONS_SCHEMA = {
+    type: 'object',
+    properties: {
+        configFile: {type: 'string'},
+        log: {type: 'object'},
+        sinks: {type: 'array', items: SINK_SCHEMA},
+        name: {type: 'string'},
+        chain: {
+            type: 'object',
+            properties: {
+                secretFile: {type: 'string'},
+                stateFile: {type: 'string'},
+                key: {type: 'buffer'},
+                algorithm: {type: 'string'}
+            },
+            additionalProperties: false
+        },
+        captureStreams: {type: 'boolean'},
+        metrics: {
+            type: ['boolean', 'object'],
+            properties: {
+                buckets: {
+                    type: 'array',
+                    items: {type: 'number'},
+                    minItems: 1
+                },
+                prefix: {type: 'string', pattern: '^[a-zA-Z_:][a-zA-Z0-9_:]*$'}
+            },
+            additionalProperties: false
+        },
+        watchdog: {
+            type: 'object',
+            properties: {
+                threshold: {type: 'number', exclusiveMinimum: 0},
+                interval: {type: 'number', exclusiveMinimum: 0},
+                logLevel: LOG_LEVEL
+            },
+            required: ['threshold'],
+            additionalProperties: false
+        },
+        caller: {
+            type: ['boolean', 'function', 'array'],
+            items: {
+                anyOf: [{type: 'function'}, {enum: ['signature', 'basic']}]
+            }
+        },
+        trace: {
+            type: ['boolean', 'object'],
+            properties: {
+                traceparentHeaders: HEADER_NAMES,
+                resTraceparentHeaders: HEADER_NAMES,
+                tracestateHeaders: HEADER_NAMES,
+                reqIdHeaders: HEADER_NAMES
+            },
+            additionalProperties: false
+        },
+        suppressedReportInterval: {type: 'number', exclusiveMinimum: 0},
+        maxRecordSize: {type: 'integer', exclusiveMinimum: 0},
+        rules: {type: 'array', items: RULE_SCHEMA},
+        routeOverrides: {
+            type: 'object',
+            additionalProperties: ROUTE_OPTS_SCHEMA
+        },
+        // The restify adapter's option.
+        restifyVersion: {type: 'integer', minimum: 4}
+    },
+    additionalProperties: false
+};
+Object.keys(ROUTE_OPTS_PROPERTIES).forEach(function(name) {
+    OPTIONS_SCHEMA.properties[name] = ROUTE_OPTS_PROPERTIES[name];
+});
+
+// ---- internal support
+
+/*
+ * Warn about route names that aren't lowercase. They are compared
+ * case-insensitively (restify versions differ in how they lowercase route
+ * names), so mixed case can hide that two entries are for the same route.
+ */
+function routeNameWarnings(opts, desc) {
+    var warnings = [];
+
+    function checkName(name, path, seen) {
+        var lname = name.toLowerCase();
+        if (seen && seen.hasOwnProperty(lname)) {
+            warnings.push({
+                path: path,
+                message:
+                    path +
+                    ' is for the same route as ' +
+                    seen[lname] +
+                    ' (route names are compared case-insensitively)'
+            });
+        } else if (seen) {
+            seen[lname] = path;
+        }
+        if (name !== lname) {
+            warnings.push({
+                path: path,
+                message:
+                    path +
+                    ': route names are compared case-insensitively, use "' +
+                    lname +
+                    '"'
+            });
+        }
+    }
+
+    if (Array.isArray(opts.rules)) {
+        opts.rules.forEach(function(rule, i) {
+            var route = rule && rule.match && rule.match.route;
+            // Not "/pattern/flags" strings.
+            if (
+                typeof route === 'string' &&
+                rules.flagsFromRegExp(route) === undefined
+            ) {
+                checkName(route, desc + '.rules[' + i + '].match.route');
+            }
+        });
+    }
+    if (opts.routeOverrides && typeof opts.routeOverrides === 'object') {
+        var seen = {};
+        Object.keys(opts.routeOverrides).forEach(function(name) {
+            checkName(
+                name,
+                schema.fieldPath(desc + '.routeOverrides', name),
+                seen
+            );
+        });
+    }
+
+    return warnings;
+}
+
+/*
+ * Check what the schema can't express: that `metrics.buckets` are in
+ * increasing order, and the flags of `match.route` RegExps (see
+ * `REGEXP_FLAGS` in rules.js).
+ */
+function semanticErrors(opts, desc) {
+    var errors = [];
+    var buckets = opts.metrics && opts.metrics.buckets;
+    if (Array.isArray(buckets)) {
+        for (var j = 1; j < buckets.length; j++) {
+            if (!(buckets[j] > buckets[j - 1])) {
+                var path = desc + '.metrics.buckets';
+                errors.push({
+                    path: path,
+                    message: path + ' are in increasing order'
+                });
+                break;
+            }
+        }
+    }
+    if (Array.isArray(opts.rules)) {
+        opts.rules.forEach(function(rule, i) {
+            var route = rule && rule.match && rule.match.route;
+            var flags =
+                route instanceof RegExp || typeof route === 'string'
+                    ? rules.flagsFromRegExp(route)
+                    : undefined;
+            var routePath = desc + '.rules[' + i + '].match.route';
+            var message = flags && rules.regExpFlagsError(flags, routePath);
+            if (message) {
+                errors.push({path: routePath, message: message});
+            }
+        });
+    }
+    return errors;
+}
+
+function throwIfErrors(errors, what) {
+    if (errors.length > 0) {
+        assert.ok(
+            false,
+            format(
+                'invalid %s (%d error%s):\n    %s',
+                what,
+                errors.length,
+                errors.length === 1 ? '' : 's',
+                errors
+                    .map(function(e) {
+                        return e.message;
+                    })
+                    .join('\n    ')
+            )
+        );
+    }
+}
+
+// ---- exports
+
+/*
+ * Validate audit logger options (the `opts` to `createAuditLogHandler`, et
+ * al) against the options schema.
+ *
+ * @param {Object} opts - The options.
+ * @param {String} desc - The name of the options for messages. Default
+ *      "opts".
+ * @returns {Object} `{errors, warnings}`, each an array of
+ *      `{path, message}`. `errors` are invalid options, e.g. unknown fields
+ *      or values of the wrong type. `warnings` are e.g. mixed-case route
+ *      names.
+ */
+function validateOptions(opts, desc) {
+    assert.optionalString(desc, 'desc');
+    var name = desc || 'opts';
+    var errors = schema.validate(OPTIONS_SCHEMA, opts, name);
+    var warnings = [];
+    if (opts && typeof opts === 'object') {
+        errors = errors.concat(semanticErrors(opts, name));
+        warnings = routeNameWarnings(opts, name);
+    }
+    return {errors: errors, warnings: warnings};
+}
+
+/*
+ * Validate options as `validateOptions` does, and throw an AssertionError
+ * listing all errors, if any.
+ *
+ * @returns {Array} The warnings.
+ */
+function assertOptions(opts, desc) {
+    var result = validateOptions(opts, desc);
+    throwIfErrors(result.errors, 'audit logger options');
+    return result.warnings;
+}
+
+/*
+ * Load options from `opts.configFile`, a JSON file, if given. Options given
+ * in `opts` take precedence over those from the file, e.g. to give a `log`
+ * or a `polish` function, which can't be in JSON.
+ *
+ * @param {Object|String} opts - The options, or the path to a JSON config
+ *      file as shorthand for `{configFile: <path>}`.
+ * @returns {Object} New options, without `configFile`.
+ */
+function loadOptions(opts) {
+    if (typeof opts === 'string') {
+        opts = {configFile: opts};
+    }
+    assert.object(opts, 'opts');
+    assert.optionalString(opts.configFile, 'opts.configFile');
+
+    var loaded = {};
+    if (opts.configFile) {
+        var fileOpts;
+        try {
+            fileOpts = JSON.parse(fs.readFileSync(opts.configFile, 'utf8'));
+        } catch (err) {
+            assert.ok(
+                false,
+                format(
+                    'opts.configFile "%s" is a readable JSON file: %s',
+                    opts.configFile,
+                    err.message
+                )
+            );
+        }
+        assert.object(fileOpts, 'opts.configFile "' + opts.configFile + '"');
+        Object.keys(fileOpts).forEach(function(key) {
+            loaded[key] = fileOpts[key];
+        });
+    }
+    Object.keys(opts).forEach(function(key) {
+        if (key !== 'configFile') {
+            loaded[key] = opts[key];
+        }
+    });
+    return loaded;
+}
+
+module.exports = {
+    OPTIONS_SCHEMA: OPTIONS_SCHEMA,
+    assertOptions: assertOptions,
+    loadOptions: loadOptions,
+    validateOptions: validateOptions
+};
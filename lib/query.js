@@ -0,0 +1,366 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Filtering and summarizing audit log records, for the `triton-audit`
+ * command.
+ */
+
+var assert = require('assert-plus');
+
+var rules = require('./rules');
+
+var MS_FROM_UNIT = {
+    s: 1000,
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+
+/*
+ * Parse a time for the `since` and `until` filters: an ISO 8601 time (or
+ * anything `Date.parse()` accepts), or a duration before `now`, e.g. "30m",
+ * "1h", "2d".
+ *
+ * @returns {Number} A time in ms since the epoch.
+ */
+function timeFromString(s, now, desc) {
+    assert.string(s, desc);
+    var ago = /^(\d+(?:\.\d+)?)([smhdw])$/.exec(s);
+    if (ago) {
+        return now - Number(ago[1]) * MS_FROM_UNIT[ago[2]];
+    }
+    var t = Date.parse(s);
+    assert.ok(
+        !isNaN(t),
+        desc + ' is a time, or a duration ago (e.g. "1h"): ' + JSON.stringify(s)
+    );
+    return t;
+}
+
+/*
+ * Whether a log record is an audit record for a request. This excludes
+ * other log records, and audit log records that aren't for a single request
+ * (suppressed record counts and chain-start markers).
+ */
+function isRequestRecord(rec) {
+    return Boolean(
+        rec &&
+            rec.audit === true &&
+            typeof rec.req === 'object' &&
+            typeof rec.res === 'object'
+    );
+}
+
+/*
+ * Whether a log record is a suppressed record count (see `opts.sample` and
+ * `opts.rateLimit`).
+ */
+function isSuppressedRecord(rec) {
+    return Boolean(
+        rec && rec.audit === true && typeof rec.suppressed === 'number'
+    );
+}
+
+function routeMatcherFromString(s, desc) {
+    assert.string(s, desc);
+    var re = rules.regExpFromString(s, desc);
+    if (re) {
+        return function matchRouteRegExp(route) {
+            return Boolean(route) && re.test(route);
+        };
+    }
+    var lname = s.toLowerCase();
+    return function matchRouteName(route) {
+        return Boolean(route) && route.toLowerCase() === lname;
+    };
+}
+
+/*
+ * The tests for the `routes`, `since` and `until` filters, which apply to
+ * request audit records and suppressed record counts alike.
+ */
+function routeAndTimeTests(filterOpts) {
+    var tests = [];
+
+    if (filterOpts.routes && filterOpts.routes.length > 0) {
+        var routeMatchers = filterOpts.routes.map(function(s) {
+            return routeMatcherFromString(s, 'filterOpts.routes');
+        });
+        tests.push(function matchRoute(rec) {
+            return routeMatchers.some(function(matcher) {
+                return matcher(rec.route);
+            });
+        });
+    }
+    if (filterOpts.since !== undefined || filterOpts.until !== undefined) {
+        tests.push(function matchTime(rec) {
+            var t = Date.parse(rec.time);
+            return (
+                !isNaN(t) &&
+                (filterOpts.since === undefined || t >= filterOpts.since) &&
+                (filterOpts.until === undefined || t < filterOpts.until)
+            );
+        });
+    }
+
+    return tests;
+}
+
+/*
+ * Create a filter for request audit records.
+ *
+ * @param {Object} filterOpts - All given filters must match.
+ *      @param {Array} filterOpts.routes - Route names (compared
+ *          case-insensitively) or "/pattern/flags" strings. Any must match.
+ *      @param {String} filterOpts.status - A status code, status class
+ *          ("5xx") or range ("400-499").
+ *      @param {Number} filterOpts.minLatency - A minimum latency, in ms.
+ *      @param {Array} filterOpts.remoteAddresses - IP addresses or CIDRs.
+ *          Any must match.
+ *      @param {Number} filterOpts.since - A time in ms since the epoch.
+ *      @param {Number} filterOpts.until - A time in ms since the epoch.
+ *      @param {Array} filterOpts.reqIds - Request ids. Any must match.
+ * @returns {Function} `function (rec)` returning true for request audit
+ *      records (see `isRequestRecord`) that match.
+ */
+function createRecordFilter(filterOpts) {
+    assert.object(filterOpts, 'filterOpts');
+    assert.optionalArrayOfString(filterOpts.routes, 'filterOpts.routes');
+    assert.optionalString(filterOpts.status, 'filterOpts.status');
+    assert.optionalNumber(filterOpts.minLatency, 'filterOpts.minLatency');
+    assert.optionalArrayOfString(
+        filterOpts.remoteAddresses,
+        'filterOpts.remoteAddresses'
+    );
+    assert.optionalNumber(filterOpts.since, 'filterOpts.since');
+    assert.optionalNumber(filterOpts.until, 'filterOpts.until');
+    assert.optionalArrayOfString(filterOpts.reqIds, 'filterOpts.reqIds');
+
+    var tests = [isRequestRecord].concat(routeAndTimeTests(filterOpts));
+
+    if (filterOpts.status !== undefined) {
+        var range = rules.statusRangeFromMatch(
+            filterOpts.status,
+            'filterOpts.status'
+        );
+        tests.push(function matchStatus(rec) {
+            var code = rec.res.statusCode;
+            return code >= range[0] && code <= range[1];
+        });
+    }
+    if (filterOpts.minLatency !== undefined) {
+        tests.push(function matchLatency(rec) {
+            return rec.latency >= filterOpts.minLatency;
+        });
+    }
+    if (filterOpts.remoteAddresses && filterOpts.remoteAddresses.length > 0) {
+        var cidrMatchers = filterOpts.remoteAddresses.map(function(cidr) {
+            return rules.cidrMatcherFromString(
+                cidr,
+                'filterOpts.remoteAddresses'
+            );
+        });
+        tests.push(function matchRemoteAddress(rec) {
+            return (
+                typeof rec.remoteAddress === 'string' &&
+                cidrMatchers.some(function(matchCidr) {
+                    return matchCidr(rec.remoteAddress);
+                })
+            );
+        });
+    }
+    if (filterOpts.reqIds && filterOpts.reqIds.length > 0) {
+        tests.push(function matchReqId(rec) {
+            return filterOpts.reqIds.indexOf(rec.req_id) !== -1;
+        });
+    }
+
+    return function filterRecord(rec) {
+        return tests.every(function(test) {
+            return test(rec);
+        });
+    };
+}
+
+/*
+ * Create a filter for suppressed record counts, to add to an `AuditSummary`
+ * along with the request audit records matching `createRecordFilter()`.
+ * Only the `routes`, `since` and `until` filters can be applied to counts,
+ * so no counts match if any other filter is given.
+ *
+ * @param {Object} filterOpts - As for `createRecordFilter`.
+ * @returns {Function} `function (rec)` returning true for suppressed record
+ *      counts (see `isSuppressedRecord`) that match.
+ */
+function createSuppressedFilter(filterOpts) {
+    assert.object(filterOpts, 'filterOpts');
+    var countable = !(
+        filterOpts.status !== undefined ||
+        filterOpts.minLatency !== undefined ||
+        (filterOpts.remoteAddresses && filterOpts.remoteAddresses.length > 0) ||
+        (filterOpts.reqIds && filterOpts.reqIds.length > 0)
+    );
+    var tests = [isSuppressedRecord].concat(routeAndTimeTests(filterOpts));
+
+    return function filterSuppressed(rec) {
+        return (
+            countable &&
+            tests.every(function(test) {
+                return test(rec);
+            })
+        );
+    };
+}
+
+/*
+ * The nearest-rank percentile of weighted latencies, `[latency, weight]`
+ * sorted by latency, or undefined if there are none.
+ */
+function weightedPercentile(sorted, p) {
+    var totalWeight = sorted.reduce(function(sum, lw) {
+        return sum + lw[1];
+    }, 0);
+    var rankWeight = (p / 100) * totalWeight;
+    var cumWeight = 0;
+    for (var i = 0; i < sorted.length; i++) {
+        cumWeight += sorted[i][1];
+        if (cumWeight >= rankWeight) {
+            return sorted[i][0];
+        }
+    }
+    return sorted.length > 0 ? sorted[sorted.length - 1][0] : undefined;
+}
+
+function newStats(route) {
+    return {
+        route: route,
+        numRecords: 0,
+        count: 0,
+        count4xx: 0,
+        count5xx: 0,
+        latencies: []
+    };
+}
+
+function rowFromStats(stats) {
+    var sorted = stats.latencies.sort(function(a, b) {
+        return a[0] - b[0];
+    });
+    return {
+        route: stats.route,
+        records: stats.numRecords,
+        count: Math.round(stats.count),
+        count4xx: Math.round(stats.count4xx),
+        count5xx: Math.round(stats.count5xx),
+        rate4xx: stats.count ? stats.count4xx / stats.count : 0,
+        rate5xx: stats.count ? stats.count5xx / stats.count : 0,
+        p50: weightedPercentile(sorted, 50),
+        p95: weightedPercentile(sorted, 95),
+        p99: weightedPercentile(sorted, 99)
+    };
+}
+
+/*
+ * The number of requests an audit record stands for: `1 / sampleRate` for a
+ * sampled record, else 1.
+ */
+function weightFromRec(rec) {
+    return typeof rec.sampleRate === 'number' && rec.sampleRate > 0
+        ? 1 / rec.sampleRate
+        : 1;
+}
+
+/*
+ * Per-route summary of request audit records: counts, 4xx and 5xx error
+ * rates, and p50/p95/p99 latency.
+ *
+ * Counts are estimates of the requests made, not of the records logged:
+ * a sampled record counts as `1 / sampleRate` requests (and weighs as much
+ * in the error rates and latency percentiles), and suppressed record counts
+ * (see `isSuppressedRecord`) add their `suppressedByRateLimit` requests.
+ * Those requests' status codes and latencies aren't known; they weren't
+ * errors (5xx or `err`), as errors are never suppressed. Records suppressed
+ * by sampling (`suppressedBySample`) are already counted by the weight of
+ * the sampled records.
+ */
+function AuditSummary() {
+    this.statsFromRoute = {};
+    this.total = newStats(undefined);
+}
+
+/*
+ * Add a request audit record or a suppressed record count.
+ */
+AuditSummary.prototype.add = function add(rec) {
+    var key = rec.route || '';
+    var stats = this.statsFromRoute[key];
+    if (!stats) {
+        stats = this.statsFromRoute[key] = newStats(rec.route);
+    }
+    var weight = weightFromRec(rec);
+
+    if (isSuppressedRecord(rec)) {
+        // Records suppressed by the rate limit after being sampled stand for
+        // `1 / sampleRate` requests each, too.
+        var numRateLimited = (rec.suppressedByRateLimit || 0) * weight;
+        [stats, this.total].forEach(function(s) {
+            s.count += numRateLimited;
+        });
+        return;
+    }
+
+    var code = rec.res.statusCode;
+    [stats, this.total].forEach(function(s) {
+        s.numRecords++;
+        s.count += weight;
+        if (code >= 400 && code < 500) {
+            s.count4xx += weight;
+        } else if (code >= 500 && code < 600) {
+            s.count5xx += weight;
+        }
+        if (typeof rec.latency === 'number') {
+            s.latencies.push([rec.latency, weight]);
+        }
+    });
+};
+
+/*
+ * @returns {Object} `{routes: [<row>, ...], total: <row>}`. Route rows are
+ *      sorted by descending count. A row has `route` (undefined for requests
+ *      with no route), `records` (the number of request records added),
+ *      `count`, `count4xx` and `count5xx` (estimated numbers of requests,
+ *      rounded), `rate4xx`, `rate5xx` (fractions of `count`), and `p50`,
+ *      `p95` and `p99` latency in ms.
+ */
+AuditSummary.prototype.end = function end() {
+    var self = this;
+    var routes = Object.keys(self.statsFromRoute)
+        .map(function(key) {
+            return rowFromStats(self.statsFromRoute[key]);
+        })
+        .sort(function(a, b) {
+            return (
+                b.count - a.count ||
+                (a.route || '').localeCompare(b.route || '')
+            );
+        });
+    return {routes: routes, total: rowFromStats(self.total)};
+};
+
+module.exports = {
+    AuditSummary: AuditSummary,
+    createRecordFilter: createRecordFilter,
+    createSuppressedFilter: createSuppressedFilter,
+    isRequestRecord: isRequestRecord,
+    isSuppressedRecord: isSuppressedRecord,
+    timeFromString: timeFromString
+};
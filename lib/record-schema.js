@@ -0,0 +1,271 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * The JSON Schema for audit records, for consumers of audit logs (e.g. log
+ * ingestion or billing jobs).
+ *
+ * Every audit record has a `schemaVersion` field. `AUDIT_RECORD_SCHEMA_VERSION`
+ * is incremented for any change to the record shape that could break a
+ * consumer: removing or renaming a field, or changing its type. Adding an
+ * optional field doesn't change the version.
+ *
+ * The schema describes records as they are logged, i.e. as JSON: e.g.
+ * `time` is an ISO 8601 string. Records can have other top-level fields
+ * than those described: the fields of the `opts.log` logger, and any added
+ * by `opts.enrichers` or `opts.polish`. The `req` and `res` objects can
+ * only have the fields described.
+ *
+ * The schema is also shipped as "schema/audit-record-v<N>.json", for
+ * consumers not using node. Regenerate it with `make schema` after changing
+ * the schema here (a test checks that they match).
+ */
+
+var assert = require('assert-plus');
+
+var schema = require('./schema');
+
+var AUDIT_RECORD_SCHEMA_VERSION = 1;
+
+var HEADERS_SCHEMA = {
+    type: 'object',
+    additionalProperties: {
+        type: ['string', 'number', 'array'],
+        items: {type: 'string'}
+    }
+};
+
+// A logged body: a (possibly clipped) string, or a JSON body as is.
+var BODY_SCHEMA = {
+    type: ['string', 'object', 'array', 'number', 'boolean', 'null']
+};
+
+var REQ_SCHEMA = {
+    description: 'The request. `false` if there was none.',
+    type: ['object', 'boolean'],
+    properties: {
+        body: BODY_SCHEMA,
+        connectionState: {type: 'string'},
+        headers: HEADERS_SCHEMA,
+        httpVersion: {type: 'string'},
+        method: {type: 'string'},
+        query: {
+            description: 'The parsed query object, or the raw query string.',
+            type: ['object', 'string']
+        },
+        timers: {
+            description: 'Handler run times (microseconds) by handler name.',
+            type: 'object',
+            additionalProperties: {type: 'number'}
+        },
+        trailers: {type: 'object'},
+        url: {type: 'string'},
+        version: {
+            description: 'The restify API version requested.',
+            type: 'string'
+        }
+    },
+    additionalProperties: false
+};
+
+var RES_SCHEMA = {
+    description: 'The response. `false` if there was none.',
+    type: ['object', 'boolean'],
+    properties: {
+        body: BODY_SCHEMA,
+        bodyLength: {
+            description: 'The full length (bytes) of a captured response.',
+            type: 'integer',
+            minimum: 0
+        },
+        headers: HEADERS_SCHEMA,
+        statusCode: {type: 'integer'},
+        trailer: {type: ['boolean', 'string']}
+    },
+    additionalProperties: false
+};
+
+var ERR_SCHEMA = {
+    description:
+        'The error the request completed with, serialized by the ' +
+        "logger's `err` serializer.",
+    type: 'object',
+    properties: {
+        message: {type: 'string'},
+        name: {type: 'string'},
+        stack: {type: 'string'},
+        causes: {
+            description: 'The cause chain, outermost first (`errDetail`).',
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: {type: 'string'},
+                    message: {type: 'string'},
+                    code: {type: ['string', 'number']}
+                },
+                additionalProperties: false
+            }
+        },
+        restCode: {type: 'string'},
+        body: {
+            description: 'The error body sent to the client (`errDetail`).',
+            type: 'object'
+        },
+        info: {
+            description: 'VError `info()` fields (`errDetail`).',
+            type: 'object'
+        }
+    }
+};
+
+var AUDIT_RECORD_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'urn:triton-audit-logger:audit-record:v' + AUDIT_RECORD_SCHEMA_VERSION,
+    title: 'triton-audit-logger audit record',
+    type: 'object',
+    properties: {
+        // Bunyan record fields.
+        name: {type: 'string'},
+        hostname: {type: 'string'},
+        pid: {type: 'integer'},
+        level: {type: 'integer'},
+        msg: {type: 'string'},
+        time: {
+            description: 'An ISO 8601 time.',
+            type: 'string',
+            pattern: '^\\d{4}-\\d\\d-\\d\\dT\\d\\d:\\d\\d:\\d\\d(\\.\\d+)?Z$'
+        },
+        v: {const: 0},
+
+        audit: {const: true},
+        schemaVersion: {const: AUDIT_RECORD_SCHEMA_VERSION},
+
+        // A handled request.
+        req_id: {type: 'string'},
+        route: {type: 'string'},
+        req: REQ_SCHEMA,
+        res: RES_SCHEMA,
+        err: ERR_SCHEMA,
+        latency: {
+            description: 'The request latency (ms).',
+            type: 'number',
+            minimum: 0
+        },
+        remoteAddress: {type: 'string'},
+        remotePort: {type: 'integer'},
+        secure: {type: 'boolean'},
+        streamed: {const: true},
+        slow: {const: true},
+        timerBreakdown: {
+            description: 'Handler run times, slowest first, for slow requests.',
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: {type: 'string'},
+                    ms: {type: 'number'}
+                },
+                required: ['name', 'ms'],
+                additionalProperties: false
+            }
+        },
+        sampleRate: {type: 'number', minimum: 0, maximum: 1},
+        caller: {
+            description: "The caller's identity, e.g. `{scheme, account}`.",
+            type: 'object',
+            properties: {
+                scheme: {type: 'string'}
+            }
+        },
+        trace_id: {type: 'string'},
+        span_id: {type: 'string'},
+        parent_span_id: {type: 'string'},
+        upstream_req_id: {type: 'string'},
+        enrichErrors: {
+            description: 'Enricher failures, as "<name>: <message>".',
+            type: 'array',
+            items: {type: 'string'}
+        },
+        truncated: {
+            description: 'The pieces clipped or dropped for `maxRecordSize`.',
+            type: 'array',
+            items: {type: 'string'}
+        },
+
+        // A request still in flight (`opts.watchdog`).
+        inFlight: {const: true},
+        elapsed: {type: 'number', minimum: 0},
+
+        // Suppressed record counts (`opts.sample`, `opts.rateLimit`).
+        suppressed: {type: 'integer', minimum: 0},
+        suppressedBySample: {type: 'integer', minimum: 0},
+        suppressedByRateLimit: {type: 'integer', minimum: 0},
+
+        // A change of options on a live audit logger.
+        configChange: {
+            type: 'object',
+            properties: {
+                op: {
+                    enum: ['update', 'setRouteOverride', 'removeRouteOverride']
+                },
+                route: {type: 'string'},
+                options: {type: 'object'}
+            },
+            required: ['op'],
+            additionalProperties: false
+        },
+
+        // The hash chain (`opts.chain`).
+        chainStart: {const: true},
+        prevChainId: {type: 'string'},
+        prevSeq: {type: 'integer', minimum: 0},
+        prevDigest: {type: 'string'},
+        chainId: {type: 'string'},
+        seq: {type: 'integer', minimum: 0},
+        hmac: {type: 'string'}
+    },
+    required: [
+        'name',
+        'hostname',
+        'pid',
+        'level',
+        'msg',
+        'time',
+        'v',
+        'audit',
+        'schemaVersion'
+    ]
+};
+
+/*
+ * Validate an audit record against `AUDIT_RECORD_SCHEMA`. The record is
+ * validated as JSON, so a record object as passed to a sink (e.g. with
+ * `time` as a Date) or one parsed from a log file can be given.
+ *
+ * @param {Object} rec - The audit record.
+ * @returns {Array} The errors found, each `{path, message}`, e.g.
+ *      `{path: 'rec.res.statusCode', message: 'rec.res.statusCode
+ *      (integer) is required: got string'}`. Empty if the record is valid.
+ */
+function validateAuditRecord(rec) {
+    assert.object(rec, 'rec');
+    return schema.validate(
+        AUDIT_RECORD_SCHEMA,
+        JSON.parse(JSON.stringify(rec)),
+        'rec'
+    );
+}
+
+module.exports = {
+    AUDIT_RECORD_SCHEMA: AUDIT_RECORD_SCHEMA,
+    AUDIT_RECORD_SCHEMA_VERSION: AUDIT_RECORD_SCHEMA_VERSION,
+    validateAuditRecord: validateAuditRecord
+};
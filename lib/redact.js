@@ -0,0 +1,304 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Redaction of sensitive data in audit log records.
+ *
+ * All functions here work on *copies* of the given data. The live request
+ * and response objects are never modified, so that other 'after' handlers
+ * see the original values.
+ */
+
+var common = require('./common');
+
+var REDACTED = '(redacted)';
+
+// Headers that are redacted if `opts.redact.headers` is not specified.
+var DEFAULT_REDACT_HEADERS = [
+    'authorization',
+    'cookie',
+    'proxy-authorization',
+    'set-cookie',
+    'x-auth-token',
+    'x-registry-auth'
+];
+
+// Headers whose value is "<scheme> <credentials>" (RFC 7235).
+var AUTH_HEADERS = ['authorization', 'proxy-authorization'];
+
+/*
+ * Redact an "Authorization"-style header value, keeping the auth scheme so
+ * operators can still see what kind of credential was sent. For the HTTP
+ * Signature scheme the `keyId` (which identifies, but does not prove, the
+ * caller) is kept as well. E.g.:
+ *
+ *      Basic Ym9iOnNlY3JldA==
+ *          -> Basic (redacted)
+ *      Signature keyId="/bob/keys/aa:bb",algorithm="rsa-sha256",signature="..."
+ *          -> Signature keyId="/bob/keys/aa:bb" (redacted)
+ */
+function redactAuthValue(value) {
+    var auth = common.authFromValue(value);
+    if (!auth) {
+        return REDACTED;
+    }
+
+    if (auth.scheme.toLowerCase() === 'signature') {
+        var keyId = common.keyIdFromSignature(auth.credentials);
+        if (keyId !== undefined) {
+            return auth.scheme + ' keyId="' + keyId + '" ' + REDACTED;
+        }
+    }
+    return auth.scheme + ' ' + REDACTED;
+}
+
+function redactHeaderValue(name, value) {
+    if (Array.isArray(value)) {
+        // E.g. multiple 'Set-Cookie' response headers.
+        return value.map(function(v) {
+            return redactHeaderValue(name, v);
+        });
+    } else if (value === undefined || value === null) {
+        return value;
+    } else if (AUTH_HEADERS.indexOf(name) !== -1) {
+        return redactAuthValue(String(value));
+    } else {
+        return REDACTED;
+    }
+}
+
+/*
+ * Return a copy of the `headers` object with the values of the named headers
+ * redacted.
+ *
+ * @param {Object} headers - A headers object, e.g. `req.headers`. Header
+ *      names are expected to be lowercase, as they are from node's http
+ *      module.
+ * @param {Array} names - Lowercase names of headers to redact.
+ */
+function redactHeaders(headers, names) {
+    if (!headers || !names || names.length === 0) {
+        return headers;
+    }
+
+    var copy = {};
+    Object.keys(headers).forEach(function(name) {
+        var lname = name.toLowerCase();
+        if (names.indexOf(lname) !== -1) {
+            copy[name] = redactHeaderValue(lname, headers[name]);
+        } else {
+            copy[name] = headers[name];
+        }
+    });
+    return copy;
+}
+
+// ---- query parameter redaction
+
+/*
+ * Redact the values of matching parameters in a query string (without the
+ * leading "?"). Other parameters are left as they were, byte for byte.
+ */
+function redactQueryString(qs, isRedactedParam) {
+    return qs
+        .split('&')
+        .map(function(param) {
+            var eq = param.indexOf('=');
+            if (eq === -1) {
+                return param;
+            }
+            var name = common.safeDecodeURIComponent(
+                param.slice(0, eq).replace(/\+/g, ' ')
+            );
+            if (!isRedactedParam(name.toLowerCase())) {
+                return param;
+            }
+            return param.slice(0, eq + 1) + encodeURIComponent(REDACTED);
+        })
+        .join('&');
+}
+
+/*
+ * Return a URL (e.g. `req.url`) with the values of the matching query
+ * parameters redacted, e.g. for `redact.query` of `['signature']`:
+ *
+ *      /bob/stor/a.txt?algorithm=RSA-SHA256&signature=cc%2Fdd%3D
+ *          -> /bob/stor/a.txt?algorithm=RSA-SHA256&signature=(redacted)
+ *
+ * @param {String} url - The URL.
+ * @param {Function} isRedactedParam - Tests a lowercase parameter name.
+ */
+function redactUrl(url, isRedactedParam) {
+    if (!isRedactedParam || typeof url !== 'string') {
+        return url;
+    }
+    var qIdx = url.indexOf('?');
+    if (qIdx === -1) {
+        return url;
+    }
+    var hashIdx = url.indexOf('#', qIdx);
+    var end = hashIdx === -1 ? url.length : hashIdx;
+    return (
+        url.slice(0, qIdx + 1) +
+        redactQueryString(url.slice(qIdx + 1, end), isRedactedParam) +
+        url.slice(end)
+    );
+}
+
+/*
+ * Return a copy of a request's query with the values of the matching
+ * parameters redacted. The query can be a query string (e.g. restify's
+ * `req.getQuery()`) or a parsed query object (e.g. from restify's
+ * queryParser plugin, or Express' `req.query`).
+ *
+ * @param {String|Object} query - The query.
+ * @param {Function} isRedactedParam - Tests a lowercase parameter name.
+ */
+function redactQuery(query, isRedactedParam) {
+    if (!isRedactedParam || !query) {
+        return query;
+    } else if (typeof query === 'string') {
+        return redactQueryString(query, isRedactedParam);
+    } else if (typeof query !== 'object') {
+        return query;
+    }
+
+    var copy = {};
+    Object.keys(query).forEach(function(name) {
+        var val = query[name];
+        if (!isRedactedParam(name.toLowerCase())) {
+            copy[name] = val;
+        } else if (Array.isArray(val)) {
+            // E.g. "?token=a&token=b"
+            copy[name] = val.map(function() {
+                return REDACTED;
+            });
+        } else {
+            copy[name] = REDACTED;
+        }
+    });
+    return copy;
+}
+
+// ---- JSON body field redaction
+
+function isJsonContentType(contentType) {
+    if (!contentType) {
+        return false;
+    }
+    // E.g. "application/json", "application/merge-patch+json; charset=utf-8"
+    var mediaType = String(contentType)
+        .split(';')[0]
+        .trim()
+        .toLowerCase();
+    return /^[a-z0-9.+-]+\/([a-z0-9.-]+\+)?json$/.test(mediaType);
+}
+
+/*
+ * Redact the fields at the given (split) selector path, starting at path
+ * segment index `i`, in-place in `node`.
+ */
+function redactAtPath(node, path, i) {
+    if (node === null || typeof node !== 'object') {
+        return;
+    }
+
+    var seg = path[i];
+    var isLast = i === path.length - 1;
+
+    if (seg === '**') {
+        // Zero levels ...
+        if (isLast) {
+            Object.keys(node).forEach(function(key) {
+                node[key] = REDACTED;
+            });
+            return;
+        }
+        redactAtPath(node, path, i + 1);
+        // ... or one or more levels.
+        Object.keys(node).forEach(function(key) {
+            redactAtPath(node[key], path, i);
+        });
+        return;
+    }
+
+    Object.keys(node).forEach(function(key) {
+        if (seg !== '*' && seg !== key) {
+            return;
+        }
+        if (isLast) {
+            node[key] = REDACTED;
+        } else {
+            redactAtPath(node[key], path, i + 1);
+        }
+    });
+}
+
+/*
+ * Redact fields matching the given field selectors in-place in `obj`.
+ *
+ * @param {Object} obj - A parsed JSON value.
+ * @param {Array} selectors - Dot-separated field paths, e.g. "password",
+ *      "*.secret", "metadata.credentials", "**.token".
+ */
+function redactFields(obj, selectors) {
+    selectors.forEach(function(selector) {
+        redactAtPath(obj, selector.split('.'), 0);
+    });
+}
+
+/*
+ * Return a copy of the given request or response body with the fields
+ * selected by `bodyOpts.redact` redacted.
+ *
+ * JSON string and Buffer bodies (per `contentType`) are parsed, redacted and
+ * re-serialized. Object bodies (e.g. `req.body` as parsed by restify's
+ * bodyParser) are redacted and serialized. Other bodies are returned as is.
+ *
+ * A JSON body that cannot be parsed is handled per
+ * `bodyOpts.redactParseFailure`: "log" returns it as is, "drop" (the
+ * default) returns `undefined`.
+ */
+function redactBody(body, contentType, bodyOpts) {
+    var obj;
+
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+        if (!isJsonContentType(contentType)) {
+            return body;
+        }
+        try {
+            obj = JSON.parse(body.toString('utf8'));
+        } catch (_parseErr) {
+            return bodyOpts.redactParseFailure === 'log' ? body : undefined;
+        }
+    } else if (typeof body === 'object') {
+        try {
+            obj = JSON.parse(JSON.stringify(body));
+        } catch (_stringifyErr) {
+            return bodyOpts.redactParseFailure === 'log' ? body : undefined;
+        }
+    } else {
+        return body;
+    }
+
+    redactFields(obj, bodyOpts.redact);
+    return JSON.stringify(obj);
+}
+
+module.exports = {
+    DEFAULT_REDACT_HEADERS: DEFAULT_REDACT_HEADERS,
+    REDACTED: REDACTED,
+    isJsonContentType: isJsonContentType,
+    redactBody: redactBody,
+    redactFields: redactFields,
+    redactHeaders: redactHeaders,
+    redactQuery: redactQuery,
+    redactUrl: redactUrl
+};
@@ -0,0 +1,263 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * The restify adapter: a handler for restify's 'after' event.
+ *
+ * Restify versions 4 and later are supported. They differ in how request
+ * timing is kept:
+ *
+ * - restify 4.x: `req._time` is `Date.now()` at request start. `req.timers`
+ *   names are unique (a handler run twice overwrites its timing).
+ * - restify 5.x: as 4.x, but timings for a repeated handler name are summed,
+ *   and `req.connectionState()` reports a closed or aborted connection.
+ * - restify 6.x: `req._time` is a `process.hrtime()`.
+ * - restify 7.x and later: `req._time` is gone. `req._timeStart` and
+ *   `req._timeFlushed` are `process.hrtime()`s for request start and for
+ *   when the response was flushed.
+ *
+ * The restify major version is detected from each request by how it keeps
+ * timing. `opts.restifyVersion` is only used if that fails.
+ */
+
+var core = require('./core');
+var options = require('./options');
+
+// The restify major version assumed if it cannot be detected, and
+// `opts.restifyVersion` isn't given.
+var LATEST_RESTIFY_MAJOR = 7;
+
+var NS_PER_SEC = 1e9;
+
+/*
+ * The major version of the restify that created a request, from how it
+ * keeps request timing (see the top comment), or undefined if it cannot be
+ * told. Restify 4 and 5 keep timing the same way: 5 added
+ * `req.connectionState()`.
+ */
+function majorFromReq(req) {
+    if (Array.isArray(req._timeStart)) {
+        return 7;
+    } else if (Array.isArray(req._time)) {
+        return 6;
+    } else if (typeof req._time === 'number') {
+        return typeof req.connectionState === 'function' ? 5 : 4;
+    }
+    return undefined;
+}
+
+/*
+ * The difference between two `process.hrtime()`s in ms, or undefined if
+ * either isn't set.
+ */
+function msFromHrtimes(start, end) {
+    if (!Array.isArray(start) || !Array.isArray(end)) {
+        return undefined;
+    }
+    var ns = (end[0] - start[0]) * NS_PER_SEC + (end[1] - start[1]);
+    return Math.round(ns / 1e6);
+}
+
+/*
+ * Return functions to get timing details from restify requests for the given
+ * restify major version.
+ */
+function accessorsFromMajor(major) {
+    var latencyFromReq;
+    if (major >= 7) {
+        latencyFromReq = function latencyFromReq7(req) {
+            return msFromHrtimes(
+                req._timeStart,
+                req._timeFlushed || process.hrtime()
+            );
+        };
+    } else if (major === 6) {
+        latencyFromReq = function latencyFromReq6(req) {
+            return msFromHrtimes(req._time, process.hrtime());
+        };
+    } else {
+        latencyFromReq = function latencyFromReq4(req) {
+            return Date.now() - req._time;
+        };
+    }
+
+    return {
+        latencyFromReq: latencyFromReq,
+        sumTimers: major >= 5,
+        hasConnectionState: major >= 5
+    };
+}
+
+function timersFromReq(req, sumTimers) {
+    var timers = {};
+    (req.timers || []).forEach(function(time) {
+        var t = time.time;
+        var _t = Math.floor(1000000 * t[0] + t[1] / 1000);
+        if (sumTimers) {
+            timers[time.name] = (timers[time.name] || 0) + _t;
+        } else {
+            timers[time.name] = _t;
+        }
+    });
+    return timers;
+}
+
+function resBodyFromRes(res) {
+    // We want the audit log to be as close as possible to the what is on
+    // the wire. That means we prefer the *formatted* response body (i.e. after
+    // the restify "formatter" has been applied). `res._data` holds this in
+    // restify 4.x through 7.x.
+    //
+    // This differs from the core restify audit logger that uses the
+    // *unformatted* response body:
+    //    if (res._body instanceof HttpError) {
+    //        auditBody = res._body.body;
+    //    } else {
+    //        auditBody = res._body;
+    //    }
+    //
+    // One reason we want the formatted body is that we can more realistically
+    // apply `maxLen`.
+    var resBody = res._data;
+
+    // In restify v4 (but not in restify v7), `res._data` would be set to
+    // `null` rather than a more appropriate `undefined`. Handle that here.
+    // Dev Note: If this proves problematic for an intended `null` body,
+    // then lets remove this hack for older restify versions.
+    if (resBody === null) {
+        resBody = undefined;
+    }
+
+    return resBody;
+}
+
+/**
+ * Create an audit log handler for restify.
+ *
+ * Usage:
+ *
+ *      var audit = createAuditLogHandler({log: log, ...});
+ *      server.on('after', audit);
+ *
+ *      // Optional: capture response bodies written with `res.write()` or
+ *      // `res.end()`, rather than `res.send()`. Required for
+ *      // `opts.watchdog`.
+ *      server.pre(audit.pre);
+ *
+ * @param {Object|String} opts - See `createAuditor` in core.js for options.
+ *      In addition:
+ *      @param {Number} opts.restifyVersion - The restify major version
+ *          in use, e.g. 4, for requests from which it cannot be detected.
+ *          Default the latest supported version.
+ * @returns {Function} A restify handler intended for `server.on('after', ...)`.
+ *      It has a `pre` property: a restify handler intended for
+ *      `server.pre(...)` to capture response bodies that restify does not
+ *      keep, i.e. those not sent with `res.send()`, and to watch in flight
+ *      requests for `opts.watchdog`; a `close(cb)` method to close the
+ *      audit log sinks; and `update(changes)`, `setRouteOverride(name,
+ *      routeOpts)` and `removeRouteOverride(name)` methods to change
+ *      options at runtime (see `createAuditor`). With `opts.metrics` it also
+ *      has a `metrics` property (see `createAuditor`) and a
+ *      `metricsHandler` property: a restify handler responding with the
+ *      metrics in the Prometheus text format, e.g. for
+ *      `server.get('/metrics', audit.metricsHandler)`.
+ */
+function createAuditLogHandler(opts) {
+    // Load any config file first, as it may give `restifyVersion`.
+    opts = options.loadOptions(opts);
+    var auditor = core.createAuditor(opts);
+    var defaultMajor = opts.restifyVersion || LATEST_RESTIFY_MAJOR;
+    var accessorsByMajor = {};
+    var captureFromRes = new WeakMap();
+
+    function accessorsFromReq(req) {
+        var major = majorFromReq(req) || defaultMajor;
+        if (!accessorsByMajor[major]) {
+            accessorsByMajor[major] = accessorsFromMajor(major);
+        }
+        return accessorsByMajor[major];
+    }
+
+    function audit(req, res, route, err) {
+        // restify 4.x emits 'after' with the error in place of the route
+        // for some failed OPTIONS requests.
+        if (route instanceof Error) {
+            err = route;
+            route = null;
+        }
+
+        var accessors = accessorsFromReq(req);
+        var latency = res.get('Response-Time');
+        if (typeof latency !== 'number') {
+            latency = accessors.latencyFromReq(req);
+        }
+
+        auditor.audit({
+            req: req,
+            res: res,
+            route: route,
+            err: err,
+            reqId: req.getId(),
+            latency: latency,
+            timers: timersFromReq(req, accessors.sumTimers),
+            connectionState: accessors.hasConnectionState
+                ? req.connectionState()
+                : undefined,
+            version: req.version(),
+            resBody: resBodyFromRes(res),
+            capture: captureFromRes.get(res)
+        });
+    }
+
+    audit.pre = function auditPre(req, res, next) {
+        var capture = auditor.captureResponse(res);
+        if (capture) {
+            captureFromRes.set(res, capture);
+        }
+        auditor.watchRequest({
+            req: req,
+            res: res,
+            getReqId: function getReqId() {
+                return req.getId();
+            },
+            getRoute: function getRoute() {
+                // Set by all supported restify versions once routed.
+                return req.route;
+            }
+        });
+        next();
+    };
+
+    audit.close = auditor.close;
+    audit.update = auditor.update;
+    audit.setRouteOverride = auditor.setRouteOverride;
+    audit.removeRouteOverride = auditor.removeRouteOverride;
+
+    if (auditor.metrics) {
+        audit.metrics = auditor.metrics;
+        audit.metricsHandler = function auditMetricsHandler(req, res, next) {
+            var body = auditor.metrics.prometheusText();
+            // Not `res.send()`, whose formatters differ across restify
+            // versions.
+            res.writeHead(200, {
+                'Content-Type': 'text/plain; version=0.0.4; charset=utf-8',
+                'Content-Length': Buffer.byteLength(body)
+            });
+            res.end(body);
+            next();
+        };
+    }
+
+    return audit;
+}
+
+module.exports = {
+    createAuditLogHandler: createAuditLogHandler
+};
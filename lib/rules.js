@@ -0,0 +1,364 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Matching of requests against the `match` section of `opts.rules` entries.
+ *
+ * A compiled matcher is a function `function (ctx)` returning a boolean,
+ * where `ctx` is `{req: req, res: res, route: route}`. An empty `match`
+ * matches every request.
+ */
+
+var assert = require('assert-plus');
+var format = require('util').format;
+var net = require('net');
+
+var MATCH_FIELDS = [
+    'route',
+    'method',
+    'path',
+    'status',
+    'header',
+    'remoteAddress'
+];
+
+// The flags allowed for route RegExps. With "g" or "y", `test()` would be
+// stateful (it starts at `lastIndex`). "s" isn't supported by all the node
+// versions in "engines" (the RegExp constructor throws), and neither "s"
+// nor "u" is needed to match route names.
+var REGEXP_FLAGS = ['i', 'm'];
+
+// ---- internal support
+
+/*
+ * Parse "/pattern/flags" strings (as used in JSON config) to a RegExp.
+ * Returns undefined for other strings. This throws if the flags aren't
+ * `REGEXP_FLAGS`.
+ */
+function regExpFromString(s, desc) {
+    var m = /^\/(.*)\/([a-z]*)$/.exec(s);
+    if (!m) {
+        return undefined;
+    }
+    assertRegExpFlags(m[2], desc);
+    return new RegExp(m[1], m[2]);
+}
+
+function assertRegExpFlags(flags, desc) {
+    var message = regExpFlagsError(flags, desc);
+    assert.ok(!message, message);
+}
+
+/*
+ * Convert a path glob to a RegExp. `*` matches any characters except "/",
+ * `**` matches any characters.
+ */
+function regExpFromGlob(glob) {
+    var re = glob
+        .split('**')
+        .map(function(part) {
+            return part
+                .split('*')
+                .map(function(s) {
+                    return s.replace(/[-[\]{}()+?.,\\^$|#]/g, '\\$&');
+                })
+                .join('[^/]*');
+        })
+        .join('.*');
+    return new RegExp('^' + re + '$');
+}
+
+/*
+ * Parse a status match value to a [min, max] status code range. Supported
+ * forms are a status code (404 or "404"), a status class ("5xx"), a
+ * range string ("400-499") or a [min, max] array.
+ */
+function statusRangeFromMatch(status, desc) {
+    if (Array.isArray(status)) {
+        assert.equal(status.length, 2, desc + ' array has 2 elements');
+        assert.number(status[0], desc + '[0]');
+        assert.number(status[1], desc + '[1]');
+        return [status[0], status[1]];
+    } else if (typeof status === 'number') {
+        return [status, status];
+    }
+
+    assert.string(status, desc);
+    var classMatch = /^([1-5])xx$/i.exec(status);
+    var rangeMatch = /^(\d{3})(?:-(\d{3}))?$/.exec(status);
+    assert.ok(
+        classMatch || rangeMatch,
+        desc +
+            ' is a status code, status class (e.g. "5xx"), range ' +
+            '(e.g. "400-499") or [min, max] array: ' +
+            JSON.stringify(status)
+    );
+    if (classMatch) {
+        var hundreds = Number(classMatch[1]) * 100;
+        return [hundreds, hundreds + 99];
+    }
+    return [Number(rangeMatch[1]), Number(rangeMatch[2] || rangeMatch[1])];
+}
+
+/*
+ * Parse an IPv4 or IPv6 address to an array of bytes. IPv4-mapped IPv6
+ * addresses (e.g. "::ffff:10.0.0.1", as node reports IPv4 clients on a
+ * dual-stack listener) are returned as IPv4.
+ */
+function bytesFromIp(ip) {
+    var v4 = /^(?:::ffff:)?(\d+)\.(\d+)\.(\d+)\.(\d+)$/i.exec(ip);
+    if (v4) {
+        return v4.slice(1).map(Number);
+    }
+    if (!net.isIPv6(ip)) {
+        return undefined;
+    }
+
+    // Expand "::" and any trailing dotted IPv4 part to 8 16-bit groups.
+    var s = ip.split('%')[0];
+    var tail = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(s);
+    if (tail) {
+        var t = tail.slice(1).map(Number);
+        s =
+            s.slice(0, tail.index) +
+            ((t[0] << 8) | t[1]).toString(16) +
+            ':' +
+            ((t[2] << 8) | t[3]).toString(16);
+    }
+    var halves = s.split('::');
+    var head = halves[0] ? halves[0].split(':') : [];
+    var rest = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+    var groups = head;
+    for (var i = head.length + rest.length; i < 8; i++) {
+        groups.push('0');
+    }
+    groups = groups.concat(rest);
+
+    var bytes = [];
+    groups.forEach(function(g) {
+        var n = parseInt(g, 16);
+        bytes.push(n >> 8, n & 0xff);
+    });
+    return bytes;
+}
+
+function cidrMatcherFromString(cidr, desc) {
+    assert.string(cidr, desc);
+    var parts = cidr.split('/');
+    var base = bytesFromIp(parts[0]);
+    assert.ok(base, desc + ' is an IP address or CIDR: ' + cidr);
+    var prefixLen = parts.length > 1 ? Number(parts[1]) : base.length * 8;
+    assert.ok(
+        prefixLen >= 0 && prefixLen <= base.length * 8,
+        desc + ' has a valid prefix length: ' + cidr
+    );
+
+    return function matchCidr(ip) {
+        var bytes = bytesFromIp(ip);
+        if (!bytes || bytes.length !== base.length) {
+            return false;
+        }
+        for (var bit = 0; bit < prefixLen; bit += 8) {
+            var n = Math.min(8, prefixLen - bit);
+            var mask = (0xff << (8 - n)) & 0xff;
+            var idx = bit / 8;
+            if ((bytes[idx] & mask) !== (base[idx] & mask)) {
+                return false;
+            }
+        }
+        return true;
+    };
+}
+
+function arrayify(val) {
+    return Array.isArray(val) ? val : [val];
+}
+
+// ---- exports
+
+/*
+ * The flags of a RegExp or "/pattern/flags" string, e.g. "gi", else
+ * undefined.
+ */
+function flagsFromRegExp(val) {
+    if (val instanceof RegExp) {
+        return val.flags;
+    }
+    var m = /^\/.*\/([a-z]*)$/.exec(val);
+    return m ? m[1] : undefined;
+}
+
+/*
+ * Check the flags (a string) of a route RegExp.
+ *
+ * @returns {String} An error message if any flags aren't `REGEXP_FLAGS`,
+ *      else undefined.
+ */
+function regExpFlagsError(flags, desc) {
+    var invalid = flags.split('').filter(function(flag) {
+        return REGEXP_FLAGS.indexOf(flag) === -1;
+    });
+    if (invalid.length === 0) {
+        return undefined;
+    }
+    return format(
+        '%s has invalid RegExp flags "%s": only %s are allowed',
+        desc,
+        invalid.join(''),
+        REGEXP_FLAGS.join(', ')
+    );
+}
+
+/*
+ * Compile the `match` section of a rule to a matcher function.
+ *
+ * @param {Object} match - The `match` section of a rule. All given fields
+ *      must match. Fields:
+ *      - `route`: A route name (compared case-insensitively), a RegExp or
+ *        "/pattern/flags" string to test against the route name (with only
+ *        the "i" and "m" flags), or `null` to match requests with no route
+ *        (e.g. 404s).
+ *      - `method`: An HTTP method or array of methods.
+ *      - `path`: A path glob, or array of globs, e.g. "/my/machines/*"
+ *        ("*" doesn't match "/", "**" does).
+ *      - `status`: A status code, status class ("5xx"), range ("400-499"),
+ *        or [min, max] array.
+ *      - `header`: A header name, or array of header names, that must be
+ *        present in the request.
+ *      - `remoteAddress`: An IP address or CIDR, or an array of them.
+ * @param {String} desc - Description of this match for error messages.
+ * @returns {Function}
+ */
+function compileMatch(match, desc) {
+    assert.object(match, desc);
+
+    var tests = [];
+
+    Object.keys(match).forEach(function(field) {
+        var val = match[field];
+        var fieldDesc = desc + '.' + field;
+
+        switch (field) {
+            case 'route':
+                tests.push(compileRouteMatch(val, fieldDesc));
+                break;
+            case 'method':
+                var methods = arrayify(val).map(function(meth) {
+                    assert.string(meth, fieldDesc);
+                    return meth.toUpperCase();
+                });
+                tests.push(function matchMethod(ctx) {
+                    return methods.indexOf(ctx.req.method) !== -1;
+                });
+                break;
+            case 'path':
+                var pathRes = arrayify(val).map(function(glob) {
+                    assert.string(glob, fieldDesc);
+                    return regExpFromGlob(glob);
+                });
+                tests.push(function matchPath(ctx) {
+                    var path = (ctx.req.url || '').split('?')[0];
+                    return pathRes.some(function(re) {
+                        return re.test(path);
+                    });
+                });
+                break;
+            case 'status':
+                var range = statusRangeFromMatch(val, fieldDesc);
+                tests.push(function matchStatus(ctx) {
+                    var code = ctx.res.statusCode;
+                    return code >= range[0] && code <= range[1];
+                });
+                break;
+            case 'header':
+                var names = arrayify(val).map(function(name) {
+                    assert.string(name, fieldDesc);
+                    return name.toLowerCase();
+                });
+                tests.push(function matchHeader(ctx) {
+                    return names.every(function(name) {
+                        return ctx.req.headers[name] !== undefined;
+                    });
+                });
+                break;
+            case 'remoteAddress':
+                var cidrMatchers = arrayify(val).map(function(cidr) {
+                    return cidrMatcherFromString(cidr, fieldDesc);
+                });
+                tests.push(function matchRemoteAddress(ctx) {
+                    var ip =
+                        ctx.req.connection && ctx.req.connection.remoteAddress;
+                    return (
+                        Boolean(ip) &&
+                        cidrMatchers.some(function(matchCidr) {
+                            return matchCidr(ip);
+                        })
+                    );
+                });
+                break;
+            default:
+                assert.ok(
+                    false,
+                    fieldDesc +
+                        ' is a supported match field (one of ' +
+                        MATCH_FIELDS.join(', ') +
+                        ')'
+                );
+                break;
+        }
+    });
+
+    return function matchRule(ctx) {
+        return tests.every(function(test) {
+            return test(ctx);
+        });
+    };
+}
+
+function compileRouteMatch(val, desc) {
+    if (val === null) {
+        return function matchNoRoute(ctx) {
+            return !(ctx.route && ctx.route.name);
+        };
+    }
+
+    var re;
+    if (val instanceof RegExp) {
+        assertRegExpFlags(flagsFromRegExp(val), desc);
+        re = val;
+    } else {
+        assert.string(val, desc);
+        re = regExpFromString(val, desc);
+    }
+    if (re) {
+        return function matchRouteRegExp(ctx) {
+            return (
+                Boolean(ctx.route && ctx.route.name) && re.test(ctx.route.name)
+            );
+        };
+    }
+
+    var lname = val.toLowerCase();
+    return function matchRouteName(ctx) {
+        return (
+            Boolean(ctx.route && ctx.route.name) &&
+            ctx.route.name.toLowerCase() === lname
+        );
+    };
+}
+
+module.exports = {
+    cidrMatcherFromString: cidrMatcherFromString,
+    compileMatch: compileMatch,
+    flagsFromRegExp: flagsFromRegExp,
+    regExpFlagsError: regExpFlagsError,
+    regExpFromString: regExpFromString,
+    statusRangeFromMatch: statusRangeFromMatch
+};
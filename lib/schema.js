@@ -0,0 +1,237 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * A small validator for a subset of JSON Schema (draft-07), which reports
+ * every problem found rather than stopping at the first.
+ *
+ * Supported keywords: `type`, `enum`, `const`, `minimum`, `maximum`,
+ * `exclusiveMinimum`, `pattern`, `minLength`, `required`, `properties`,
+ * `additionalProperties`, `items`, `minItems` and `anyOf`. In addition to
+ * the JSON types, `type` can be "function" or "regexp" (for validating
+ * options objects rather than JSON). The `description`, `title`, `$schema`
+ * and `$id` annotations are ignored.
+ */
+
+var assert = require('assert-plus');
+
+// ---- internal support
+
+function typeOf(val) {
+    if (val === null) {
+        return 'null';
+    } else if (Array.isArray(val)) {
+        return 'array';
+    } else if (val instanceof RegExp) {
+        return 'regexp';
+    } else if (Buffer.isBuffer(val)) {
+        return 'buffer';
+    }
+    return typeof val;
+}
+
+function isType(val, type) {
+    var actual = typeOf(val);
+    switch (type) {
+        case 'integer':
+            return actual === 'number' && Math.floor(val) === val;
+        case 'number':
+            return actual === 'number' && !isNaN(val);
+        case 'object':
+            // A Buffer isn't a plain object.
+            return actual === 'object';
+        default:
+            return actual === type;
+    }
+}
+
+/*
+ * The path to a field: "a.b" for identifier-like names, else 'a["b/c"]'.
+ */
+function fieldPath(path, name) {
+    if (/^[A-Za-z_$][\w$]*$/.test(name)) {
+        return path + '.' + name;
+    }
+    return path + '[' + JSON.stringify(name) + ']';
+}
+
+/*
+ * A known field name differing only in case from `name`, if any, e.g.
+ * "includeGet2xx" for "includeGET2xx".
+ */
+function suggestionFor(name, knownNames) {
+    var lname = name.toLowerCase();
+    for (var i = 0; i < knownNames.length; i++) {
+        if (knownNames[i].toLowerCase() === lname) {
+            return knownNames[i];
+        }
+    }
+    return undefined;
+}
+
+function validateValue(schema, val, path, errors) {
+    function addError(message) {
+        errors.push({path: path, message: path + ' ' + message});
+    }
+
+    if (schema.type !== undefined) {
+        var types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        var typeOk = types.some(function(type) {
+            return isType(val, type);
+        });
+        if (!typeOk) {
+            addError(
+                '(' + types.join(' or ') + ') is required: got ' + typeOf(val)
+            );
+            return;
+        }
+    }
+
+    if (schema.const !== undefined && val !== schema.const) {
+        addError('is ' + JSON.stringify(schema.const));
+    }
+    if (schema.enum && schema.enum.indexOf(val) === -1) {
+        addError(
+            'is one of ' +
+                schema.enum.join(', ') +
+                ': got ' +
+                JSON.stringify(val)
+        );
+    }
+
+    if (typeof val === 'number') {
+        if (schema.minimum !== undefined && val < schema.minimum) {
+            addError('is at least ' + schema.minimum + ': got ' + val);
+        }
+        if (
+            schema.exclusiveMinimum !== undefined &&
+            val <= schema.exclusiveMinimum
+        ) {
+            addError(
+                'is greater than ' + schema.exclusiveMinimum + ': got ' + val
+            );
+        }
+        if (schema.maximum !== undefined && val > schema.maximum) {
+            addError('is at most ' + schema.maximum + ': got ' + val);
+        }
+    }
+
+    if (typeof val === 'string') {
+        if (schema.minLength !== undefined && val.length < schema.minLength) {
+            addError('is at least ' + schema.minLength + ' characters long');
+        }
+        if (
+            schema.pattern !== undefined &&
+            !new RegExp(schema.pattern).test(val)
+        ) {
+            addError(
+                'matches /' + schema.pattern + '/: got ' + JSON.stringify(val)
+            );
+        }
+    }
+
+    if (Array.isArray(val)) {
+        if (schema.minItems !== undefined && val.length < schema.minItems) {
+            addError('has at least ' + schema.minItems + ' items');
+        }
+        if (schema.items) {
+            val.forEach(function(item, i) {
+                validateValue(schema.items, item, path + '[' + i + ']', errors);
+            });
+        }
+    }
+
+    if (isType(val, 'object')) {
+        validateObject(schema, val, path, errors);
+    }
+
+    if (schema.anyOf) {
+        var anyOk = schema.anyOf.some(function(subschema) {
+            var suberrors = [];
+            validateValue(subschema, val, path, suberrors);
+            return suberrors.length === 0;
+        });
+        if (!anyOk) {
+            addError('does not match any of the allowed forms');
+        }
+    }
+}
+
+function validateObject(schema, obj, path, errors) {
+    var properties = schema.properties || {};
+    var knownNames = Object.keys(properties);
+
+    (schema.required || []).forEach(function(name) {
+        if (obj[name] === undefined) {
+            var propType = properties[name] && properties[name].type;
+            var p = fieldPath(path, name);
+            errors.push({
+                path: p,
+                message:
+                    p +
+                    (propType
+                        ? ' (' + [].concat(propType).join(' or ') + ')'
+                        : '') +
+                    ' is required'
+            });
+        }
+    });
+
+    Object.keys(obj).forEach(function(name) {
+        var val = obj[name];
+        var p = fieldPath(path, name);
+        if (properties.hasOwnProperty(name)) {
+            if (val !== undefined) {
+                validateValue(properties[name], val, p, errors);
+            }
+        } else if (schema.additionalProperties === false) {
+            var suggestion = suggestionFor(name, knownNames);
+            errors.push({
+                path: p,
+                message:
+                    p +
+                    ' is unknown' +
+                    (suggestion ? ' (did you mean "' + suggestion + '"?)' : '')
+            });
+        } else if (
+            schema.additionalProperties &&
+            typeof schema.additionalProperties === 'object' &&
+            val !== undefined
+        ) {
+            validateValue(schema.additionalProperties, val, p, errors);
+        }
+    });
+}
+
+// ---- exports
+
+/*
+ * Validate a value against a schema.
+ *
+ * @param {Object} schema - A JSON Schema using the supported keywords.
+ * @param {any} val - The value to validate.
+ * @param {String} path - The name of the value for error messages, e.g.
+ *      "opts".
+ * @returns {Array} The errors found, each `{path, message}`, where `path`
+ *      is the path to the invalid field (e.g. 'opts.resBody.maxLen') and
+ *      `message` includes the path. Empty if the value is valid.
+ */
+function validate(schema, val, path) {
+    assert.object(schema, 'schema');
+    assert.string(path, 'path');
+    var errors = [];
+    validateValue(schema, val, path, errors);
+    return errors;
+}
+
+module.exports = {
+    fieldPath: fieldPath,
+    validate: validate
+};
@@ -0,0 +1,486 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Output sinks for audit records.
+ *
+ * A sink is created from a spec object (an entry in `opts.sinks`) with a
+ * `type` field:
+ *
+ * - "bunyan": `{type: 'bunyan', log: <Bunyan logger>}`
+ * - "pino": `{type: 'pino', logger: <pino logger>}`
+ * - "file": `{type: 'file', path: <path>, rotate: {...}}`, newline-delimited
+ *   JSON records with optional size and time based rotation.
+ * - "syslog": `{type: 'syslog', path: <Unix stream socket path>, ...}`,
+ *   RFC 5424 syslog messages. `path` is required.
+ * - "stream": `{type: 'stream', stream: <writable stream>, raw: false}`,
+ *   JSON lines, or the record objects themselves if `raw` is true.
+ * - "callback": `{type: 'callback', callback: function (rec) {}}`
+ *
+ * Every spec may have a `level` (a Bunyan level name or number): records
+ * below that level are not written to the sink.
+ *
+ * Records are Bunyan-style objects: `name`, `hostname`, `pid` (and any
+ * other fields of `opts.log`), `audit`, `level`, the audit record fields,
+ * `msg`, `time` and `v`. The record passed to sinks is shared, so sinks must
+ * not modify it.
+ *
+ * Sinks are EventEmitters that emit 'error' for write failures (e.g. a file
+ * that cannot be opened). A sink's `write(rec, levelName)` never throws for
+ * those.
+ */
+
+var assert = require('assert-plus');
+var EventEmitter = require('events').EventEmitter;
+var fs = require('fs');
+var net = require('net');
+var util = require('util');
+
+var SINK_TYPES = ['bunyan', 'pino', 'file', 'syslog', 'stream', 'callback'];
+
+// Default number of rotated files kept by a "file" sink.
+var DEFAULT_ROTATE_COUNT = 10;
+
+// Minimum delay (ms) before reconnecting to a syslog socket after an error.
+var SYSLOG_RECONNECT_DELAY = 1000;
+
+// RFC 5424 facility codes.
+var SYSLOG_FACILITIES = {
+    kern: 0,
+    user: 1,
+    daemon: 3,
+    auth: 4,
+    syslog: 5,
+    authpriv: 10,
+    local0: 16,
+    local1: 17,
+    local2: 18,
+    local3: 19,
+    local4: 20,
+    local5: 21,
+    local6: 22,
+    local7: 23
+};
+
+// Fields of a record that are not audit record fields.
+var CORE_FIELDS = ['name', 'hostname', 'pid', 'level', 'msg', 'time', 'v'];
+
+/*
+ * Map a Bunyan level to an RFC 5424 severity.
+ */
+function syslogSeverityFromLevel(level) {
+    if (level >= 60) {
+        return 2; // critical
+    } else if (level >= 50) {
+        return 3; // error
+    } else if (level >= 40) {
+        return 4; // warning
+    } else if (level >= 30) {
+        return 6; // informational
+    } else {
+        return 7; // debug
+    }
+}
+
+/*
+ * RFC 5424 header fields are printable US-ASCII without spaces, or "-" for
+ * no value.
+ */
+function syslogHeaderField(val, maxLen) {
+    var s = String(val || '').replace(/[^\x21-\x7e]/g, '');
+    return s ? s.slice(0, maxLen) : '-';
+}
+
+/*
+ * Return the audit record fields of a record, i.e. without the fields that
+ * a Bunyan or pino logger adds itself.
+ */
+function fieldsFromRec(rec, omit) {
+    var fields = {};
+    Object.keys(rec).forEach(function(key) {
+        if (CORE_FIELDS.indexOf(key) === -1 && omit.indexOf(key) === -1) {
+            fields[key] = rec[key];
+        }
+    });
+    return fields;
+}
+
+function identity(val) {
+    return val;
+}
+
+// ---- sinks
+
+function BunyanSink(spec, desc) {
+    assert.object(spec.log, desc + '.log');
+    EventEmitter.call(this);
+    // Records are already serialized, so turn off the logger's serializers
+    // for the serialized fields.
+    this.log = spec.log.child({
+        audit: true,
+        serializers: {err: identity, req: identity, res: identity}
+    });
+}
+util.inherits(BunyanSink, EventEmitter);
+
+BunyanSink.prototype.enabled = function enabled(levelName) {
+    return this.log[levelName]();
+};
+
+BunyanSink.prototype.write = function write(rec, levelName) {
+    var fields = fieldsFromRec(rec, ['audit']);
+    // Bunyan uses a given `time`, so records match across sinks.
+    fields.time = rec.time;
+    this.log[levelName](fields, rec.msg);
+};
+
+function PinoSink(spec, desc) {
+    assert.object(spec.logger, desc + '.logger');
+    EventEmitter.call(this);
+    this.logger = spec.logger;
+}
+util.inherits(PinoSink, EventEmitter);
+
+PinoSink.prototype.enabled = function enabled(levelName) {
+    return typeof this.logger.isLevelEnabled === 'function'
+        ? this.logger.isLevelEnabled(levelName)
+        : true;
+};
+
+PinoSink.prototype.write = function write(rec, levelName) {
+    this.logger[levelName](fieldsFromRec(rec, []), rec.msg);
+};
+
+/*
+ * A newline-delimited JSON file. With `rotate.size` (bytes) and/or
+ * `rotate.period` (ms), the file is rotated before a write that would take it
+ * over that size, or once that long has passed since the last rotation (or
+ * sink creation). Rotated files are named "<path>.0" (the most recent)
+ * through "<path>.<count - 1>".
+ */
+function FileSink(spec, desc) {
+    assert.string(spec.path, desc + '.path');
+    assert.optionalObject(spec.rotate, desc + '.rotate');
+    var rotate = spec.rotate || {};
+    assert.optionalNumber(rotate.size, desc + '.rotate.size');
+    assert.optionalNumber(rotate.period, desc + '.rotate.period');
+    assert.optionalNumber(rotate.count, desc + '.rotate.count');
+    assert.ok(
+        rotate.count === undefined || rotate.count >= 1,
+        desc + '.rotate.count is at least 1'
+    );
+    EventEmitter.call(this);
+
+    this.path = spec.path;
+    this.rotateSize = rotate.size;
+    this.rotatePeriod = rotate.period;
+    this.rotateCount = rotate.count || DEFAULT_ROTATE_COUNT;
+    // Streams of rotated files that are still flushing.
+    this.endingStreams = [];
+
+    try {
+        this.size = fs.statSync(this.path).size;
+    } catch (_statErr) {
+        this.size = 0;
+    }
+    this._open();
+}
+util.inherits(FileSink, EventEmitter);
+
+FileSink.prototype._open = function _open() {
+    var self = this;
+    // Open the file synchronously, so a rotation (a rename) right after
+    // this doesn't race the open. If that fails, the stream's own open
+    // reports the error.
+    var fd;
+    try {
+        fd = fs.openSync(self.path, 'a');
+    } catch (_openErr) {
+        fd = undefined;
+    }
+    self.stream = fs.createWriteStream(self.path, {flags: 'a', fd: fd});
+    self.stream.on('error', function onStreamError(err) {
+        self.emit('error', err);
+    });
+    if (self.rotatePeriod) {
+        self.rotateAt = Date.now() + self.rotatePeriod;
+    }
+};
+
+FileSink.prototype._rotate = function _rotate() {
+    var self = this;
+    var oldStream = self.stream;
+
+    // Writes still pending on the old stream go to the renamed file.
+    self.endingStreams.push(oldStream);
+    oldStream.end(function onEnded() {
+        self.endingStreams.splice(self.endingStreams.indexOf(oldStream), 1);
+    });
+    try {
+        for (var i = self.rotateCount - 1; i > 0; i--) {
+            var older = self.path + '.' + (i - 1);
+            if (fs.existsSync(older)) {
+                fs.renameSync(older, self.path + '.' + i);
+            }
+        }
+        fs.renameSync(self.path, self.path + '.0');
+    } catch (renameErr) {
+        self.emit('error', renameErr);
+    }
+    self.size = 0;
+    self._open();
+};
+
+FileSink.prototype.write = function write(rec) {
+    var line = JSON.stringify(rec) + '\n';
+    var len = Buffer.byteLength(line);
+
+    if (
+        (this.rotateSize &&
+            this.size > 0 &&
+            this.size + len > this.rotateSize) ||
+        (this.rotatePeriod && Date.now() >= this.rotateAt)
+    ) {
+        this._rotate();
+    }
+
+    this.stream.write(line);
+    this.size += len;
+};
+
+FileSink.prototype.close = function close(cb) {
+    var numPending = this.endingStreams.length + 1;
+    function onEnded() {
+        numPending--;
+        if (numPending === 0 && cb) {
+            cb();
+        }
+    }
+
+    this.endingStreams.forEach(function(endingStream) {
+        endingStream.once('finish', onEnded);
+    });
+    this.stream.end(onEnded);
+};
+
+/*
+ * RFC 5424 syslog messages to a Unix socket, one per line. The message is
+ * the JSON record, with MSGID "audit".
+ *
+ * Node.js cannot write to datagram Unix sockets, so the socket must be a
+ * stream socket, e.g. syslog-ng's `unix-stream()` source or rsyslog's
+ * imptcp module with a `path`. There is no default `path`: "/dev/log" is a
+ * datagram socket on most systems.
+ *
+ * The socket is reconnected on the next write after an error (at most once
+ * a second). Records written while disconnected, or while connecting on a
+ * connection that then fails, are dropped. They are counted in
+ * `numDropped`, and reported with an 'error' event once the socket is
+ * connected again (or on `close()`).
+ */
+function SyslogSink(spec, desc) {
+    assert.string(spec.path, desc + '.path');
+    assert.optionalString(spec.facility, desc + '.facility');
+    assert.optionalString(spec.appName, desc + '.appName');
+    var facility = spec.facility || 'local0';
+    assert.ok(
+        SYSLOG_FACILITIES.hasOwnProperty(facility),
+        desc +
+            '.facility is a syslog facility name (one of ' +
+            Object.keys(SYSLOG_FACILITIES).join(', ') +
+            '): ' +
+            facility
+    );
+    EventEmitter.call(this);
+
+    this.path = spec.path;
+    this.facility = SYSLOG_FACILITIES[facility];
+    this.appName = spec.appName;
+    this.socket = null;
+    this.connected = false;
+    this.lastErrorTime = 0;
+    this.closed = false;
+    // Records written on a socket that isn't connected yet.
+    this.numPending = 0;
+    // Dropped records: in total, and since the last report.
+    this.numDropped = 0;
+    this.numUnreported = 0;
+}
+util.inherits(SyslogSink, EventEmitter);
+
+SyslogSink.prototype._drop = function _drop(n) {
+    this.numDropped += n;
+    this.numUnreported += n;
+};
+
+SyslogSink.prototype._reportDropped = function _reportDropped() {
+    if (this.numUnreported > 0) {
+        var n = this.numUnreported;
+        this.numUnreported = 0;
+        this.emit(
+            'error',
+            new Error(
+                util.format(
+                    '%d audit records dropped while the syslog socket ' +
+                        '"%s" was unavailable',
+                    n,
+                    this.path
+                )
+            )
+        );
+    }
+};
+
+SyslogSink.prototype._connect = function _connect() {
+    var self = this;
+    var socket = net.connect({path: self.path});
+    self.connected = false;
+    self.numPending = 0;
+    socket.on('connect', function onSocketConnect() {
+        if (self.socket === socket) {
+            self.connected = true;
+            self.numPending = 0;
+        }
+        self._reportDropped();
+    });
+    socket.on('error', function onSocketError(err) {
+        self.lastErrorTime = Date.now();
+        if (self.socket === socket) {
+            self.socket = null;
+            if (!self.connected) {
+                self._drop(self.numPending);
+            }
+            self.numPending = 0;
+        }
+        socket.destroy();
+        self.emit('error', err);
+    });
+    socket.on('close', function onSocketClose() {
+        if (self.socket === socket) {
+            self.socket = null;
+            self.connected = false;
+        }
+    });
+    socket.unref();
+    self.socket = socket;
+};
+
+SyslogSink.prototype.format = function format(rec) {
+    var pri = this.facility * 8 + syslogSeverityFromLevel(rec.level);
+    var time = rec.time instanceof Date ? rec.time : new Date(rec.time);
+    return util.format(
+        '<%d>1 %s %s %s %s audit - %s',
+        pri,
+        time.toISOString(),
+        syslogHeaderField(rec.hostname, 255),
+        syslogHeaderField(this.appName || rec.name, 48),
+        syslogHeaderField(rec.pid, 128),
+        JSON.stringify(rec)
+    );
+};
+
+SyslogSink.prototype.write = function write(rec) {
+    if (this.closed) {
+        return;
+    }
+    if (!this.socket) {
+        if (Date.now() - this.lastErrorTime < SYSLOG_RECONNECT_DELAY) {
+            this._drop(1);
+            return;
+        }
+        this._connect();
+    }
+    if (!this.connected) {
+        this.numPending++;
+    }
+    this.socket.write(this.format(rec) + '\n');
+};
+
+SyslogSink.prototype.close = function close(cb) {
+    this.closed = true;
+    this._reportDropped();
+    if (this.socket) {
+        this.socket.end(cb);
+        this.socket = null;
+    } else if (cb) {
+        setImmediate(cb);
+    }
+};
+
+function StreamSink(spec, desc) {
+    assert.object(spec.stream, desc + '.stream');
+    assert.func(spec.stream.write, desc + '.stream.write');
+    assert.optionalBool(spec.raw, desc + '.raw');
+    EventEmitter.call(this);
+    this.stream = spec.stream;
+    this.raw = Boolean(spec.raw);
+}
+util.inherits(StreamSink, EventEmitter);
+
+StreamSink.prototype.write = function write(rec) {
+    this.stream.write(this.raw ? rec : JSON.stringify(rec) + '\n');
+};
+
+function CallbackSink(spec, desc) {
+    assert.func(spec.callback, desc + '.callback');
+    EventEmitter.call(this);
+    this.callback = spec.callback;
+}
+util.inherits(CallbackSink, EventEmitter);
+
+CallbackSink.prototype.write = function write(rec) {
+    this.callback(rec);
+};
+
+// ---- exports
+
+/*
+ * Create a sink from a spec object. The spec's `level` is not handled here:
+ * the caller sets `sink.level` (a Bunyan level number).
+ *
+ * @param {Object} spec - See the top comment.
+ * @param {String} desc - Description of this spec for error messages.
+ * @returns {Object} A sink with `write(rec, levelName)` and optional
+ *      `enabled(levelName)` and `close(cb)` methods.
+ */
+function createSink(spec, desc) {
+    assert.object(spec, desc);
+    assert.string(spec.type, desc + '.type');
+
+    switch (spec.type) {
+        case 'bunyan':
+            return new BunyanSink(spec, desc);
+        case 'pino':
+            return new PinoSink(spec, desc);
+        case 'file':
+            return new FileSink(spec, desc);
+        case 'syslog':
+            return new SyslogSink(spec, desc);
+        case 'stream':
+            return new StreamSink(spec, desc);
+        case 'callback':
+            return new CallbackSink(spec, desc);
+        default:
+            assert.ok(
+                false,
+                desc +
+                    '.type is a sink type (one of ' +
+                    SINK_TYPES.join(', ') +
+                    '): ' +
+                    spec.type
+            );
+            return undefined;
+    }
+}
+
+module.exports = {
+    SINK_TYPES: SINK_TYPES,
+    createSink: createSink
+};
@@ -0,0 +1,182 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Sampling and rate limiting of audit log records for high-volume routes.
+ *
+ * Requests that complete with an error (a 5xx status or an `err`) are never
+ * suppressed. The number of suppressed records per route is reported
+ * periodically, so that request totals can still be reconstructed from the
+ * audit log.
+ *
+ * Rate limit windows and suppressed record counts are kept per route name
+ * and per matched rule (`routeOpts.ruleDesc`, e.g. "rules[0]"), so that
+ * requests matching one rule (e.g. by path) don't use up the rate limit of
+ * another, even on the same route or with no route name.
+ */
+
+var assert = require('assert-plus');
+
+// Default interval (ms) for `rateLimit.interval`.
+var DEFAULT_RATE_LIMIT_INTERVAL = 1000;
+
+// Default interval (ms) between reports of suppressed record counts.
+var DEFAULT_REPORT_INTERVAL = 60 * 1000;
+
+/*
+ * Audit records for requests that complete with an error are never sampled
+ * or rate limited.
+ */
+function isAlwaysLogged(statusCode, err) {
+    return Boolean(statusCode >= 500 || err);
+}
+
+/*
+ * The key of the rate limit window and suppressed record counts for a
+ * request: its matched rule and route name.
+ */
+function throttleKey(routeName, routeOpts) {
+    return (routeOpts.ruleDesc || '') + ' ' + (routeName || '');
+}
+
+/*
+ * Create a throttle. The given `report` function is called periodically as
+ * `report(routeName, counts, routeOpts)` for each route and rule with
+ * suppressed records, where `counts` is `{sample: <n>, rateLimit: <n>}`.
+ *
+ * @param {Object} opts
+ *      @param {Function} opts.report - Required.
+ *      @param {Number} opts.reportInterval - Interval (ms) between reports.
+ *          Default 1 minute.
+ */
+function AuditThrottle(opts) {
+    assert.object(opts, 'opts');
+    assert.func(opts.report, 'opts.report');
+    assert.optionalNumber(opts.reportInterval, 'opts.reportInterval');
+
+    this.report = opts.report;
+    this.reportInterval = opts.reportInterval || DEFAULT_REPORT_INTERVAL;
+    // Rate limit windows, keyed by rule and route name (see `throttleKey`).
+    this.windows = {};
+    // Suppressed record counts since the last report, keyed as `windows`.
+    this.suppressed = {};
+    this.reportTimer = null;
+}
+
+/*
+ * Decide if the audit record for this request should be logged.
+ *
+ * @returns {Boolean}
+ */
+AuditThrottle.prototype.shouldLog = function shouldLog(
+    routeName,
+    routeOpts,
+    statusCode,
+    err
+) {
+    if (routeOpts.sample === undefined && !routeOpts.rateLimit) {
+        return true;
+    } else if (isAlwaysLogged(statusCode, err)) {
+        return true;
+    }
+
+    var key = throttleKey(routeName, routeOpts);
+
+    if (routeOpts.sample !== undefined && Math.random() >= routeOpts.sample) {
+        this._suppress(key, routeName, routeOpts, 'sample');
+        return false;
+    }
+
+    if (routeOpts.rateLimit) {
+        var now = Date.now();
+        var interval =
+            routeOpts.rateLimit.interval || DEFAULT_RATE_LIMIT_INTERVAL;
+        var win = this.windows[key];
+        if (!win || now - win.start >= interval) {
+            win = this.windows[key] = {start: now, count: 0};
+        }
+        if (win.count >= routeOpts.rateLimit.max) {
+            this._suppress(key, routeName, routeOpts, 'rateLimit');
+            return false;
+        }
+        win.count++;
+    }
+
+    return true;
+};
+
+AuditThrottle.prototype._suppress = function _suppress(
+    key,
+    routeName,
+    routeOpts,
+    reason
+) {
+    var self = this;
+
+    if (!self.suppressed.hasOwnProperty(key)) {
+        self.suppressed[key] = {
+            counts: {sample: 0, rateLimit: 0},
+            routeName: routeName,
+            routeOpts: routeOpts
+        };
+    }
+    self.suppressed[key].counts[reason]++;
+
+    if (!self.reportTimer) {
+        self.reportTimer = setInterval(function onReportInterval() {
+            self.flush();
+        }, self.reportInterval);
+        // Don't keep the process alive just to report counts.
+        self.reportTimer.unref();
+    }
+};
+
+/*
+ * Report suppressed record counts now. The report timer is stopped if there
+ * is nothing to report; it is restarted on the next suppressed record.
+ */
+AuditThrottle.prototype.flush = function flush() {
+    var self = this;
+    var keys = Object.keys(self.suppressed);
+
+    if (keys.length === 0) {
+        if (self.reportTimer) {
+            clearInterval(self.reportTimer);
+            self.reportTimer = null;
+        }
+        return;
+    }
+
+    var suppressed = self.suppressed;
+    self.suppressed = {};
+    keys.forEach(function(key) {
+        self.report(
+            suppressed[key].routeName,
+            suppressed[key].counts,
+            suppressed[key].routeOpts
+        );
+    });
+};
+
+/*
+ * Report suppressed record counts now and stop the report timer.
+ */
+AuditThrottle.prototype.close = function close() {
+    this.flush();
+    if (this.reportTimer) {
+        clearInterval(this.reportTimer);
+        this.reportTimer = null;
+    }
+};
+
+module.exports = {
+    AuditThrottle: AuditThrottle,
+    isAlwaysLogged: isAlwaysLogged
+};
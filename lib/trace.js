@@ -0,0 +1,175 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Distributed trace correlation fields for audit records (`opts.trace`), to
+ * join the audit logs of services calling each other:
+ *
+ * - `trace_id`: The W3C Trace Context trace id, from the request's
+ *   "traceparent" header (or else the response's).
+ * - `parent_span_id`: The caller's span id, from the request's
+ *   "traceparent" header.
+ * - `span_id`: This service's span id, from a "traceresponse" or
+ *   "traceparent" response header, if the service sets one.
+ * - `trace_state`: The request's "tracestate" header, if its "traceparent"
+ *   is valid.
+ * - `upstream_req_id`: The caller's request id, from the request's
+ *   "x-request-id" or (as Triton services send) "request-id" header.
+ *
+ * See https://www.w3.org/TR/trace-context/.
+ */
+
+var assert = require('assert-plus');
+
+var DEFAULT_TRACEPARENT_HEADERS = ['traceparent'];
+var DEFAULT_RES_TRACEPARENT_HEADERS = ['traceresponse', 'traceparent'];
+var DEFAULT_TRACESTATE_HEADERS = ['tracestate'];
+var DEFAULT_REQ_ID_HEADERS = ['x-request-id', 'request-id'];
+
+// version "-" trace-id "-" parent-id "-" trace-flags, with any further
+// fields of future versions.
+var TRACEPARENT_RE = new RegExp(
+    '^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$'
+);
+
+// ---- internal support
+
+function firstHeader(getHeader, names) {
+    for (var i = 0; i < names.length; i++) {
+        var value = getHeader(names[i]);
+        if (typeof value === 'string' && value.length > 0) {
+            return value;
+        }
+    }
+    return undefined;
+}
+
+function lowercaseNames(names, desc) {
+    assert.arrayOfString(names, desc);
+    return names.map(function(name) {
+        return name.toLowerCase();
+    });
+}
+
+// ---- exports
+
+/*
+ * Parse a W3C "traceparent" header value.
+ *
+ * @returns {Object} `{traceId, parentId, flags}`, or undefined if the value
+ *      is invalid.
+ */
+function parseTraceparent(value) {
+    if (typeof value !== 'string') {
+        return undefined;
+    }
+    var match = TRACEPARENT_RE.exec(value.trim());
+    if (
+        !match ||
+        match[1] === 'ff' ||
+        // Version 00 has no further fields.
+        (match[1] === '00' && match[5] !== undefined) ||
+        /^0+$/.test(match[2]) ||
+        /^0+$/.test(match[3])
+    ) {
+        return undefined;
+    }
+    return {traceId: match[2], parentId: match[3], flags: match[4]};
+}
+
+/*
+ * Validate the `opts.trace` option and compile it to a function
+ * `function (req, res)` returning the trace correlation fields for a
+ * request, only including those found.
+ *
+ * @param {Boolean|Object} traceOpt - `true` for the default headers, or an
+ *      object with any of these fields, each an array of header names tried
+ *      in order:
+ *      - `traceparentHeaders` - Request headers with a W3C "traceparent".
+ *        Default `['traceparent']`.
+ *      - `resTraceparentHeaders` - Response headers with a "traceparent"
+ *        for this service's span. Default `['traceresponse', 'traceparent']`.
+ *      - `tracestateHeaders` - Request headers with a W3C "tracestate".
+ *        Default `['tracestate']`.
+ *      - `reqIdHeaders` - Request headers with the caller's request id.
+ *        Default `['x-request-id', 'request-id']`.
+ * @param {String} desc - Description of the option for error messages.
+ * @returns {Function} Or undefined if `traceOpt` is undefined or false.
+ */
+function compileTrace(traceOpt, desc) {
+    if (traceOpt === undefined || traceOpt === false) {
+        return undefined;
+    }
+    var to = traceOpt === true ? {} : traceOpt;
+    assert.object(to, desc);
+
+    var traceparentHeaders = lowercaseNames(
+        to.traceparentHeaders || DEFAULT_TRACEPARENT_HEADERS,
+        desc + '.traceparentHeaders'
+    );
+    var resTraceparentHeaders = lowercaseNames(
+        to.resTraceparentHeaders || DEFAULT_RES_TRACEPARENT_HEADERS,
+        desc + '.resTraceparentHeaders'
+    );
+    var tracestateHeaders = lowercaseNames(
+        to.tracestateHeaders || DEFAULT_TRACESTATE_HEADERS,
+        desc + '.tracestateHeaders'
+    );
+    var reqIdHeaders = lowercaseNames(
+        to.reqIdHeaders || DEFAULT_REQ_ID_HEADERS,
+        desc + '.reqIdHeaders'
+    );
+
+    return function traceFieldsFromReq(req, res) {
+        var fields = {};
+        function getReqHeader(name) {
+            return req.headers[name];
+        }
+        function getResHeader(name) {
+            return res && typeof res.getHeader === 'function'
+                ? res.getHeader(name)
+                : undefined;
+        }
+
+        var inbound = parseTraceparent(
+            firstHeader(getReqHeader, traceparentHeaders)
+        );
+        var outbound = parseTraceparent(
+            firstHeader(getResHeader, resTraceparentHeaders)
+        );
+        if (inbound) {
+            fields.trace_id = inbound.traceId;
+            fields.parent_span_id = inbound.parentId;
+            var traceState = firstHeader(getReqHeader, tracestateHeaders);
+            if (traceState !== undefined) {
+                fields.trace_state = traceState;
+            }
+        }
+        // A response "traceparent" that just echoes the request's isn't a
+        // span of this service.
+        if (outbound && !(inbound && outbound.parentId === inbound.parentId)) {
+            if (!fields.trace_id) {
+                fields.trace_id = outbound.traceId;
+            }
+            fields.span_id = outbound.parentId;
+        }
+
+        var upstreamReqId = firstHeader(getReqHeader, reqIdHeaders);
+        if (upstreamReqId !== undefined) {
+            fields.upstream_req_id = upstreamReqId;
+        }
+        return fields;
+    };
+}
+
+module.exports = {
+    compileTrace: compileTrace,
+    parseTraceparent: parseTraceparent
+};
@@ -0,0 +1,121 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * A watchdog for requests still in flight past a threshold
+ * (`opts.watchdog`).
+ *
+ * The audit record for a request is logged when it completes, so a hung
+ * request is otherwise never logged. The watchdog reports each request that
+ * has been in flight for `threshold` ms, once.
+ */
+
+var assert = require('assert-plus');
+
+// Longest default interval (ms) between checks for requests past the
+// threshold.
+var MAX_DEFAULT_INTERVAL = 5000;
+
+/*
+ * Create a watchdog. The given `report` function is called as
+ * `report(watched, elapsed)` for each watched request in flight for at least
+ * `threshold` ms, where `watched` is the object passed to `watch()`.
+ *
+ * @param {Object} opts
+ *      @param {Function} opts.report - Required.
+ *      @param {Number} opts.threshold - Required.
+ *      @param {Number} opts.interval - See `opts.watchdog` in core.js.
+ */
+function InFlightWatchdog(opts) {
+    assert.object(opts, 'opts');
+    assert.func(opts.report, 'opts.report');
+    assert.number(opts.threshold, 'opts.threshold');
+    assert.optionalNumber(opts.interval, 'opts.interval');
+
+    this.report = opts.report;
+    this.threshold = opts.threshold;
+    this.interval =
+        opts.interval || Math.min(opts.threshold / 2, MAX_DEFAULT_INTERVAL);
+    // Watched requests not yet reported, in the order they started.
+    this.inFlight = [];
+    this.checkTimer = null;
+}
+
+/*
+ * Start watching a request. `watched` is any object identifying the request
+ * to the `report` function; `unwatch(watched)` must be called when the
+ * request completes.
+ */
+InFlightWatchdog.prototype.watch = function watch(watched) {
+    var self = this;
+
+    self.inFlight.push({watched: watched, start: Date.now()});
+
+    if (!self.checkTimer) {
+        self.checkTimer = setInterval(function onCheckInterval() {
+            self.check();
+        }, self.interval);
+        // Don't keep the process alive just to watch requests.
+        self.checkTimer.unref();
+    }
+};
+
+InFlightWatchdog.prototype.unwatch = function unwatch(watched) {
+    for (var i = 0; i < this.inFlight.length; i++) {
+        if (this.inFlight[i].watched === watched) {
+            this.inFlight.splice(i, 1);
+            break;
+        }
+    }
+};
+
+/*
+ * Report requests now past the threshold. Each request is reported once.
+ * The check timer is stopped if no requests are being watched; it is
+ * restarted on the next `watch()`.
+ */
+InFlightWatchdog.prototype.check = function check() {
+    var self = this;
+    var now = Date.now();
+
+    // Requests are in start order, so the overdue ones are at the front.
+    var numOverdue = 0;
+    while (
+        numOverdue < self.inFlight.length &&
+        now - self.inFlight[numOverdue].start >= self.threshold
+    ) {
+        numOverdue++;
+    }
+    var overdue = self.inFlight.splice(0, numOverdue);
+
+    if (self.inFlight.length === 0 && self.checkTimer) {
+        clearInterval(self.checkTimer);
+        self.checkTimer = null;
+    }
+
+    overdue.forEach(function(entry) {
+        self.report(entry.watched, now - entry.start);
+    });
+};
+
+/*
+ * Stop watching all requests.
+ */
+InFlightWatchdog.prototype.close = function close() {
+    this.inFlight = [];
+    if (this.checkTimer) {
+        clearInterval(this.checkTimer);
+        this.checkTimer = null;
+    }
+};
+
+module.exports = {
+    InFlightWatchdog: InFlightWatchdog
+};
@@ -0,0 +1,235 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+/*
+ * Test that the restify, Express and plain `http` adapters log the same
+ * audit records.
+ */
+
+const restifyClients = require('restify-clients');
+const tap = require('tap');
+
+const testcommon = require('./testcommon');
+
+// ---- data
+
+const addr = '127.0.0.1';
+const port = '8124';
+const url = 'http://' + addr + ':' + port;
+
+const ADAPTERS = [
+    {
+        name: 'restify',
+        createServer: testcommon.createServer,
+        helloRoute: 'gethello',
+        slowRoute: 'getslow'
+    },
+    {
+        name: 'express',
+        createServer: testcommon.createExpressServer,
+        helloRoute: 'gethello',
+        slowRoute: 'getslow'
+    },
+    {
+        name: 'http',
+        createServer: testcommon.createHttpServer,
+        helloRoute: undefined,
+        slowRoute: undefined
+    }
+];
+
+// ---- support
+
+function parsedBody(body) {
+    return typeof body === 'string' ? JSON.parse(body) : body;
+}
+
+// ---- tests
+
+ADAPTERS.forEach(adapter => {
+    tap.test(adapter.name + ' adapter', tt => {
+        const auditLoggerOpts = {
+            captureStreams: true,
+            watchdog: {threshold: 100, interval: 10},
+            reqBody: {},
+            resBody: {includeGet2xx: true},
+            rules: [
+                {
+                    match: {path: ['/stream', '/pipe']},
+                    resBody: {includeGet2xx: true, maxLen: 10}
+                },
+                {match: {path: '/join'}, reqBody: {maxLen: 20}}
+            ]
+        };
+
+        const client = restifyClients.createJsonClient({url: url});
+        const server = adapter.createServer({
+            name: adapter.name + '-adapter',
+            auditLoggerOpts: auditLoggerOpts
+        });
+
+        tt.test('server listen', t => {
+            server.listen(port, addr, function listening() {
+                t.end();
+            });
+        });
+
+        tt.test('GET /hello', t => {
+            server.clearRecs();
+            client.get('/hello', (err, _req, res, _body) => {
+                t.ifErr(err, err);
+                t.equal(res.statusCode, 200, '200 status code');
+                server.getRecs(recs => {
+                    t.equal(recs.length, 1, 'one audit rec');
+                    const rec = recs[0];
+                    t.ok(rec.audit, 'rec.audit');
+                    t.equal(rec.msg, 'handled: 200', 'rec.msg');
+                    t.equal(rec.route, adapter.helloRoute, 'rec.route');
+                    t.equal(typeof rec.req_id, 'string', 'rec.req_id');
+                    t.equal(typeof rec.latency, 'number', 'rec.latency');
+                    t.equal(rec.remoteAddress, '127.0.0.1');
+                    t.equal(rec.secure, false, 'rec.secure');
+                    t.equal(rec.req.method, 'GET', 'rec.req.method');
+                    t.equal(rec.req.url, '/hello', 'rec.req.url');
+                    t.equal(rec.res.statusCode, 200, 'rec.res.statusCode');
+                    t.deepEqual(parsedBody(rec.res.body), {hello: 'world'});
+                    t.equal(rec.res.bodyLength, 17, 'rec.res.bodyLength');
+                    t.notOk(rec.streamed, 'not rec.streamed');
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('PUT /join', t => {
+            server.clearRecs();
+            client.put('/join', {login: 'bob'}, (err, _req, _res, _body) => {
+                t.ifErr(err, err);
+                server.getRecs(recs => {
+                    const rec = recs[0];
+                    t.deepEqual(parsedBody(rec.req.body), {login: 'bob'});
+                    t.deepEqual(parsedBody(rec.res.body), {
+                        success: true,
+                        login: 'bob'
+                    });
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('PUT /join (long body)', t => {
+            server.clearRecs();
+            const body = {login: 'bob', about: 'x'.repeat(50)};
+            client.put('/join', body, (err, _req, _res, _body) => {
+                t.ifErr(err, err);
+                server.getRecs(recs => {
+                    // Object bodies (Express) are clipped by their
+                    // serialized length, as string bodies are.
+                    t.equal(
+                        recs[0].req.body,
+                        '{"login":"bob","abou\n...<elided 56 chars>'
+                    );
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('404', t => {
+            server.clearRecs();
+            client.get('/no-such-endpoint', (err, _req, res, _body) => {
+                t.ok(err, 'err');
+                t.equal(res.statusCode, 404, '404 status code');
+                server.getRecs(recs => {
+                    t.equal(recs[0].res.statusCode, 404, 'rec.res.statusCode');
+                    t.equal(recs[0].route, undefined, 'no rec.route');
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('GET /oops', t => {
+            server.clearRecs();
+            client.get('/oops', (err, _req, res, _body) => {
+                t.ok(err, 'err');
+                t.equal(res.statusCode, 500, '500 status code');
+                server.getRecs(recs => {
+                    const rec = recs[0];
+                    t.equal(rec.res.statusCode, 500, 'rec.res.statusCode');
+                    t.ok(
+                        /something blew up/.test(rec.res.body),
+                        'rec.res.body'
+                    );
+                    if (adapter.name !== 'http') {
+                        t.ok(rec.err, 'rec.err');
+                    }
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('GET /stream', t => {
+            server.clearRecs();
+            client.get('/stream', (_err, _req, res, _body) => {
+                t.equal(res.statusCode, 200, '200 status code');
+                server.getRecs(recs => {
+                    t.equal(
+                        recs[0].res.body,
+                        'line 1\nlin\n...<elided 11 chars>',
+                        'rec.res.body from res.write/res.end'
+                    );
+                    t.equal(recs[0].res.bodyLength, 21, 'rec.res.bodyLength');
+                    t.equal(recs[0].streamed, true, 'rec.streamed');
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('GET /pipe', t => {
+            server.clearRecs();
+            client.get('/pipe', (_err, _req, res, _body) => {
+                t.equal(res.statusCode, 200, '200 status code');
+                server.getRecs(recs => {
+                    t.equal(
+                        recs[0].res.body,
+                        'chunk 0\nch\n...<elided 70 chars>',
+                        'rec.res.body prefix from a piped stream'
+                    );
+                    t.equal(recs[0].res.bodyLength, 80, 'rec.res.bodyLength');
+                    t.equal(recs[0].streamed, true, 'rec.streamed');
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('GET /slow (watchdog)', t => {
+            server.clearRecs();
+            client.get('/slow?ms=200', (err, _req, _res, _body) => {
+                t.ifErr(err, err);
+                server.getRecs(recs => {
+                    t.equal(recs.length, 2, 'watchdog and audit recs');
+                    t.equal(recs[0].inFlight, true, 'rec.inFlight');
+                    t.equal(recs[0].route, adapter.slowRoute, 'rec.route');
+                    t.equal(recs[0].req.url, '/slow?ms=200', 'rec.req.url');
+                    t.equal(recs[0].req_id, recs[1].req_id, 'rec.req_id');
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('teardown', t => {
+            server.close();
+            client.close();
+            t.end();
+        });
+
+        tt.end();
+    });
+});
@@ -10,9 +10,12 @@
 
 'use strict';
 
+const crypto = require('crypto');
+const http = require('http');
 const restifyClients = require('restify-clients');
 const tap = require('tap');
 
+const core = require('../../lib/core');
 const testcommon = require('./testcommon');
 
 // ---- data
@@ -206,3 +209,1339 @@ tap.test('default-body-logging', tt => {
 
     tt.end();
 });
+
+tap.test('redact-headers', tt => {
+    const auditLoggerOpts = {
+        routeOverrides: {
+            oops: {
+                redact: {headers: ['X-Secret']}
+            }
+        }
+    };
+
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'redact-headers',
+        auditLoggerOpts: auditLoggerOpts
+    });
+    const sig =
+        'Signature keyId="/bob/keys/aa:bb",algorithm="rsa-sha256",' +
+        'signature="c2VjcmV0"';
+    let liveAuth;
+    server.on('after', function laterAfterHandler(req) {
+        liveAuth = req.headers.authorization;
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('GET /hello (default redaction)', t => {
+        server.clearRecs();
+        const reqOpts = {
+            path: '/hello',
+            headers: {
+                authorization: sig,
+                cookie: 'session=s3cr3t',
+                'x-registry-auth': 'eyJwYXNzd29yZCI6InNlY3JldCJ9',
+                'x-secret': 'not by default'
+            }
+        };
+        client.get(reqOpts, (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                var headers = recs[0].req.headers;
+                t.equal(
+                    headers.authorization,
+                    'Signature keyId="/bob/keys/aa:bb" (redacted)'
+                );
+                t.equal(headers.cookie, '(redacted)');
+                t.equal(headers['x-registry-auth'], '(redacted)');
+                t.equal(headers['x-secret'], 'not by default');
+                t.equal(liveAuth, sig, 'live req.headers are not modified');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /hello (Basic auth)', t => {
+        server.clearRecs();
+        const reqOpts = {
+            path: '/hello',
+            headers: {
+                authorization:
+                    'Basic ' + Buffer.from('bob:secret').toString('base64')
+            }
+        };
+        client.get(reqOpts, (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs[0].req.headers.authorization, 'Basic (redacted)');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /cookie (Set-Cookie response header)', t => {
+        server.clearRecs();
+        client.get('/cookie', (err, _req, res, _body) => {
+            t.ifErr(err, err);
+            t.equal(res.headers['set-cookie'].length, 2, 'live Set-Cookie');
+            server.getRecs(recs => {
+                t.deepEqual(recs[0].res.headers['set-cookie'], [
+                    '(redacted)',
+                    '(redacted)'
+                ]);
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /oops (route override)', t => {
+        server.clearRecs();
+        const reqOpts = {
+            path: '/oops',
+            headers: {
+                cookie: 'session=s3cr3t',
+                'x-secret': 'hide me'
+            }
+        };
+        client.get(reqOpts, (_err, _req, _res, _body) => {
+            server.getRecs(recs => {
+                var headers = recs[0].req.headers;
+                t.equal(headers.cookie, 'session=s3cr3t');
+                t.equal(headers['x-secret'], '(redacted)');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('select-headers', tt => {
+    const auditLoggerOpts = {
+        reqHeaders: {
+            exclude: ['x-joyent-*', 'Connection'],
+            maxValueLen: 10
+        },
+        resHeaders: {include: ['content-*', 'set-cookie']},
+        routeOverrides: {
+            oops: {reqHeaders: {include: ['X-Joyent-Account']}}
+        }
+    };
+
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'select-headers',
+        auditLoggerOpts: auditLoggerOpts
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('GET /cookie', t => {
+        server.clearRecs();
+        const reqOpts = {
+            path: '/cookie',
+            headers: {
+                cookie: 'session=s3cr3t',
+                'x-joyent-account': 'bob',
+                'x-joyent-role': 'admin',
+                'x-long': 'abcdefghijklmnopqrstuvwxyz'
+            }
+        };
+        client.get(reqOpts, (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                const reqHeaders = recs[0].req.headers;
+                t.equal(reqHeaders.cookie, '(redacted)', 'redacted first');
+                t.equal(reqHeaders['x-joyent-account'], undefined);
+                t.equal(reqHeaders['x-joyent-role'], undefined);
+                t.equal(reqHeaders.connection, undefined);
+                t.equal(
+                    reqHeaders['x-long'],
+                    'abcdefghij...<elided 16 chars>',
+                    'clipped value'
+                );
+                t.deepEqual(
+                    Object.keys(recs[0].res.headers).sort(),
+                    ['content-length', 'content-type', 'set-cookie'],
+                    'included response headers'
+                );
+                t.deepEqual(recs[0].res.headers['set-cookie'], [
+                    '(redacted)',
+                    '(redacted)'
+                ]);
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /oops (route override)', t => {
+        server.clearRecs();
+        const reqOpts = {
+            path: '/oops',
+            headers: {'x-joyent-account': 'bob', 'x-long': 'abc'}
+        };
+        client.get(reqOpts, (_err, _req, _res, _body) => {
+            server.getRecs(recs => {
+                t.deepEqual(recs[0].req.headers, {'x-joyent-account': 'bob'});
+                t.deepEqual(
+                    Object.keys(recs[0].res.headers).sort(),
+                    ['content-length', 'content-type'],
+                    'inherited resHeaders'
+                );
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('redact-query', tt => {
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'redact-query',
+        auditLoggerOpts: {
+            redact: {headers: ['X-Secret'], query: ['signature', '*token']},
+            routeOverrides: {
+                oops: {redact: {query: []}},
+                getcookie: {redact: {headers: ['X-Other']}}
+            }
+        }
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('GET /hello?...', t => {
+        server.clearRecs();
+        const reqPath =
+            '/hello?name=J%C3%BCrgen&signature=YWJj%2FZGVm&api_token=s3cr3t';
+        client.get(reqPath, (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(
+                    recs[0].req.url,
+                    '/hello?name=J%C3%BCrgen&signature=(redacted)' +
+                        '&api_token=(redacted)'
+                );
+                t.equal(
+                    recs[0].req.query,
+                    'name=J%C3%BCrgen&signature=(redacted)' +
+                        '&api_token=(redacted)'
+                );
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /oops?... (route override)', t => {
+        server.clearRecs();
+        const reqOpts = {
+            path: '/oops?signature=abc',
+            headers: {'x-secret': 's3cr3t'}
+        };
+        client.get(reqOpts, (_err, _req, _res, _body) => {
+            server.getRecs(recs => {
+                t.equal(recs[0].req.url, '/oops?signature=abc');
+                t.equal(
+                    recs[0].req.headers['x-secret'],
+                    '(redacted)',
+                    'redact.headers is inherited'
+                );
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /cookie?... (route override)', t => {
+        server.clearRecs();
+        const reqOpts = {
+            path: '/cookie?signature=abc',
+            headers: {'x-secret': 'not here', 'x-other': 's3cr3t'}
+        };
+        client.get(reqOpts, (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(
+                    recs[0].req.url,
+                    '/cookie?signature=(redacted)',
+                    'redact.query is inherited'
+                );
+                t.equal(recs[0].req.headers['x-secret'], 'not here');
+                t.equal(recs[0].req.headers['x-other'], '(redacted)');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('redact-body-fields', tt => {
+    const auditLoggerOpts = {
+        reqBody: {
+            redact: ['password']
+        },
+        resBody: {
+            redact: ['login'],
+            maxLen: 30
+        }
+    };
+
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'redact-body-fields',
+        auditLoggerOpts: auditLoggerOpts
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('PUT /join', t => {
+        server.clearRecs();
+        const body = {login: 'bob', password: 'secret'};
+        client.put('/join', body, (err, _req, _res, resBody) => {
+            t.ifErr(err, err);
+            t.equal(resBody.login, 'bob', 'live response body');
+            server.getRecs(recs => {
+                var rec = recs[0]; // assuming audit rec is the only one
+                t.equal(
+                    rec.req.body,
+                    '{"login":"bob","password":"(redacted)"}'
+                );
+                // Redacted before clipping at maxLen=30.
+                t.equal(
+                    rec.res.body,
+                    '{"success":true,"login":"(reda\n...<elided 7 chars>'
+                );
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('buffer-bodies', tt => {
+    const auditLoggerOpts = {
+        reqBody: {bufferPreview: {length: 4}},
+        resBody: {maxLen: 8, bufferPreview: {length: 16, encoding: 'base64'}},
+        rules: [
+            {
+                match: {header: 'x-include-buffers'},
+                reqBody: {includeBuffers: true, maxLen: 8},
+                resBody: {includeBuffers: true, maxLen: 8}
+            }
+        ]
+    };
+    const upload = crypto.randomBytes(100);
+    const uploadSha256 = crypto
+        .createHash('sha256')
+        .update(upload)
+        .digest('hex');
+
+    const server = testcommon.createServer({
+        name: 'buffer-bodies',
+        auditLoggerOpts: auditLoggerOpts
+    });
+
+    function putUpload(headers, cb) {
+        const req = http.request(
+            {
+                host: addr,
+                port: port,
+                method: 'PUT',
+                path: '/upload',
+                headers: Object.assign({'content-type': 'image/png'}, headers)
+            },
+            res => {
+                res.resume();
+                res.on('end', () => {
+                    cb(res);
+                });
+            }
+        );
+        req.end(upload);
+    }
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('PUT /upload (summaries)', t => {
+        server.clearRecs();
+        putUpload({}, res => {
+            t.equal(res.statusCode, 200, '200 status code');
+            server.getRecs(recs => {
+                const rec = recs[0];
+                t.deepEqual(rec.req.body, {
+                    buffer: true,
+                    length: 100,
+                    contentType: 'image/png',
+                    sha256: uploadSha256,
+                    preview: upload.slice(0, 4).toString('hex'),
+                    previewEncoding: 'hex'
+                });
+                // The response is captured up to maxLen=8 bytes, but its
+                // digest covers the whole body.
+                t.deepEqual(rec.res.body, {
+                    buffer: true,
+                    length: 100,
+                    contentType: 'image/png',
+                    sha256: uploadSha256,
+                    preview: upload.slice(0, 8).toString('base64'),
+                    previewEncoding: 'base64'
+                });
+                t.end();
+            });
+        });
+    });
+
+    tt.test('PUT /upload (includeBuffers)', t => {
+        server.clearRecs();
+        putUpload({'x-include-buffers': '1'}, () => {
+            server.getRecs(recs => {
+                const rec = recs[0];
+                t.deepEqual(
+                    rec.req.body,
+                    {
+                        buffer: true,
+                        length: 100,
+                        clipped: true,
+                        data: upload.slice(0, 8)
+                    },
+                    'clipped rec.req.body'
+                );
+                t.ok(Buffer.isBuffer(rec.req.body.data), 'data is a Buffer');
+                t.deepEqual(
+                    rec.res.body,
+                    {
+                        buffer: true,
+                        length: 100,
+                        clipped: true,
+                        data: upload.slice(0, 8)
+                    },
+                    'clipped rec.res.body'
+                );
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('content-type-policies', tt => {
+    const auditLoggerOpts = {
+        reqBody: {
+            contentTypes: {
+                'application/json': 'pretty',
+                'multipart/form-data': 'parts',
+                'application/octet-stream': 'skip',
+                'application/*zip': 'skip'
+            }
+        },
+        resBody: {
+            includeGet2xx: true,
+            contentTypes: {'text/*': 'skip', '*/*': 'raw'}
+        }
+    };
+
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'content-type-policies',
+        auditLoggerOpts: auditLoggerOpts
+    });
+
+    function putUpload(contentType, body, cb) {
+        const req = http.request(
+            {
+                host: addr,
+                port: port,
+                method: 'PUT',
+                path: '/upload',
+                headers: {'content-type': contentType}
+            },
+            res => {
+                res.resume();
+                res.on('end', () => {
+                    cb(res);
+                });
+            }
+        );
+        req.end(body);
+    }
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('PUT /join (pretty JSON)', t => {
+        server.clearRecs();
+        client.put('/join', {login: 'bob'}, (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs[0].req.body, '{\n  "login": "bob"\n}');
+                t.equal(
+                    recs[0].res.body,
+                    '{"success":true,"login":"bob"}',
+                    'response body is raw'
+                );
+                t.end();
+            });
+        });
+    });
+
+    tt.test('PUT /upload (multipart parts)', t => {
+        server.clearRecs();
+        const body = [
+            '--XyZ',
+            'Content-Disposition: form-data; name="comment"',
+            '',
+            'hello',
+            '--XyZ--',
+            ''
+        ].join('\r\n');
+        putUpload('multipart/form-data; boundary=XyZ', body, res => {
+            t.equal(res.statusCode, 200, '200 status code');
+            server.getRecs(recs => {
+                t.deepEqual(recs[0].req.body, {
+                    multipart: true,
+                    parts: [
+                        {
+                            name: 'comment',
+                            filename: undefined,
+                            contentType: 'text/plain',
+                            length: 5
+                        }
+                    ]
+                });
+                t.end();
+            });
+        });
+    });
+
+    tt.test('PUT /upload (zip skipped)', t => {
+        server.clearRecs();
+        putUpload('application/zip', Buffer.alloc(10), () => {
+            server.getRecs(recs => {
+                t.equal(recs[0].req.body, undefined, 'no rec.req.body');
+                t.equal(recs[0].res.body.length, 10, 'rec.res.body summary');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /stream (text skipped)', t => {
+        server.clearRecs();
+        client.get('/stream', () => {
+            server.getRecs(recs => {
+                t.equal(recs[0].res.body, undefined, 'no rec.res.body');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('log-level-by-status', tt => {
+    const auditLoggerOpts = {
+        logLevelByStatus: {
+            '5xx': 'error',
+            '4xx': 'warn',
+            '404': 'info'
+        },
+        routeOverrides: {
+            putjoin: {
+                logLevel: 'info',
+                errLogLevel: 'error'
+            }
+        }
+    };
+
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'log-level-by-status',
+        auditLoggerOpts: auditLoggerOpts
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    [
+        {path: '/hello', statusCode: 200, level: 30},
+        {path: '/no-such-endpoint', statusCode: 404, level: 30},
+        {path: '/oops', statusCode: 500, level: 50}
+    ].forEach(c => {
+        tt.test('GET ' + c.path, t => {
+            server.clearRecs();
+            client.get(c.path, (_err, _req, res, _body) => {
+                t.equal(res.statusCode, c.statusCode, 'res.statusCode');
+                server.getRecs(recs => {
+                    var rec = recs[0]; // assuming audit rec is the only one
+                    t.ok(rec.audit, 'rec.audit');
+                    t.equal(rec.level, c.level, 'rec.level');
+                    t.end();
+                });
+            });
+        });
+    });
+
+    tt.test('PUT /join (200)', t => {
+        server.clearRecs();
+        client.put('/join', {login: 'bob'}, (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs[0].level, 30, 'rec.level');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('PUT /join (409, err raises level)', t => {
+        server.clearRecs();
+        client.put('/join', {}, (_err, _req, res, _body) => {
+            t.equal(res.statusCode, 409, 'res.statusCode');
+            server.getRecs(recs => {
+                t.equal(recs[0].level, 50, 'rec.level');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('sample-and-rate-limit', tt => {
+    const auditLoggerOpts = {
+        suppressedReportInterval: 50,
+        routeOverrides: {
+            gethello: {
+                rateLimit: {max: 1, interval: 60000}
+            },
+            getcookie: {
+                sample: 1
+            },
+            oops: {
+                sample: 0
+            }
+        }
+    };
+
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'sample-and-rate-limit',
+        auditLoggerOpts: auditLoggerOpts
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('GET /hello (rate limited)', t => {
+        server.clearRecs();
+        client.get('/hello', (err1, _req1, _res1, _body1) => {
+            t.ifErr(err1, err1);
+            client.get('/hello', (err2, _req2, _res2, _body2) => {
+                t.ifErr(err2, err2);
+                client.get('/hello', (err3, _req3, _res3, _body3) => {
+                    t.ifErr(err3, err3);
+                    server.getRecs(recs => {
+                        t.equal(recs.length, 1, 'only 1 rec logged');
+                        t.equal(recs[0].route, 'gethello');
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+
+    tt.test('suppressed count record', t => {
+        server.clearRecs();
+        setTimeout(function waitForReport() {
+            server.getRecs(recs => {
+                t.equal(recs.length, 1, 'one suppressed count record');
+                t.ok(recs[0].audit, 'rec.audit');
+                t.equal(recs[0].route, 'gethello');
+                t.equal(recs[0].suppressed, 2);
+                t.equal(recs[0].suppressedByRateLimit, 2);
+                t.equal(recs[0].suppressedBySample, 0);
+                t.end();
+            });
+        }, 100);
+    });
+
+    tt.test('GET /cookie (sampled)', t => {
+        server.clearRecs();
+        client.get('/cookie', (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs.length, 1, 'rec logged');
+                t.equal(recs[0].sampleRate, 1, 'rec.sampleRate');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /oops (errors are always logged)', t => {
+        server.clearRecs();
+        client.get('/oops', (_err, _req, res, _body) => {
+            t.equal(res.statusCode, 500, '500 status code');
+            server.getRecs(recs => {
+                t.equal(recs.length, 1, 'rec logged');
+                t.equal(recs[0].res.statusCode, 500);
+                t.equal(recs[0].sampleRate, undefined, 'no rec.sampleRate');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('rules', tt => {
+    const auditLoggerOpts = {
+        rules: [
+            {match: {route: null}, logLevel: 'warn'},
+            {match: {header: 'x-quiet'}, include: false},
+            {match: {method: 'PUT', path: '/join'}, reqBody: {}},
+            {match: {status: '5xx'}, logLevel: 'error'},
+            {match: {remoteAddress: '10.0.0.0/8'}, include: false}
+        ],
+        routeOverrides: {
+            // Route names are compared case-insensitively.
+            GetCookie: {logLevel: 'warn'}
+        }
+    };
+
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'rules',
+        auditLoggerOpts: auditLoggerOpts
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    [
+        {path: '/hello', level: 30},
+        {path: '/no-such-endpoint', level: 40},
+        {path: '/oops', level: 50},
+        {path: '/cookie', level: 40},
+        {path: '/hello', headers: {'x-quiet': '1'}, level: null}
+    ].forEach(c => {
+        tt.test('GET ' + c.path + ' ' + JSON.stringify(c.headers || {}), t => {
+            server.clearRecs();
+            client.get({path: c.path, headers: c.headers}, () => {
+                server.getRecs(recs => {
+                    if (c.level === null) {
+                        t.equal(recs.length, 0, 'no audit rec');
+                    } else {
+                        t.equal(recs.length, 1, 'one audit rec');
+                        t.equal(recs[0].level, c.level, 'rec.level');
+                    }
+                    t.end();
+                });
+            });
+        });
+    });
+
+    tt.test('PUT /join', t => {
+        server.clearRecs();
+        client.put('/join', {login: 'bob'}, (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs[0].req.body, '{"login":"bob"}', 'rec.req.body');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('slow-requests', tt => {
+    const auditLoggerOpts = {
+        slowThreshold: 100,
+        routeOverrides: {
+            // Every request is slow.
+            gethello: {slowThreshold: 0, slowLogLevel: 'error'}
+        },
+        watchdog: {threshold: 200, interval: 20}
+    };
+
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'slow-requests',
+        auditLoggerOpts: auditLoggerOpts
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('GET /slow?ms=0', t => {
+        server.clearRecs();
+        client.get('/slow?ms=0', (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs.length, 1, 'one audit rec');
+                t.equal(recs[0].level, 30, 'rec.level');
+                t.notOk(recs[0].slow, 'rec.slow');
+                t.notOk(recs[0].timerBreakdown, 'rec.timerBreakdown');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /slow?ms=120', t => {
+        server.clearRecs();
+        client.get('/slow?ms=120', (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs.length, 1, 'one audit rec');
+                const rec = recs[0];
+                t.equal(rec.level, 40, 'rec.level');
+                t.strictEqual(rec.slow, true, 'rec.slow');
+                t.equal(
+                    rec.timerBreakdown[0].name,
+                    'slowStart',
+                    'slowest handler first'
+                );
+                t.ok(rec.timerBreakdown[0].ms >= 100, 'slowStart ms');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /hello (per-route slowThreshold)', t => {
+        server.clearRecs();
+        client.get('/hello', (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.strictEqual(recs[0].slow, true, 'rec.slow');
+                t.equal(recs[0].level, 50, 'rec.level');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /slow?ms=300 (watchdog)', t => {
+        server.clearRecs();
+        client.get('/slow?ms=300', (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs.length, 2, 'watchdog and audit recs');
+                const watchdogRec = recs[0];
+                t.strictEqual(watchdogRec.inFlight, true, 'rec.inFlight');
+                t.equal(watchdogRec.level, 40, 'rec.level');
+                t.ok(watchdogRec.elapsed >= 200, 'rec.elapsed');
+                t.equal(watchdogRec.route, 'getslow', 'rec.route');
+                t.equal(watchdogRec.req.url, '/slow?ms=300', 'rec.req.url');
+                t.notOk(watchdogRec.res, 'no rec.res');
+                t.equal(watchdogRec.req_id, recs[1].req_id, 'rec.req_id');
+                t.strictEqual(recs[1].slow, true, 'audit rec.slow');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /slow?ms=0 (not watched after completion)', t => {
+        server.clearRecs();
+        client.get('/slow?ms=0', (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            setTimeout(() => {
+                server.getRecs(recs => {
+                    t.equal(recs.length, 1, 'no watchdog rec');
+                    t.end();
+                });
+            }, 300);
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        server.auditHandler.close(() => {
+            t.end();
+        });
+    });
+
+    tt.end();
+});
+
+tap.test('caller', tt => {
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'caller',
+        auditLoggerOpts: {caller: true}
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('HTTP Signature', t => {
+        server.clearRecs();
+        const headers = {
+            authorization:
+                'Signature keyId="/bob/users/alice/keys/aa:bb",' +
+                'algorithm="rsa-sha256",signature="c2ln"'
+        };
+        client.get({path: '/hello', headers: headers}, err => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.deepEqual(recs[0].caller, {
+                    scheme: 'signature',
+                    account: 'bob',
+                    user: 'alice',
+                    fingerprint: 'aa:bb',
+                    keyId: '/bob/users/alice/keys/aa:bb'
+                });
+                t.equal(
+                    recs[0].req.headers.authorization,
+                    'Signature keyId="/bob/users/alice/keys/aa:bb" (redacted)',
+                    'the header is still redacted'
+                );
+                t.end();
+            });
+        });
+    });
+
+    tt.test('Basic auth', t => {
+        server.clearRecs();
+        const headers = {
+            authorization:
+                'Basic ' + Buffer.from('bob:secret').toString('base64')
+        };
+        client.get({path: '/hello', headers: headers}, err => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.deepEqual(recs[0].caller, {scheme: 'basic', username: 'bob'});
+                t.equal(
+                    JSON.stringify(recs[0]).indexOf('secret'),
+                    -1,
+                    'no password'
+                );
+                t.end();
+            });
+        });
+    });
+
+    tt.test('no auth', t => {
+        server.clearRecs();
+        client.get('/hello', err => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.notOk(recs[0].hasOwnProperty('caller'), 'no rec.caller');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('trace', tt => {
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'trace',
+        auditLoggerOpts: {trace: true}
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('GET /hello with trace headers', t => {
+        server.clearRecs();
+        const headers = {
+            traceparent:
+                '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01',
+            tracestate: 'triton=abc',
+            'x-request-id': 'upstream-1'
+        };
+        client.get({path: '/hello', headers: headers}, err => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                const rec = recs[0];
+                t.equal(
+                    rec.trace_id,
+                    '4bf92f3577b34da6a3ce929d0e0e4736',
+                    'rec.trace_id'
+                );
+                t.equal(
+                    rec.parent_span_id,
+                    '00f067aa0ba902b7',
+                    'rec.parent_span_id'
+                );
+                t.equal(rec.trace_state, 'triton=abc', 'rec.trace_state');
+                t.equal(
+                    rec.upstream_req_id,
+                    'upstream-1',
+                    'rec.upstream_req_id'
+                );
+                t.notOk(rec.hasOwnProperty('span_id'), 'no rec.span_id');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /hello without trace headers', t => {
+        server.clearRecs();
+        client.get('/hello', err => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.notOk(recs[0].hasOwnProperty('trace_id'), 'no rec.trace_id');
+                t.notOk(
+                    recs[0].hasOwnProperty('upstream_req_id'),
+                    'no rec.upstream_req_id'
+                );
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('max-record-size', tt => {
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'max-record-size',
+        auditLoggerOpts: {
+            reqBody: {},
+            resBody: {},
+            maxRecordSize: 1500
+        }
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('PUT /join (fits)', t => {
+        server.clearRecs();
+        client.put('/join', {login: 'bob'}, (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs[0].truncated, undefined, 'no rec.truncated');
+                t.equal(recs[0].req.body, '{"login":"bob"}');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('PUT /join (long body)', t => {
+        server.clearRecs();
+        const body = {login: 'bob', about: 'x'.repeat(2000)};
+        client.put('/join', body, (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                const rec = recs[0];
+                t.deepEqual(rec.truncated, ['req.body'], 'rec.truncated');
+                t.ok(
+                    /^\{"login":"bob","about":"x+\n\.\.\.<elided \d+ chars>$/.test(
+                        rec.req.body
+                    ),
+                    'clipped req.body'
+                );
+                t.ok(JSON.stringify(rec).length <= 1500, 'fits');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /oops', t => {
+        server.clearRecs();
+        client.get('/oops', (_err, _req, _res, _body) => {
+            server.getRecs(recs => {
+                const rec = recs[0];
+                t.deepEqual(
+                    rec.truncated.slice(0, 2),
+                    ['res.body', 'err.stack'],
+                    'rec.truncated'
+                );
+                t.equal(rec.res.body, undefined, 'no rec.res.body');
+                t.equal(rec.err.stack, undefined, 'no rec.err.stack');
+                t.equal(rec.err.message, 'something blew up');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('runtime-update', tt => {
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'runtime-update',
+        auditLoggerOpts: {
+            routeOverrides: {gethello: {include: false}}
+        }
+    });
+    const audit = server.auditHandler;
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('GET /hello (excluded)', t => {
+        server.clearRecs();
+        client.get('/hello', err => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs.length, 0, 'no audit rec');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('setRouteOverride', t => {
+        server.clearRecs();
+        const routeOpts = {logLevel: 'warn', resBody: {includeGet2xx: true}};
+        audit.setRouteOverride('GetHello', routeOpts);
+        t.deepEqual(
+            routeOpts,
+            {logLevel: 'warn', resBody: {includeGet2xx: true}},
+            'routeOpts are not modified'
+        );
+        // Changing the given object later has no effect.
+        routeOpts.include = false;
+
+        client.get('/hello', err => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs.length, 3, 'change, warning and audit recs');
+                t.deepEqual(recs[0].configChange, {
+                    op: 'setRouteOverride',
+                    route: 'GetHello',
+                    options: {logLevel: 'warn', resBody: {includeGet2xx: true}}
+                });
+                t.equal(recs[0].level, 30, 'change rec.level');
+                t.equal(
+                    recs[0].msg,
+                    'audit options changed: setRouteOverride',
+                    'change rec.msg'
+                );
+                t.deepEqual(
+                    recs[1].warnings,
+                    [
+                        'opts.routeOverrides.GetHello: route names are ' +
+                            'compared case-insensitively, use "gethello"'
+                    ],
+                    'mixed-case route name warning'
+                );
+                t.equal(recs[2].level, 40, 'audit rec.level');
+                t.equal(
+                    recs[2].res.body,
+                    '{"hello":"world"}',
+                    'audit rec.res.body'
+                );
+                t.end();
+            });
+        });
+    });
+
+    tt.test('update', t => {
+        server.clearRecs();
+        audit.update({logLevel: 'error', polish: function addRegion() {}});
+        client.get('/cookie', err => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.deepEqual(recs[0].configChange, {
+                    op: 'update',
+                    options: {logLevel: 'error', polish: '<function addRegion>'}
+                });
+                t.equal(recs[1].level, 50, 'audit rec.level');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('invalid changes', t => {
+        server.clearRecs();
+        t.throws(
+            () => audit.update({logLevel: 'info', sample: 2}),
+            /changes.sample is at most 1: got 2/
+        );
+        t.throws(
+            () => audit.update({log: null}),
+            /changes.log is an option that can be updated/
+        );
+        t.throws(
+            () => audit.setRouteOverride('getcookie', {rateLimit: {}}),
+            /routeOverrides.getcookie.rateLimit.max/
+        );
+        client.get('/cookie', err => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs.length, 1, 'no change recs');
+                t.equal(recs[0].level, 50, 'options are unchanged');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('removeRouteOverride', t => {
+        server.clearRecs();
+        t.equal(audit.removeRouteOverride('getnothing'), false, 'none');
+        t.equal(audit.removeRouteOverride('gethello'), true, 'removed');
+        client.get('/hello', err => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs.length, 2, 'change and audit recs');
+                t.deepEqual(recs[0].configChange, {
+                    op: 'removeRouteOverride',
+                    route: 'gethello'
+                });
+                t.equal(recs[1].level, 50, 'default options apply');
+                t.notOk(recs[1].res.body, 'no rec.res.body');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+tap.test('options are not modified', t => {
+    const opts = {
+        sinks: [{type: 'callback', callback: () => {}}],
+        logLevelByStatus: {'5xx': 'error'},
+        reqBody: {contentTypes: {'text/*': 'skip'}},
+        redact: {headers: ['X-Api-Key']},
+        rules: [{match: {route: /^list/}, resBody: {}}],
+        routeOverrides: {GetPing: {include: false, logLevel: 'debug'}}
+    };
+    const expected = {
+        logLevelByStatus: {'5xx': 'error'},
+        reqBody: {contentTypes: {'text/*': 'skip'}},
+        redact: {headers: ['X-Api-Key']},
+        rules: [{match: {route: /^list/}, resBody: {}}],
+        routeOverrides: {GetPing: {include: false, logLevel: 'debug'}}
+    };
+    const auditor = core.createAuditor(opts);
+    Object.keys(expected).forEach(name => {
+        t.deepEqual(opts[name], expected[name], 'opts.' + name);
+    });
+    auditor.close(() => {
+        t.end();
+    });
+});
@@ -0,0 +1,190 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const tap = require('tap');
+const zlib = require('zlib');
+
+const bodies = require('../../lib/bodies');
+const core = require('../../lib/core');
+
+// ---- data
+
+const MULTIPART_BODY = [
+    '--XyZ',
+    'Content-Disposition: form-data; name="comment"',
+    '',
+    'hello',
+    '--XyZ',
+    'Content-Disposition: form-data; name="avatar"; filename="me.png"',
+    'Content-Type: image/png',
+    '',
+    '0123456789',
+    '--XyZ--',
+    ''
+].join('\r\n');
+
+// ---- tests
+
+tap.test('compileContentTypes', t => {
+    const policyFromContentType = bodies.compileContentTypes(
+        {
+            'text/*': 'skip',
+            'application/*+json': 'summary',
+            'application/json': 'pretty',
+            'Text/CSV': 'raw'
+        },
+        'contentTypes'
+    );
+    const cases = [
+        ['application/json; charset=utf-8', 'pretty'],
+        ['application/merge-patch+json', 'summary'],
+        ['text/html', 'skip'],
+        // An exact media type takes precedence over a glob.
+        ['text/csv', 'raw'],
+        ['image/png', undefined],
+        [undefined, undefined]
+    ];
+    cases.forEach(c => {
+        t.equal(policyFromContentType(c[0]), c[1], String(c[0]));
+    });
+
+    t.throws(
+        () => bodies.compileContentTypes({'text/*': 'shred'}, 'contentTypes'),
+        /contentTypes\["text\/\*"\] is one of raw, pretty/
+    );
+    t.end();
+});
+
+tap.test('decodeBody', t => {
+    const json = '{"login":"bob"}';
+    t.equal(
+        bodies.decodeBody(zlib.gzipSync(json), 'gzip').toString(),
+        json,
+        'gzip'
+    );
+    t.equal(
+        bodies.decodeBody(zlib.deflateSync(json), 'deflate').toString(),
+        json,
+        'deflate'
+    );
+    t.equal(
+        bodies.decodeBody(zlib.deflateRawSync(json), 'deflate').toString(),
+        json,
+        'raw deflate'
+    );
+    t.equal(bodies.decodeBody(json, 'gzip'), json, 'already decoded string');
+    const notGzip = Buffer.from(json);
+    t.equal(bodies.decodeBody(notGzip, 'gzip'), notGzip, 'not gzip data');
+    t.equal(bodies.decodeBody(notGzip, undefined), notGzip, 'no encoding');
+    t.end();
+});
+
+tap.test('prettyJson', t => {
+    t.equal(bodies.prettyJson('{"a":[1]}'), '{\n  "a": [\n    1\n  ]\n}');
+    t.equal(bodies.prettyJson({a: 1}), '{\n  "a": 1\n}', 'object body');
+    t.equal(bodies.prettyJson('{"a":'), '{"a":', 'unparseable');
+    t.end();
+});
+
+tap.test('multipartSummary', t => {
+    const contentType = 'multipart/form-data; boundary=XyZ';
+    const expectedParts = [
+        {
+            name: 'comment',
+            filename: undefined,
+            contentType: 'text/plain',
+            length: 5
+        },
+        {
+            name: 'avatar',
+            filename: 'me.png',
+            contentType: 'image/png',
+            length: 10
+        }
+    ];
+
+    t.deepEqual(
+        bodies.multipartSummary(Buffer.from(MULTIPART_BODY), contentType),
+        {multipart: true, parts: expectedParts},
+        'Buffer body'
+    );
+    t.deepEqual(
+        bodies.multipartSummary(MULTIPART_BODY, contentType).parts,
+        expectedParts,
+        'string body'
+    );
+
+    const truncated = MULTIPART_BODY.slice(0, MULTIPART_BODY.indexOf('3456'));
+    t.equal(
+        bodies.multipartSummary(truncated, contentType).parts[1].length,
+        3,
+        'truncated body'
+    );
+
+    // A body parsed by the framework, e.g. restify's multipart body parser.
+    const req = {
+        body: {comment: 'hello'},
+        files: {avatar: {name: 'me.png', type: 'image/png', size: 10}}
+    };
+    t.deepEqual(
+        bodies.multipartSummary(undefined, contentType, req).parts,
+        expectedParts,
+        'parsed body'
+    );
+    t.equal(
+        bodies.multipartSummary(undefined, contentType),
+        undefined,
+        'no body'
+    );
+    t.end();
+});
+
+tap.test('summary policy bodies are not clipped', t => {
+    const recs = [];
+    const auditor = core.createAuditor({
+        sinks: [{type: 'callback', callback: rec => recs.push(rec)}],
+        reqBody: {maxLen: 64, contentTypes: {'*/*': 'summary'}}
+    });
+    const body = 'x'.repeat(1000);
+    auditor.audit({
+        req: {
+            body: body,
+            connection: {remoteAddress: '127.0.0.1', remotePort: 1234},
+            headers: {'content-type': 'text/plain'},
+            httpVersion: '1.1',
+            method: 'PUT',
+            url: '/things'
+        },
+        res: {
+            statusCode: 200,
+            getHeader: () => undefined,
+            getHeaderNames: () => []
+        },
+        route: null,
+        reqId: 'abc',
+        latency: 1
+    });
+    auditor.close(() => {
+        t.equal(recs.length, 1);
+        t.deepEqual(recs[0].req.body, {
+            buffer: true,
+            length: 1000,
+            contentType: 'text/plain',
+            sha256: crypto
+                .createHash('sha256')
+                .update(body)
+                .digest('hex')
+        });
+        t.end();
+    });
+});
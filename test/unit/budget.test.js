@@ -0,0 +1,166 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const budget = require('../../lib/budget');
+
+// ---- support
+
+function mkRec(reqHeaders) {
+    return {
+        name: 'audit',
+        req_id: 'abc',
+        req: {
+            method: 'PUT',
+            url: '/my/things/1',
+            headers: reqHeaders || {
+                host: 'example.com',
+                'user-agent': 'test/1.0',
+                'x-big': 'b'.repeat(200),
+                'x-small': 's'.repeat(20)
+            },
+            body: 'q'.repeat(500),
+            timers: {parseBody: 120, putThing: 4500}
+        },
+        res: {
+            statusCode: 500,
+            headers: {'content-type': 'application/json', 'x-res': 'r'},
+            body: {code: 'InternalError', message: 'm'.repeat(400)}
+        },
+        err: {
+            message: 'boom',
+            name: 'InternalError',
+            stack: 'InternalError: boom\n' + '    at x\n'.repeat(30)
+        },
+        timerBreakdown: [{name: 'putThing', ms: 4.5}],
+        msg: 'handled: 500'
+    };
+}
+
+function size(rec) {
+    return Buffer.byteLength(JSON.stringify(rec));
+}
+
+// ---- tests
+
+tap.test('under budget', t => {
+    const rec = mkRec();
+    budget.fitRecord(rec, size(rec));
+    t.deepEqual(rec, mkRec(), 'unchanged');
+    t.end();
+});
+
+tap.test('clip the larger body', t => {
+    const rec = mkRec();
+    const max = size(rec) - 100;
+    budget.fitRecord(rec, max);
+    t.deepEqual(rec.truncated, ['req.body']);
+    t.ok(size(rec) <= max, 'fits');
+    t.ok(
+        /^q+\n\.\.\.<elided \d+ chars>$/.test(rec.req.body),
+        'clipped req.body'
+    );
+    t.deepEqual(rec.res, mkRec().res, 'res.body is kept');
+
+    // An object body is clipped by its serialized length.
+    const rec2 = mkRec();
+    rec2.req.body = 'q';
+    const max2 = size(rec2) - 100;
+    budget.fitRecord(rec2, max2);
+    t.deepEqual(rec2.truncated, ['res.body']);
+    t.ok(size(rec2) <= max2, 'fits');
+    t.ok(
+        /^\{"code":"InternalError","message":"m+\n\.\.\.<elided \d+ chars>$/.test(
+            rec2.res.body
+        ),
+        'object body clipped by its serialized length: ' + rec2.res.body
+    );
+    t.end();
+});
+
+tap.test('shed in order', t => {
+    const full = size(mkRec());
+    const cases = [
+        {
+            // Both bodies and most of the stack.
+            shed: 1200,
+            truncated: ['req.body', 'res.body', 'err.stack']
+        },
+        {
+            shed: 1300,
+            truncated: [
+                'req.body',
+                'res.body',
+                'err.stack',
+                'req.timers',
+                'timerBreakdown'
+            ]
+        },
+        {
+            shed: 1400,
+            truncated: [
+                'req.body',
+                'res.body',
+                'err.stack',
+                'req.timers',
+                'timerBreakdown',
+                'req.headers'
+            ],
+            reqHeaders: ['host', 'user-agent', 'x-small']
+        }
+    ];
+    cases.forEach(c => {
+        const rec = mkRec();
+        budget.fitRecord(rec, full - c.shed);
+        t.deepEqual(rec.truncated, c.truncated, 'shed ' + c.shed);
+        t.ok(size(rec) <= full - c.shed, 'fits');
+        t.notOk(rec.req.hasOwnProperty('body'), 'req.body dropped');
+        t.notOk(rec.res.hasOwnProperty('body'), 'res.body dropped');
+        t.equal(rec.err.message, 'boom', 'err.message is kept');
+        if (c.reqHeaders) {
+            t.deepEqual(Object.keys(rec.req.headers), c.reqHeaders);
+        }
+    });
+    t.end();
+});
+
+tap.test('essential headers are kept', t => {
+    const reqHeaders = {
+        host: 'example.com',
+        'user-agent': 'test/1.0',
+        'x-big': 'b'.repeat(200),
+        'x-small': 's'.repeat(20)
+    };
+    const rec = mkRec(reqHeaders);
+    budget.fitRecord(rec, 100);
+    t.deepEqual(rec.truncated, [
+        'req.body',
+        'res.body',
+        'err.stack',
+        'req.timers',
+        'timerBreakdown',
+        'req.headers',
+        'res.headers'
+    ]);
+    t.deepEqual(rec.req.headers, {
+        host: 'example.com',
+        'user-agent': 'test/1.0'
+    });
+    t.deepEqual(rec.res.headers, {'content-type': 'application/json'});
+    t.equal(
+        Object.keys(reqHeaders).length,
+        4,
+        'the given headers object is not modified'
+    );
+    t.end();
+});
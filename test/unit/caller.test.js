@@ -0,0 +1,160 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const caller = require('../../lib/caller');
+const core = require('../../lib/core');
+
+// ---- support
+
+function reqWithAuth(authorization) {
+    return {headers: {authorization: authorization}};
+}
+
+function basicAuth(userPass) {
+    return 'Basic ' + Buffer.from(userPass).toString('base64');
+}
+
+// ---- tests
+
+tap.test('callerFromSignature', t => {
+    const cases = [
+        {
+            auth:
+                'Signature keyId="/bob/keys/aa:bb",algorithm="rsa-sha256",' +
+                'signature="c2ln"',
+            expected: {
+                scheme: 'signature',
+                account: 'bob',
+                fingerprint: 'aa:bb',
+                keyId: '/bob/keys/aa:bb'
+            }
+        },
+        {
+            auth:
+                'Signature algorithm="rsa-sha256",' +
+                'keyId="/bob/users/alice/keys/SHA256:abc",signature="c2ln"',
+            expected: {
+                scheme: 'signature',
+                account: 'bob',
+                user: 'alice',
+                fingerprint: 'SHA256:abc',
+                keyId: '/bob/users/alice/keys/SHA256:abc'
+            }
+        },
+        {
+            // Not a Triton keyId.
+            auth: 'signature keyId="my-key",signature="c2ln"',
+            expected: {scheme: 'signature', keyId: 'my-key'}
+        },
+        {auth: 'Signature signature="c2ln"', expected: undefined},
+        {auth: basicAuth('bob:secret'), expected: undefined},
+        {auth: undefined, expected: undefined}
+    ];
+    cases.forEach(c => {
+        t.deepEqual(
+            caller.callerFromSignature(reqWithAuth(c.auth)),
+            c.expected,
+            String(c.auth)
+        );
+    });
+    t.end();
+});
+
+tap.test('callerFromBasic', t => {
+    t.deepEqual(caller.callerFromBasic(reqWithAuth(basicAuth('bob:se:cr'))), {
+        scheme: 'basic',
+        username: 'bob'
+    });
+    t.equal(
+        caller.callerFromBasic(reqWithAuth(basicAuth('no-colon'))),
+        undefined,
+        'no username'
+    );
+    t.equal(
+        caller.callerFromBasic(reqWithAuth('Bearer abc')),
+        undefined,
+        'other scheme'
+    );
+    t.end();
+});
+
+tap.test('compileCaller', t => {
+    t.equal(caller.compileCaller(undefined, 'opts.caller'), undefined);
+    t.equal(caller.compileCaller(false, 'opts.caller'), undefined);
+
+    const callerFromReq = caller.compileCaller(true, 'opts.caller');
+    t.deepEqual(callerFromReq(reqWithAuth(basicAuth('bob:secret'))), {
+        scheme: 'basic',
+        username: 'bob'
+    });
+    t.equal(callerFromReq({headers: {}}), undefined, 'no auth');
+
+    // E.g. CloudAPI sets `req.caller` on authenticated requests.
+    const custom = caller.compileCaller(
+        [req => req.caller && {account: req.caller.login}, 'basic'],
+        'opts.caller'
+    );
+    const req = reqWithAuth(basicAuth('bob:secret'));
+    t.deepEqual(custom(req), {scheme: 'basic', username: 'bob'}, 'fallback');
+    req.caller = {login: 'alice'};
+    t.deepEqual(custom(req), {account: 'alice'}, 'custom extractor first');
+
+    t.throws(
+        () => caller.compileCaller(['signature', 'token'], 'opts.caller'),
+        /opts.caller\[1\] is a function or one of signature, basic: "token"/
+    );
+    t.end();
+});
+
+tap.test('a throwing caller function', t => {
+    const recs = [];
+    const warnings = [];
+    const onWarning = warning => warnings.push(warning.message);
+    process.on('warning', onWarning);
+
+    const auditor = core.createAuditor({
+        sinks: [{type: 'callback', callback: rec => recs.push(rec)}],
+        caller: () => {
+            throw new Error('bad token');
+        }
+    });
+    t.doesNotThrow(() => {
+        auditor.audit({
+            req: {
+                connection: {remoteAddress: '127.0.0.1', remotePort: 1234},
+                headers: {},
+                httpVersion: '1.1',
+                method: 'GET',
+                url: '/things'
+            },
+            res: {
+                statusCode: 200,
+                getHeader: () => undefined,
+                getHeaderNames: () => []
+            },
+            route: null,
+            reqId: 'abc',
+            latency: 1
+        });
+    }, 'audit() does not throw');
+    auditor.close(() => {
+        setImmediate(() => {
+            process.removeListener('warning', onWarning);
+            t.equal(recs.length, 1, 'the record is still logged');
+            t.notOk(recs[0].hasOwnProperty('caller'), 'without caller');
+            t.deepEqual(warnings, ['bad token']);
+            t.end();
+        });
+    });
+});
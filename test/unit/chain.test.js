@@ -0,0 +1,477 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const child_process = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const restifyClients = require('restify-clients');
+const tap = require('tap');
+const zlib = require('zlib');
+
+const chain = require('../../lib/chain');
+const testcommon = require('./testcommon');
+
+// ---- data
+
+const addr = '127.0.0.1';
+const port = '8127';
+const url = 'http://' + addr + ':' + port;
+
+const KEY = Buffer.from('s3cr3t');
+const VERIFY_CMD = path.resolve(__dirname, '../../bin/triton-audit-verify');
+
+// ---- support
+
+/*
+ * Sign a chain of `n` records (after the chain-start marker), and return
+ * them as they would be read back from a log file.
+ */
+function signChain(auditChain, n) {
+    const recs = [];
+    for (let i = 0; i <= n; i++) {
+        const rec = {
+            name: 'test',
+            hostname: 'myhost',
+            pid: 123,
+            audit: true,
+            level: 30,
+            msg: i === 0 ? 'audit chain start' : 'handled: 200',
+            time: new Date(),
+            v: 0
+        };
+        if (i === 0) {
+            Object.assign(rec, auditChain.startFields());
+        } else {
+            rec.req_id = 'req-' + i;
+        }
+        auditChain.sign(rec);
+        recs.push(JSON.parse(JSON.stringify(rec)));
+    }
+    return recs;
+}
+
+function mkChain(n) {
+    return signChain(new chain.AuditChain({key: KEY}, 'opts.chain'), n);
+}
+
+/*
+ * Make a chain of `n` records with a `stateFile`, then close it (saving its
+ * state) and call `cb(recs)`.
+ */
+function mkSavedChain(n, chainOpts, cb) {
+    const auditChain = new chain.AuditChain(chainOpts, 'opts.chain');
+    const recs = signChain(auditChain, n);
+    auditChain.close(() => {
+        cb(recs);
+    });
+}
+
+function verify(recs) {
+    const verifier = new chain.AuditChainVerifier({key: KEY});
+    recs.forEach((rec, i) => verifier.addRec(rec, undefined, i + 1));
+    return verifier.end();
+}
+
+function problems(report) {
+    return report.problems.map(p => {
+        const summary = {problem: p.problem, seq: p.seq};
+        if (p.endSeq !== undefined) {
+            summary.endSeq = p.endSeq;
+        }
+        return summary;
+    });
+}
+
+// ---- tests
+
+tap.test('intact chain', t => {
+    const recs = mkChain(3);
+    t.equal(recs[0].chainStart, true, 'chain-start marker');
+    t.deepEqual(
+        recs.map(rec => rec.seq),
+        [0, 1, 2, 3],
+        'seq'
+    );
+    t.equal(recs[1].chainId, recs[0].chainId, 'chainId');
+    t.ok(/^[0-9a-f]{64}$/.test(recs[1].hmac), 'rec.hmac');
+
+    const report = verify(recs);
+    t.equal(report.ok, true, 'report.ok');
+    t.equal(report.numRecords, 4, 'report.numRecords');
+    t.deepEqual(report.chainIds, [recs[0].chainId], 'report.chainIds');
+
+    // Field order, and fields Bunyan sets itself, don't matter.
+    const rec = recs[1];
+    const reordered = {hmac: rec.hmac, name: 'other', src: {line: 1}};
+    Object.keys(rec)
+        .reverse()
+        .forEach(key => {
+            if (reordered[key] === undefined) {
+                reordered[key] = rec[key];
+            }
+        });
+    t.equal(verify([recs[0], reordered]).ok, true, 'reordered fields');
+    t.end();
+});
+
+tap.test('restarts are new chains', t => {
+    const report = verify(mkChain(2).concat(mkChain(2)));
+    t.equal(report.ok, true, 'report.ok');
+    t.equal(report.chainIds.length, 2, 'two chains');
+    t.end();
+});
+
+tap.test('chains linked across restarts', t => {
+    const tmpDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'triton-audit-logger-')
+    );
+    const chainOpts = {key: KEY, stateFile: path.join(tmpDir, 'state')};
+
+    mkSavedChain(3, chainOpts, first => {
+        t.notOk(first[0].prevChainId, 'no previous chain');
+        mkSavedChain(2, chainOpts, second => {
+            t.equal(second[0].prevChainId, first[0].chainId, 'prevChainId');
+            t.equal(second[0].prevSeq, 3, 'prevSeq');
+            t.equal(second[0].prevDigest, first[3].hmac, 'prevDigest');
+            mkSavedChain(1, chainOpts, third => {
+                t.equal(verify(first.concat(second, third)).ok, true, 'intact');
+                t.deepEqual(
+                    problems(verify(first.slice(0, 2).concat(second, third))),
+                    [{problem: 'truncated', seq: 2, endSeq: 3}],
+                    'last records of the first chain deleted'
+                );
+                t.deepEqual(
+                    problems(verify(first.concat(third))),
+                    [{problem: 'missingPrevChain', seq: 0}],
+                    'second chain deleted'
+                );
+                t.deepEqual(
+                    problems(verify(second.concat(third))),
+                    [{problem: 'missingPrevChain', seq: 0}],
+                    'expected when verifying without the earlier files'
+                );
+                t.deepEqual(
+                    problems(verify(mkChain(2).concat(third))),
+                    [{problem: 'missingPrevChain', seq: 0}],
+                    'spliced in chain'
+                );
+
+                fs.writeFileSync(chainOpts.stateFile, 'garbage');
+                t.throws(
+                    () => new chain.AuditChain(chainOpts, 'opts.chain'),
+                    /opts.chain.stateFile is a chain state file/
+                );
+                fs.unlinkSync(chainOpts.stateFile);
+                fs.rmdirSync(tmpDir);
+                t.end();
+            });
+        });
+    });
+});
+
+tap.test('chain state is saved asynchronously', t => {
+    const tmpDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'triton-audit-logger-')
+    );
+    const stateFile = path.join(tmpDir, 'state');
+    const auditChain = new chain.AuditChain(
+        {key: KEY, stateFile: stateFile},
+        'opts.chain'
+    );
+    const recs = signChain(auditChain, 2);
+    t.notOk(fs.existsSync(stateFile), 'not saved on signing');
+
+    setTimeout(() => {
+        t.deepEqual(
+            JSON.parse(fs.readFileSync(stateFile, 'utf8')),
+            {chainId: recs[2].chainId, seq: 2, digest: recs[2].hmac},
+            'the latest state is saved on an interval'
+        );
+        const more = signChain(auditChain, 1);
+        auditChain.close(() => {
+            t.equal(
+                JSON.parse(fs.readFileSync(stateFile, 'utf8')).digest,
+                more[1].hmac,
+                'saved on close'
+            );
+            t.deepEqual(fs.readdirSync(tmpDir), ['state'], 'no tmp file');
+            fs.unlinkSync(stateFile);
+            fs.rmdirSync(tmpDir);
+            t.end();
+        });
+    }, 300);
+});
+
+tap.test('links to an earlier record', t => {
+    const tmpDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'triton-audit-logger-')
+    );
+    const chainOpts = {key: KEY, stateFile: path.join(tmpDir, 'state')};
+    mkSavedChain(3, chainOpts, first => {
+        // As if the process crashed before the state for seq 3 was saved.
+        fs.writeFileSync(
+            chainOpts.stateFile,
+            JSON.stringify({
+                chainId: first[0].chainId,
+                seq: 2,
+                digest: first[2].hmac
+            })
+        );
+        mkSavedChain(1, chainOpts, second => {
+            t.equal(verify(first.concat(second)).ok, true, 'lagging link');
+
+            // A link that doesn't match the previous chain.
+            fs.writeFileSync(
+                chainOpts.stateFile,
+                JSON.stringify({
+                    chainId: first[0].chainId,
+                    seq: 2,
+                    digest: 'abc'
+                })
+            );
+            mkSavedChain(1, chainOpts, broken => {
+                t.deepEqual(problems(verify(first.concat(broken))), [
+                    {problem: 'brokenLink', seq: 0}
+                ]);
+                fs.unlinkSync(chainOpts.stateFile);
+                fs.rmdirSync(tmpDir);
+                t.end();
+            });
+        });
+    });
+});
+
+tap.test('modified record', t => {
+    const recs = mkChain(3);
+    recs[2].res = {statusCode: 200};
+    t.deepEqual(problems(verify(recs)), [{problem: 'modified', seq: 2}]);
+    t.end();
+});
+
+tap.test('deleted records', t => {
+    const recs = mkChain(5);
+    recs.splice(2, 2);
+    t.deepEqual(problems(verify(recs)), [{problem: 'gap', seq: 2, endSeq: 3}]);
+    t.end();
+});
+
+tap.test('reordered record', t => {
+    const recs = mkChain(3);
+    const moved = recs.splice(1, 1)[0];
+    recs.push(moved);
+    t.deepEqual(problems(verify(recs)), [{problem: 'reordered', seq: 1}]);
+    t.end();
+});
+
+tap.test('duplicate record', t => {
+    const recs = mkChain(2);
+    recs.push(recs[1]);
+    t.deepEqual(problems(verify(recs)), [{problem: 'duplicate', seq: 1}]);
+    t.end();
+});
+
+tap.test('missing chain start and unchained records', t => {
+    const recs = mkChain(3).slice(2);
+    recs.push({audit: true, msg: 'handled: 200'});
+    recs.push({msg: 'not an audit record'});
+    t.deepEqual(problems(verify(recs)), [
+        {problem: 'missingChainStart', seq: 2},
+        {problem: 'unchained', seq: undefined}
+    ]);
+    t.end();
+});
+
+tap.test('wrong key', t => {
+    const recs = mkChain(1);
+    const verifier = new chain.AuditChainVerifier({key: Buffer.from('nope')});
+    recs.forEach(rec => verifier.addRec(rec));
+    t.deepEqual(problems(verifier.end()), [
+        {problem: 'modified', seq: 0},
+        {problem: 'modified', seq: 1}
+    ]);
+    t.end();
+});
+
+tap.test('chained records from a server', tt => {
+    const tmpDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'triton-audit-logger-')
+    );
+    const secretFile = path.join(tmpDir, 'secret');
+    const stateFile = path.join(tmpDir, 'state');
+    const logFile = path.join(tmpDir, 'audit.log');
+    fs.writeFileSync(secretFile, KEY);
+
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'chain',
+        auditLoggerOpts: {
+            chain: {secretFile: secretFile, stateFile: stateFile}
+        },
+        sinks: [{type: 'file', path: logFile}]
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('requests', t => {
+        client.get('/hello', (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            client.get('/oops', (_err, _req2, _res2, _body2) => {
+                server.getRecs(recs => {
+                    t.equal(recs.length, 3, 'marker and two audit recs');
+                    t.equal(recs[0].msg, 'audit chain start', 'marker');
+                    t.deepEqual(
+                        recs.map(rec => rec.seq),
+                        [0, 1, 2],
+                        'seq'
+                    );
+
+                    const report = verify(
+                        recs.map(rec => JSON.parse(JSON.stringify(rec)))
+                    );
+                    t.equal(report.ok, true, 'bunyan recs verify');
+                    t.end();
+                });
+            });
+        });
+    });
+
+    tt.test('close', t => {
+        server.close();
+        client.close();
+        server.auditHandler.close(() => {
+            const recs = fs
+                .readFileSync(logFile, 'utf8')
+                .trim()
+                .split('\n')
+                .map(line => JSON.parse(line));
+            t.deepEqual(
+                JSON.parse(fs.readFileSync(stateFile, 'utf8')),
+                {chainId: recs[2].chainId, seq: 2, digest: recs[2].hmac},
+                'state file saved on close'
+            );
+            t.end();
+        });
+    });
+
+    tt.test('verifyAuditLog', t => {
+        chain.verifyAuditLog(
+            {secretFile: secretFile, paths: [logFile]},
+            (err, report) => {
+                t.ifErr(err, err);
+                t.equal(report.ok, true, 'file recs verify');
+                t.equal(report.numRecords, 3, 'report.numRecords');
+                t.end();
+            }
+        );
+    });
+
+    tt.test('triton-audit-verify', t => {
+        // Gzip the log, and edit a record in a copy.
+        fs.writeFileSync(
+            logFile + '.gz',
+            zlib.gzipSync(fs.readFileSync(logFile))
+        );
+        const editedFile = path.join(tmpDir, 'edited.log');
+        fs.writeFileSync(
+            editedFile,
+            fs.readFileSync(logFile, 'utf8').replace('/hello', '/hullo')
+        );
+
+        child_process.execFile(
+            process.execPath,
+            [VERIFY_CMD, '-k', secretFile, logFile + '.gz'],
+            (err, stdout, _stderr) => {
+                t.ifErr(err, err);
+                t.ok(/^ok: 3 audit records in 1 chain/.test(stdout), stdout);
+
+                child_process.execFile(
+                    process.execPath,
+                    [VERIFY_CMD, '-k', secretFile, editedFile],
+                    (err2, stdout2, _stderr2) => {
+                        t.equal(err2 && err2.code, 1, 'exit status 1');
+                        t.ok(
+                            /edited.log:2: modified record \(seq 1\)/.test(
+                                stdout2
+                            ),
+                            stdout2
+                        );
+                        t.ok(/^FAIL: /m.test(stdout2), 'FAIL');
+                        t.end();
+                    }
+                );
+            }
+        );
+    });
+
+    tt.test('triton-audit-verify (truncated chain)', t => {
+        // A restart after the last records of the chain were deleted.
+        const recs = fs
+            .readFileSync(logFile, 'utf8')
+            .trim()
+            .split('\n')
+            .map(line => JSON.parse(line));
+        const truncatedFile = path.join(tmpDir, 'truncated.log');
+        mkSavedChain(
+            1,
+            {secretFile: secretFile, stateFile: stateFile},
+            next => {
+                fs.writeFileSync(
+                    truncatedFile,
+                    recs
+                        .slice(0, 2)
+                        .concat(next)
+                        .map(rec => JSON.stringify(rec) + '\n')
+                        .join('')
+                );
+
+                child_process.execFile(
+                    process.execPath,
+                    [VERIFY_CMD, '-k', secretFile, truncatedFile],
+                    (err, stdout, _stderr) => {
+                        t.equal(err && err.code, 1, 'exit status 1');
+                        t.ok(
+                            stdout.indexOf(
+                                'chain ' +
+                                    recs[0].chainId +
+                                    ': missing last records (seq 2)'
+                            ) !== -1,
+                            stdout
+                        );
+                        t.end();
+                    }
+                );
+            }
+        );
+    });
+
+    tt.test('cleanup', t => {
+        [
+            'secret',
+            'state',
+            'audit.log',
+            'audit.log.gz',
+            'edited.log',
+            'truncated.log'
+        ].forEach(name => {
+            fs.unlinkSync(path.join(tmpDir, name));
+        });
+        fs.rmdirSync(tmpDir);
+        t.end();
+    });
+
+    tt.end();
+});
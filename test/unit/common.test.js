@@ -0,0 +1,63 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const common = require('../../lib/common');
+
+// ---- tests
+
+tap.test('safeDecodeURIComponent', t => {
+    t.equal(common.safeDecodeURIComponent('caf%C3%A9'), 'café');
+    t.equal(common.safeDecodeURIComponent('%E0%A4%A'), '%E0%A4%A', 'invalid');
+    t.end();
+});
+
+tap.test('authFromValue', t => {
+    t.deepEqual(common.authFromValue(' Basic Ym9iOnNlY3JldA=='), {
+        scheme: 'Basic',
+        credentials: 'Ym9iOnNlY3JldA=='
+    });
+    t.equal(common.authFromValue('Ym9iOnNlY3JldA=='), undefined, 'no scheme');
+    t.end();
+});
+
+tap.test('keyIdFromSignature', t => {
+    t.equal(
+        common.keyIdFromSignature(
+            'keyId="/bob/keys/aa:bb",algorithm="rsa-sha256",signature="x"'
+        ),
+        '/bob/keys/aa:bb'
+    );
+    t.equal(
+        common.keyIdFromSignature('algorithm="rsa-sha256", keyId="/bob/k"'),
+        '/bob/k'
+    );
+    t.equal(
+        common.keyIdFromSignature('otherkeyId="/bob/k"'),
+        undefined,
+        'not a keyId parameter'
+    );
+    t.end();
+});
+
+tap.test('compileNames', t => {
+    const matchName = common.compileNames(['Signature', 'x-*'], 'names');
+    t.equal(matchName('signature'), true);
+    t.equal(matchName('x-amz-date'), true);
+    t.equal(matchName('signatures'), false);
+    t.throws(
+        () => common.compileNames('signature', 'redact.query'),
+        /redact.query \(\[string\]\) is required/
+    );
+    t.end();
+});
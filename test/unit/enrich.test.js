@@ -0,0 +1,353 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const restifyClients = require('restify-clients');
+const tap = require('tap');
+
+const core = require('../../lib/core');
+const enrich = require('../../lib/enrich');
+const testcommon = require('./testcommon');
+
+// ---- data
+
+const addr = '127.0.0.1';
+const port = '8129';
+const url = 'http://' + addr + ':' + port;
+
+// ---- support
+
+/*
+ * Run enrichers on `fields`, calling `cb(keep, errors, isSync)`, where
+ * `errors` are "<step name>: <message>" strings.
+ */
+function run(enrichers, fields, cb) {
+    const errors = [];
+    let isSync = true;
+    enrich.runEnrichers(
+        enrich.compileEnrichers(enrichers, 'enrichers'),
+        [fields, {}, {}, null, null],
+        (step, err) => errors.push(step.name + ': ' + err.message),
+        keep => cb(keep, errors, isSync)
+    );
+    isSync = false;
+}
+
+/*
+ * A minimal exchange for `auditor.audit()`.
+ */
+function mkExchange() {
+    return {
+        req: {
+            connection: {remoteAddress: '127.0.0.1', remotePort: 1234},
+            headers: {},
+            httpVersion: '1.1',
+            method: 'GET',
+            url: '/things'
+        },
+        res: {
+            statusCode: 200,
+            getHeader: () => undefined,
+            getHeaderNames: () => []
+        },
+        route: null,
+        reqId: 'abc',
+        latency: 1
+    };
+}
+
+function delay(ms, val) {
+    return new Promise(resolve => setTimeout(() => resolve(val), ms));
+}
+
+// ---- tests
+
+tap.test('compileEnrichers', t => {
+    function addLogin() {}
+    t.deepEqual(enrich.compileEnrichers(undefined, 'enrichers'), []);
+    t.deepEqual(
+        enrich
+            .compileEnrichers(
+                [addLogin, {name: 'lookup', enrich: () => {}, timeout: 50}],
+                'enrichers'
+            )
+            .map(step => [step.name, step.timeout]),
+        [
+            ['addLogin', enrich.DEFAULT_ENRICHER_TIMEOUT],
+            ['lookup', 50]
+        ]
+    );
+    t.throws(
+        () => enrich.compileEnrichers([{timeout: 50}], 'enrichers'),
+        /enrichers\[0\].enrich \(func\) is required/
+    );
+    t.throws(
+        () => enrich.compileEnrichers([addLogin, 'x'], 'enrichers'),
+        /enrichers\[1\] \(object\) is required/
+    );
+    t.throws(
+        () =>
+            enrich.compileEnrichers(
+                [{enrich: addLogin, timeout: 0}],
+                'enrichers'
+            ),
+        /enrichers\[0\].timeout is a positive number/
+    );
+    t.end();
+});
+
+tap.test('sync enrichers', t => {
+    const fields = {};
+    run(
+        [
+            f => {
+                f.a = 1;
+            },
+            function oops() {
+                throw new Error('boom');
+            },
+            f => {
+                f.b = f.a + 1;
+                return true;
+            }
+        ],
+        fields,
+        (keep, errors, isSync) => {
+            t.ok(keep, 'keep');
+            t.ok(isSync, 'called back synchronously');
+            t.deepEqual(fields, {a: 1, b: 2}, 'later enrichers still run');
+            t.deepEqual(errors, ['oops: boom']);
+        }
+    );
+
+    const called = [];
+    run(
+        [() => called.push(1) && false, () => called.push(2)],
+        {},
+        (keep, errors, isSync) => {
+            t.equal(keep, false, 'dropped');
+            t.ok(isSync, 'dropped synchronously');
+            t.deepEqual(called, [1], 'later enrichers are not called');
+        }
+    );
+    t.end();
+});
+
+tap.test('async enrichers', t => {
+    const fields = {};
+    run(
+        [
+            f => {
+                f.a = 1;
+            },
+            f =>
+                delay(10).then(() => {
+                    f.login = 'bob';
+                }),
+            function rejects() {
+                return Promise.reject(new Error('no cache'));
+            },
+            f => {
+                f.b = 2;
+            }
+        ],
+        fields,
+        (keep, errors, isSync) => {
+            t.ok(keep, 'keep');
+            t.notOk(isSync, 'called back asynchronously');
+            t.deepEqual(fields, {a: 1, login: 'bob', b: 2});
+            t.deepEqual(errors, ['rejects: no cache']);
+
+            run([() => delay(5, false), () => t.fail('not called')], {}, k => {
+                t.equal(k, false, 'resolving to false drops the record');
+                t.end();
+            });
+        }
+    );
+});
+
+tap.test('enricher timeout', t => {
+    const fields = {};
+    const start = Date.now();
+    run(
+        [
+            {
+                name: 'lookup',
+                enrich: f =>
+                    delay(200).then(() => {
+                        f.late = true;
+                    }),
+                timeout: 20
+            },
+            f => {
+                f.b = 2;
+            }
+        ],
+        fields,
+        (keep, errors) => {
+            t.ok(keep, 'keep');
+            t.ok(Date.now() - start < 150, 'did not wait for the lookup');
+            t.deepEqual(fields, {b: 2});
+            t.deepEqual(errors, [
+                'lookup: enricher "lookup" timed out after 20 ms'
+            ]);
+            t.end();
+        }
+    );
+});
+
+tap.test('polish step', t => {
+    const fields = {};
+    enrich.runEnrichers(
+        [
+            enrich.stepFromPolish(f => {
+                f.polished = true;
+                return false;
+            })
+        ],
+        [fields],
+        () => t.fail('no errors'),
+        keep => {
+            t.ok(keep, 'polish return values are ignored');
+            t.deepEqual(fields, {polished: true});
+            t.end();
+        }
+    );
+});
+
+tap.test('errors after async enrichment', t => {
+    const recs = [];
+    const warnings = [];
+    const onWarning = warning => warnings.push(warning.message);
+    process.on('warning', onWarning);
+
+    const auditor = core.createAuditor({
+        sinks: [
+            {
+                type: 'callback',
+                callback: rec => {
+                    recs.push(rec);
+                    if (rec.req_id === 'abc') {
+                        throw new Error('sink blew up');
+                    }
+                }
+            }
+        ],
+        enrichers: [
+            () => Promise.resolve(),
+            {name: 'slowLookup', enrich: () => delay(200), timeout: 10}
+        ]
+    });
+    auditor.audit(mkExchange());
+    auditor.close(() => {
+        process.removeListener('warning', onWarning);
+        t.equal(recs.length, 1, 'audit rec');
+        t.deepEqual(
+            recs[0].enrichErrors,
+            ['slowLookup: enricher "slowLookup" timed out after 10 ms'],
+            'enricher errors are noted in the record without opts.log'
+        );
+        t.deepEqual(
+            warnings,
+            ['sink blew up'],
+            'a sink error after async enrichment is a process warning'
+        );
+        t.end();
+    });
+});
+
+tap.test('enrichers on a server', tt => {
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({name: 'enrich'});
+    const audit = server.auditHandler;
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('setup', t => {
+        const logins = {abc123: 'bob'};
+        audit.update({
+            enrichers: [
+                function lookupLogin(fields) {
+                    return delay(20).then(() => {
+                        fields.login = logins.abc123;
+                    });
+                },
+                function badEnricher() {
+                    throw new Error('oops');
+                }
+            ],
+            polish: function polish(fields) {
+                fields.polished = Boolean(fields.login);
+            },
+            routeOverrides: {
+                getcookie: {
+                    enrichers: [() => false]
+                }
+            }
+        });
+        t.end();
+    });
+
+    tt.test('GET /hello', t => {
+        server.clearRecs();
+        client.get('/hello', err => {
+            t.ifErr(err, err);
+            setTimeout(() => {
+                server.getRecs(recs => {
+                    t.equal(recs.length, 2, 'error rec and audit rec');
+                    t.equal(recs[0].msg, 'audit enricher error');
+                    t.equal(recs[0].enricher, 'badEnricher');
+                    t.equal(recs[0].err.message, 'oops');
+                    t.equal(recs[1].msg, 'handled: 200');
+                    t.equal(recs[1].login, 'bob', 'async enricher field');
+                    t.equal(recs[1].polished, true, 'polish runs last');
+                    t.deepEqual(recs[1].enrichErrors, ['badEnricher: oops']);
+                    t.end();
+                });
+            }, 100);
+        });
+    });
+
+    tt.test('GET /cookie (dropped)', t => {
+        server.clearRecs();
+        client.get('/cookie', err => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs.length, 0, 'no audit rec');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('close waits for enrichment', t => {
+        server.clearRecs();
+        client.get('/hello', err => {
+            t.ifErr(err, err);
+            server.close();
+            client.close();
+            // Once the 'after' event is handled, "lookupLogin" is waiting.
+            setImmediate(() => {
+                audit.close(() => {
+                    server.getRecs(recs => {
+                        t.equal(recs[recs.length - 1].msg, 'handled: 200');
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+
+    tt.end();
+});
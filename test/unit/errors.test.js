@@ -0,0 +1,183 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const restifyClients = require('restify-clients');
+const restifyErrors = require('restify-errors');
+const tap = require('tap');
+const VError = require('verror');
+
+const errors = require('../../lib/errors');
+const testcommon = require('./testcommon');
+
+// ---- data
+
+const addr = '127.0.0.1';
+const port = '8130';
+const url = 'http://' + addr + ':' + port;
+
+// ---- support
+
+function serialize(err) {
+    return {name: err.name, message: err.message, stack: err.stack};
+}
+
+// ---- tests
+
+tap.test('shapeErr', t => {
+    const rootCause = new Error('connect ECONNREFUSED');
+    rootCause.code = 'ECONNREFUSED';
+    const lookupErr = new VError(
+        {name: 'LookupError', cause: rootCause, info: {account: 'bob', n: 1}},
+        'account lookup failed'
+    );
+    const err = new restifyErrors.InternalError(lookupErr, 'lookup blew up');
+    // restify-errors has no option to set VError info.
+    err.jse_info = {n: 2};
+    const serialized = serialize(err);
+
+    t.equal(
+        errors.shapeErr(serialized, err, undefined, 500),
+        serialized,
+        'no errDetail'
+    );
+    t.deepEqual(
+        errors.shapeErr(
+            serialized,
+            err,
+            {causes: true, clientError: true, info: true},
+            500
+        ),
+        {
+            name: 'InternalError',
+            message: err.message,
+            stack: err.stack,
+            causes: [
+                {
+                    name: 'LookupError',
+                    message: 'account lookup failed: connect ECONNREFUSED'
+                },
+                {
+                    name: 'Error',
+                    message: 'connect ECONNREFUSED',
+                    code: 'ECONNREFUSED'
+                }
+            ],
+            restCode: 'Internal',
+            body: {
+                code: 'Internal',
+                message:
+                    'lookup blew up; caused by LookupError: account lookup ' +
+                    'failed: connect ECONNREFUSED'
+            },
+            info: {account: 'bob', n: 2}
+        },
+        'causes, client error and info'
+    );
+    t.ok(serialized.stack, 'the serialized error is not modified');
+
+    const badArg = new restifyErrors.InvalidArgumentError('missing login');
+    t.deepEqual(
+        errors.shapeErr(serialize(badArg), badArg, {stack4xx: false}, 409),
+        {name: 'InvalidArgumentError', message: 'missing login'},
+        'no stack for 4xx'
+    );
+    t.ok(
+        errors.shapeErr(serialized, err, {stack4xx: false}, 500).stack,
+        'stack for 5xx'
+    );
+
+    const plainErr = new Error('boom');
+    t.deepEqual(
+        errors.shapeErr(
+            serialize(plainErr),
+            plainErr,
+            {causes: true, clientError: true, info: true},
+            500
+        ),
+        serialize(plainErr),
+        'nothing to add for a plain Error'
+    );
+
+    const wrapped = new Error('wrapped');
+    wrapped.cause = lookupErr;
+    t.deepEqual(
+        errors.shapeErr(serialize(wrapped), wrapped, {info: true}, 500).info,
+        {account: 'bob', n: 1},
+        'info of a VError cause of a plain Error'
+    );
+    t.end();
+});
+
+tap.test('errDetail on a server', tt => {
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'errors',
+        auditLoggerOpts: {
+            errDetail: {stack4xx: false, clientError: true},
+            routeOverrides: {
+                oops: {errDetail: {causes: true}}
+            }
+        }
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('PUT /join (4xx)', t => {
+        server.clearRecs();
+        client.put('/join', {}, (err, _req, res) => {
+            t.equal(res.statusCode, 409);
+            server.getRecs(recs => {
+                t.equal(recs.length, 1);
+                const recErr = recs[0].err;
+                t.equal(recErr.message, 'missing login field');
+                t.notOk(recErr.stack, 'no stack for 4xx');
+                t.equal(recErr.restCode, 'InvalidArgument');
+                t.deepEqual(recErr.body, {
+                    code: 'InvalidArgument',
+                    message: 'missing login field'
+                });
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /oops (route override)', t => {
+        server.clearRecs();
+        client.get('/oops', (err, _req, res) => {
+            t.equal(res.statusCode, 500);
+            server.getRecs(recs => {
+                t.equal(recs.length, 1);
+                const recErr = recs[0].err;
+                t.ok(recErr.stack, 'stack for 5xx');
+                t.deepEqual(recErr.causes, [
+                    {name: 'Error', message: 'this was the root cause'}
+                ]);
+                t.notOk(recErr.restCode, 'the override replaces errDetail');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('close', t => {
+        server.close();
+        client.close();
+        server.auditHandler.close(() => {
+            t.end();
+        });
+    });
+
+    tt.end();
+});
@@ -0,0 +1,89 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const headers = require('../../lib/headers');
+
+// ---- tests
+
+tap.test('compileHeadersOpt', t => {
+    t.equal(headers.compileHeadersOpt(undefined, 'opts'), undefined);
+    t.throws(
+        () => headers.compileHeadersOpt({include: 'host'}, 'opts.reqHeaders'),
+        /opts.reqHeaders.include \(\[string\]\) is required/
+    );
+    t.throws(
+        () => headers.compileHeadersOpt({maxValueLen: '10'}, 'opts.resHeaders'),
+        /opts.resHeaders.maxValueLen \(number\) is required/
+    );
+    t.end();
+});
+
+tap.test('include and exclude', t => {
+    const hdrs = {
+        host: 'example.com',
+        'x-joyent-account': 'bob',
+        'x-joyent-role': 'admin',
+        'X-Request-Id': 'abc'
+    };
+    const cases = [
+        {opt: {}, expected: hdrs},
+        {
+            opt: {include: ['Host', 'x-request-id']},
+            expected: {host: 'example.com', 'X-Request-Id': 'abc'}
+        },
+        {
+            opt: {exclude: ['X-Joyent-*']},
+            expected: {host: 'example.com', 'X-Request-Id': 'abc'}
+        },
+        {
+            opt: {include: ['x-*'], exclude: ['*-role']},
+            expected: {'x-joyent-account': 'bob', 'X-Request-Id': 'abc'}
+        },
+        {opt: {include: ['x-joyent-*-']}, expected: {}},
+        {opt: {include: ['*']}, expected: hdrs}
+    ];
+    cases.forEach(c => {
+        t.deepEqual(
+            headers.compileHeadersOpt(c.opt, 'opts')(hdrs),
+            c.expected,
+            JSON.stringify(c.opt)
+        );
+    });
+    t.deepEqual(
+        Object.keys(hdrs),
+        ['host', 'x-joyent-account', 'x-joyent-role', 'X-Request-Id'],
+        'headers are not modified'
+    );
+    t.end();
+});
+
+tap.test('maxValueLen', t => {
+    const selectHeaders = headers.compileHeadersOpt({maxValueLen: 4}, 'opts');
+    t.deepEqual(
+        selectHeaders({
+            short: 'abcd',
+            long: 'abcdefgh',
+            'set-cookie': ['a=1', 'session=s3cr3t'],
+            'content-length': 1234567
+        }),
+        {
+            short: 'abcd',
+            long: 'abcd...<elided 4 chars>',
+            'set-cookie': ['a=1', 'sess...<elided 10 chars>'],
+            'content-length': 1234567
+        }
+    );
+    t.equal(selectHeaders(undefined), undefined);
+    t.end();
+});
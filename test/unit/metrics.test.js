@@ -0,0 +1,189 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const restifyClients = require('restify-clients');
+const tap = require('tap');
+
+const core = require('../../lib/core');
+const metrics = require('../../lib/metrics');
+const testcommon = require('./testcommon');
+
+// ---- data
+
+const addr = '127.0.0.1';
+const port = '8128';
+const url = 'http://' + addr + ':' + port;
+
+// ---- tests
+
+tap.test('AuditMetrics', t => {
+    const m = new metrics.AuditMetrics({buckets: [10, 100]});
+    m.observe('gethello', 'GET', 200, 5);
+    m.observe('gethello', 'GET', 200, 50);
+    m.observe('gethello', 'GET', 503, 500);
+    m.observe(undefined, 'GET', 404, 1);
+    m.observe('putjoin', 'PUT', 409, NaN);
+
+    const snap = m.snapshot();
+    t.ok(snap.since instanceof Date, 'snap.since');
+    t.deepEqual(snap.requests, [
+        {route: null, method: 'GET', statusClass: '4xx', count: 1},
+        {route: 'gethello', method: 'GET', statusClass: '2xx', count: 2},
+        {route: 'gethello', method: 'GET', statusClass: '5xx', count: 1},
+        {route: 'putjoin', method: 'PUT', statusClass: '4xx', count: 1}
+    ]);
+    t.deepEqual(
+        snap.latency.map(hist => hist.route),
+        [null, 'gethello'],
+        'no histogram for a missing latency'
+    );
+    t.deepEqual(snap.latency[1], {
+        route: 'gethello',
+        method: 'GET',
+        buckets: [
+            {le: 10, count: 1},
+            {le: 100, count: 2},
+            {le: Infinity, count: 3}
+        ],
+        sum: 555,
+        count: 3
+    });
+
+    const text = m.prometheusText();
+    t.ok(
+        text.indexOf('# TYPE http_requests_total counter\n') !== -1,
+        'counter TYPE'
+    );
+    t.ok(
+        text.indexOf(
+            'http_requests_total{route="gethello",method="GET",' +
+                'status_class="2xx"} 2\n'
+        ) !== -1,
+        'counter sample'
+    );
+    t.ok(
+        text.indexOf(
+            'http_request_duration_milliseconds_bucket{route="gethello",' +
+                'method="GET",le="+Inf"} 3\n'
+        ) !== -1,
+        '+Inf bucket sample'
+    );
+    t.ok(
+        text.indexOf(
+            'http_request_duration_milliseconds_sum{route="",method="GET"} 1\n'
+        ) !== -1,
+        'sum sample with no route'
+    );
+    t.end();
+});
+
+tap.test('metrics options', t => {
+    t.throws(
+        () =>
+            core.createAuditor({
+                sinks: [{type: 'callback', callback: () => {}}],
+                metrics: {buckets: [100, 10]}
+            }),
+        /opts.metrics.buckets are in increasing order/
+    );
+    t.throws(
+        () =>
+            core.createAuditor({
+                sinks: [{type: 'callback', callback: () => {}}],
+                metrics: {prefix: 'my-api'}
+            }),
+        /opts.metrics.prefix matches/
+    );
+
+    const m = new metrics.AuditMetrics({prefix: 'myapi_'});
+    m.observe('a"b', 'GET', 200, 1);
+    t.ok(
+        m
+            .prometheusText()
+            .indexOf('myapi_requests_total{route="a\\"b",method="GET"') !== -1,
+        'prefix and label escaping'
+    );
+    t.end();
+});
+
+tap.test('metrics from a server', tt => {
+    const client = restifyClients.createStringClient({url: url});
+    const server = testcommon.createServer({
+        name: 'metrics',
+        auditLoggerOpts: {
+            metrics: {buckets: [1000, 10000]},
+            routeOverrides: {gethello: {include: false}}
+        }
+    });
+    server.get('/metrics', server.auditHandler.metricsHandler);
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('requests', t => {
+        client.get('/hello', (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            client.get('/oops', (_err, _req2, _res2, _body2) => {
+                server.getRecs(recs => {
+                    t.equal(recs.length, 1, 'gethello is not logged');
+                    const snap = server.auditHandler.metrics.snapshot();
+                    t.deepEqual(
+                        snap.requests.map(counter => [
+                            counter.route,
+                            counter.statusClass,
+                            counter.count
+                        ]),
+                        [
+                            ['gethello', '2xx', 1],
+                            ['oops', '5xx', 1]
+                        ],
+                        'gethello is counted'
+                    );
+                    t.equal(snap.latency[0].buckets[0].count, 1, 'latency');
+                    t.end();
+                });
+            });
+        });
+    });
+
+    tt.test('GET /metrics', t => {
+        client.get('/metrics', (err, _req, res, body) => {
+            t.ifErr(err, err);
+            t.ok(
+                /^text\/plain; version=0\.0\.4/.test(
+                    res.headers['content-type']
+                ),
+                'Prometheus text content-type'
+            );
+            t.ok(
+                /^http_requests_total\{route="oops",method="GET",status_class="5xx"\} 1$/m.test(
+                    body
+                ),
+                'oops counter sample'
+            );
+            t.end();
+        });
+    });
+
+    tt.test('close', t => {
+        server.close();
+        client.close();
+        server.auditHandler.close(() => {
+            t.end();
+        });
+    });
+
+    tt.end();
+});
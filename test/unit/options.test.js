@@ -0,0 +1,241 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tap = require('tap');
+
+const auditLogger = require('../../lib/audit-logger');
+const core = require('../../lib/core');
+const options = require('../../lib/options');
+
+// ---- support
+
+function messages(problems) {
+    return problems.map(p => p.message);
+}
+
+// ---- tests
+
+tap.test('validateOptions', t => {
+    const sinks = [{type: 'callback', callback: () => {}}];
+    t.deepEqual(
+        auditLogger.validateOptions({
+            sinks: sinks,
+            logLevel: 'debug',
+            resBody: {includeGet2xx: true, maxLen: 300},
+            rules: [{match: {route: /^list/, status: '5xx'}, logLevel: 50}],
+            routeOverrides: {getping: {include: false}},
+            watchdog: {threshold: 1000},
+            caller: ['signature', () => {}],
+            trace: true,
+            restifyVersion: 7
+        }),
+        {errors: [], warnings: []},
+        'valid options'
+    );
+
+    const result = auditLogger.validateOptions({
+        sinks: [{type: 'kafka'}],
+        resBody: {includeGET2xx: true},
+        sample: 2,
+        rules: [{match: {route: 'GetPing', host: 'x'}}],
+        routeOverrides: {getPing: {incude: false}},
+        watchdog: {}
+    });
+    t.deepEqual(
+        messages(result.errors),
+        [
+            'opts.sinks[0].type is one of bunyan, pino, file, syslog, ' +
+                'stream, callback: got "kafka"',
+            'opts.resBody.includeGET2xx is unknown ' +
+                '(did you mean "includeGet2xx"?)',
+            'opts.sample is at most 1: got 2',
+            'opts.rules[0].match.host is unknown',
+            'opts.routeOverrides.getPing.incude is unknown',
+            'opts.watchdog.threshold (number) is required'
+        ],
+        'all errors are reported'
+    );
+    t.deepEqual(
+        messages(result.warnings),
+        [
+            'opts.rules[0].match.route: route names are compared ' +
+                'case-insensitively, use "getping"',
+            'opts.routeOverrides.getPing: route names are compared ' +
+                'case-insensitively, use "getping"'
+        ],
+        'mixed-case route name warnings'
+    );
+    t.end();
+});
+
+tap.test('duplicate route overrides', t => {
+    const result = options.validateOptions({
+        routeOverrides: {
+            getping: {include: false},
+            GetPing: {logLevel: 'debug'}
+        },
+        rules: [{match: {route: '/^GetPing$/i'}}]
+    });
+    t.deepEqual(messages(result.warnings), [
+        'opts.routeOverrides.GetPing is for the same route as ' +
+            'opts.routeOverrides.getping (route names are compared ' +
+            'case-insensitively)',
+        'opts.routeOverrides.GetPing: route names are compared ' +
+            'case-insensitively, use "getping"'
+    ]);
+    t.end();
+});
+
+tap.test('RegExp route flags', t => {
+    const result = options.validateOptions({
+        rules: [
+            {match: {route: '/^get/gi'}},
+            {match: {route: /^list/y}},
+            {match: {route: /^put/im}}
+        ]
+    });
+    t.deepEqual(messages(result.errors), [
+        'opts.rules[0].match.route has invalid RegExp flags "g": only i, m ' +
+            'are allowed',
+        'opts.rules[1].match.route has invalid RegExp flags "y": only i, m ' +
+            'are allowed'
+    ]);
+    t.end();
+});
+
+tap.test('createAuditor throws all errors', t => {
+    t.throws(
+        () =>
+            core.createAuditor({
+                sinks: [{type: 'callback', callback: () => {}}],
+                errLogLevel: true,
+                reqBody: {maxLen: -1}
+            }),
+        new RegExp(
+            '^invalid audit logger options \\(2 errors\\):\\n' +
+                '    opts.errLogLevel \\(string or integer\\) is required: ' +
+                'got boolean\\n' +
+                '    opts.reqBody.maxLen is at least 0: got -1$'
+        )
+    );
+    t.end();
+});
+
+tap.test('configFile', tt => {
+    const tmpDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'triton-audit-logger-')
+    );
+    const configFile = path.join(tmpDir, 'audit.json');
+    const badConfigFile = path.join(tmpDir, 'bad.json');
+    fs.writeFileSync(
+        configFile,
+        JSON.stringify({
+            logLevel: 'debug',
+            restifyVersion: 4,
+            routeOverrides: {getping: {include: false}}
+        })
+    );
+    fs.writeFileSync(badConfigFile, '{"logLevel": ');
+
+    tt.test('loadOptions', t => {
+        const cb = () => {};
+        t.deepEqual(
+            options.loadOptions({
+                configFile: configFile,
+                logLevel: 'info',
+                sinks: [{type: 'callback', callback: cb}]
+            }),
+            {
+                logLevel: 'info',
+                restifyVersion: 4,
+                routeOverrides: {getping: {include: false}},
+                sinks: [{type: 'callback', callback: cb}]
+            },
+            'options in code take precedence'
+        );
+        t.deepEqual(
+            options.loadOptions(configFile),
+            {
+                logLevel: 'debug',
+                restifyVersion: 4,
+                routeOverrides: {getping: {include: false}}
+            },
+            'path shorthand'
+        );
+        t.throws(
+            () => options.loadOptions(badConfigFile),
+            /opts.configFile ".*bad.json" is a readable JSON file: /
+        );
+        t.throws(
+            () => options.loadOptions(path.join(tmpDir, 'nope.json')),
+            /opts.configFile ".*nope.json" is a readable JSON file: ENOENT/
+        );
+        t.end();
+    });
+
+    tt.test('createAuditor with a configFile', t => {
+        const recs = [];
+        const auditor = core.createAuditor({
+            configFile: configFile,
+            sinks: [{type: 'callback', callback: rec => recs.push(rec)}]
+        });
+        auditor.update({include: true});
+        t.equal(recs.length, 1, 'config change rec');
+        t.equal(recs[0].level, 30);
+        auditor.close(() => {
+            t.end();
+        });
+    });
+
+    tt.test('createAuditLogHandler with a config file path', t => {
+        fs.writeFileSync(
+            configFile,
+            JSON.stringify({
+                sinks: [{type: 'file', path: path.join(tmpDir, 'audit.log')}],
+                restifyVersion: 4
+            })
+        );
+        const audit = auditLogger.createAuditLogHandler(configFile);
+        t.equal(typeof audit.pre, 'function', 'handler');
+        audit.close(() => {
+            t.end();
+        });
+    });
+
+    tt.test('invalid config file options', t => {
+        fs.writeFileSync(
+            configFile,
+            JSON.stringify({
+                sinks: [{type: 'file', path: path.join(tmpDir, 'audit.log')}],
+                resBody: {maxlen: 100}
+            })
+        );
+        t.throws(
+            () => auditLogger.createExpressAuditLogger(configFile),
+            /opts.resBody.maxlen is unknown \(did you mean "maxLen"\?\)/
+        );
+        t.end();
+    });
+
+    tt.test('teardown', t => {
+        ['audit.json', 'bad.json', 'audit.log'].forEach(name => {
+            fs.unlinkSync(path.join(tmpDir, name));
+        });
+        fs.rmdirSync(tmpDir);
+        t.end();
+    });
+
+    tt.end();
+});
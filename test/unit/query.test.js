@@ -0,0 +1,281 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const child_process = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tap = require('tap');
+const zlib = require('zlib');
+
+const query = require('../../lib/query');
+
+// ---- data
+
+const AUDIT_CMD = path.resolve(__dirname, '../../bin/triton-audit');
+
+const T0 = Date.parse('2026-03-01T12:00:00.000Z');
+
+function mkRec(n, route, statusCode, latency, remoteAddress) {
+    return {
+        name: 'myapi',
+        audit: true,
+        level: 30,
+        remoteAddress: remoteAddress || '10.0.0.1',
+        latency: latency,
+        req: {method: 'GET', url: '/' + route},
+        req_id: 'req-' + n,
+        res: {statusCode: statusCode},
+        route: route,
+        msg: 'handled: ' + statusCode,
+        time: new Date(T0 + n * 60 * 1000).toISOString(),
+        v: 0
+    };
+}
+
+const RECS = [
+    mkRec(0, 'gethello', 200, 5),
+    mkRec(1, 'gethello', 200, 10),
+    mkRec(2, 'gethello', 500, 300, '192.168.1.5'),
+    mkRec(3, 'putjoin', 409, 20),
+    mkRec(4, 'putjoin', 200, 40),
+    mkRec(5, undefined, 404, 1)
+];
+
+// ---- support
+
+function reqIds(filterOpts) {
+    const filterRecord = query.createRecordFilter(filterOpts);
+    return RECS.filter(filterRecord).map(rec => rec.req_id);
+}
+
+function runAudit(args, cb) {
+    return child_process.execFile(
+        process.execPath,
+        [AUDIT_CMD].concat(args),
+        cb
+    );
+}
+
+// ---- tests
+
+tap.test('createRecordFilter', t => {
+    t.equal(reqIds({}).length, RECS.length, 'no filters');
+    t.deepEqual(reqIds({routes: ['GetHello']}), ['req-0', 'req-1', 'req-2']);
+    t.deepEqual(reqIds({routes: ['/^put/']}), ['req-3', 'req-4']);
+    t.deepEqual(reqIds({status: '5xx'}), ['req-2']);
+    t.deepEqual(reqIds({status: '400-499'}), ['req-3', 'req-5']);
+    t.deepEqual(reqIds({minLatency: 40}), ['req-2', 'req-4']);
+    t.deepEqual(reqIds({remoteAddresses: ['192.168.0.0/16']}), ['req-2']);
+    t.deepEqual(
+        reqIds({since: T0 + 2 * 60 * 1000, until: T0 + 4 * 60 * 1000}),
+        ['req-2', 'req-3']
+    );
+    t.deepEqual(reqIds({reqIds: ['req-4', 'req-1']}), ['req-1', 'req-4']);
+    t.deepEqual(reqIds({routes: ['gethello'], status: '2xx'}), [
+        'req-0',
+        'req-1'
+    ]);
+
+    const filterRecord = query.createRecordFilter({});
+    t.notOk(filterRecord({msg: 'not an audit record'}), 'non-audit rec');
+    t.notOk(
+        filterRecord({audit: true, suppressed: 10, msg: 'suppressed'}),
+        'suppressed count rec'
+    );
+    t.end();
+});
+
+tap.test('timeFromString', t => {
+    const now = T0;
+    t.equal(query.timeFromString('1h', now, 'since'), T0 - 60 * 60 * 1000);
+    t.equal(query.timeFromString('30m', now, 'since'), T0 - 30 * 60 * 1000);
+    t.equal(query.timeFromString('2026-03-01T12:00:00Z', now, 'since'), T0);
+    t.throws(
+        () => query.timeFromString('yesterday', now, '--since'),
+        /--since is a time/
+    );
+    t.end();
+});
+
+tap.test('AuditSummary', t => {
+    const summary = new query.AuditSummary();
+    RECS.forEach(rec => summary.add(rec));
+    const result = summary.end();
+
+    t.deepEqual(
+        result.routes.map(row => [row.route, row.count]),
+        [
+            ['gethello', 3],
+            ['putjoin', 2],
+            [undefined, 1]
+        ],
+        'routes by descending count'
+    );
+    const hello = result.routes[0];
+    t.equal(hello.count5xx, 1, 'count5xx');
+    t.equal(hello.rate5xx, 1 / 3, 'rate5xx');
+    t.equal(hello.rate4xx, 0, 'rate4xx');
+    t.equal(hello.p50, 10, 'p50');
+    t.equal(hello.p99, 300, 'p99');
+    t.equal(result.total.count, 6, 'total.count');
+    t.equal(result.total.count4xx, 2, 'total.count4xx');
+    t.end();
+});
+
+tap.test('AuditSummary with sampled and suppressed records', t => {
+    const summary = new query.AuditSummary();
+    const sampled = [
+        mkRec(0, 'getping', 200, 5),
+        mkRec(1, 'getping', 200, 7),
+        mkRec(2, 'getping', 404, 9)
+    ];
+    sampled.forEach(rec => {
+        rec.sampleRate = 0.1;
+    });
+    const recs = sampled.concat([
+        // Errors are always logged, without a `sampleRate`.
+        mkRec(3, 'getping', 500, 400),
+        {
+            audit: true,
+            route: 'getping',
+            sampleRate: 0.1,
+            suppressed: 30,
+            suppressedBySample: 27,
+            suppressedByRateLimit: 3,
+            time: new Date(T0).toISOString()
+        },
+        {
+            audit: true,
+            route: 'getconfig',
+            suppressed: 5,
+            suppressedBySample: 0,
+            suppressedByRateLimit: 5,
+            time: new Date(T0).toISOString()
+        },
+        mkRec(4, 'getconfig', 200, 2)
+    ]);
+    const filterRecord = query.createRecordFilter({});
+    const filterSuppressed = query.createSuppressedFilter({});
+    recs.forEach(rec => {
+        if (filterRecord(rec) || filterSuppressed(rec)) {
+            summary.add(rec);
+        }
+    });
+    const result = summary.end();
+
+    const ping = result.routes[0];
+    t.equal(ping.route, 'getping');
+    t.equal(ping.records, 4, 'records');
+    t.equal(ping.count, 61, '3 sampled x 10, 1 error, 3 rate limited x 10');
+    t.equal(ping.count4xx, 10, 'count4xx');
+    t.equal(ping.rate5xx, 1 / 61, 'rate5xx');
+    t.equal(ping.p50, 7, 'p50 weighs sampled records');
+    t.equal(ping.p99, 400, 'p99');
+    const config = result.routes[1];
+    t.equal(config.count, 6, 'rate limited records are added');
+    t.equal(config.records, 1, 'records');
+    t.equal(result.total.count, 67, 'total.count');
+
+    t.notOk(
+        query.createSuppressedFilter({status: '4xx'})(recs[4]),
+        'counts cannot be filtered by status'
+    );
+    t.ok(
+        query.createSuppressedFilter({routes: ['getping']})(recs[4]),
+        'counts can be filtered by route'
+    );
+    t.notOk(filterSuppressed(recs[0]), 'not a suppressed record count');
+    t.end();
+});
+
+tap.test('triton-audit', tt => {
+    const tmpDir = fs.mkdtempSync(
+        path.join(os.tmpdir(), 'triton-audit-logger-')
+    );
+    const lines = RECS.map(rec => JSON.stringify(rec));
+    lines.splice(2, 0, '{"msg": "not an audit record"}', 'not JSON');
+    lines.push(
+        JSON.stringify({
+            audit: true,
+            route: 'gethello',
+            suppressed: 2,
+            suppressedBySample: 0,
+            suppressedByRateLimit: 2,
+            time: new Date(T0).toISOString()
+        })
+    );
+    const logFile = path.join(tmpDir, 'api.log');
+    // A gzip-rotated file, without a ".gz" extension.
+    const rotatedFile = path.join(tmpDir, 'api.log.0');
+    fs.writeFileSync(logFile, lines.slice(4).join('\n') + '\n');
+    fs.writeFileSync(
+        rotatedFile,
+        zlib.gzipSync(lines.slice(0, 4).join('\n') + '\n')
+    );
+
+    tt.test('filter records', t => {
+        runAudit(['-r', 'gethello', rotatedFile, logFile], (err, stdout) => {
+            t.ifErr(err, err);
+            t.deepEqual(
+                stdout
+                    .trim()
+                    .split('\n')
+                    .map(line => JSON.parse(line).req_id),
+                ['req-0', 'req-1', 'req-2']
+            );
+            t.end();
+        });
+    });
+
+    tt.test('summary', t => {
+        runAudit(['-S', rotatedFile, logFile], (err, stdout) => {
+            t.ifErr(err, err);
+            const table = stdout.trim().split('\n');
+            t.ok(/^ROUTE +COUNT +4XX +5XX +P50 +P95 +P99$/.test(table[0]));
+            t.ok(
+                /^gethello +5 +0\.0% +20\.0% +10 +300 +300$/.test(table[1]),
+                'rate limited records are counted: ' + table[1]
+            );
+            t.ok(/^- +1 +100\.0% +0\.0% +1 +1 +1$/.test(table[3]));
+            t.ok(/^\(all\) +8 /.test(table[4]), table[4]);
+            t.end();
+        });
+    });
+
+    tt.test('summary JSON from gzipped stdin', t => {
+        const child = runAudit(['-S', '-j', '-s', '4xx'], (err, stdout) => {
+            t.ifErr(err, err);
+            const summary = JSON.parse(stdout);
+            t.equal(summary.total.count, 2, 'two 4xx records');
+            t.end();
+        });
+        child.stdin.end(zlib.gzipSync(lines.join('\n') + '\n'));
+    });
+
+    tt.test('usage error', t => {
+        runAudit(['--since', 'yesterday', logFile], (err, _stdout, stderr) => {
+            t.equal(err && err.code, 2, 'exit status 2');
+            t.ok(/--since is a time/.test(stderr), stderr);
+            t.end();
+        });
+    });
+
+    tt.test('cleanup', t => {
+        fs.unlinkSync(logFile);
+        fs.unlinkSync(rotatedFile);
+        fs.rmdirSync(tmpDir);
+        t.end();
+    });
+
+    tt.end();
+});
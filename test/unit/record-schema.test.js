@@ -0,0 +1,122 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const tap = require('tap');
+
+const auditLogger = require('../../lib/audit-logger');
+const core = require('../../lib/core');
+
+// ---- support
+
+function mkRec() {
+    return {
+        name: 'audit',
+        hostname: 'myhost',
+        pid: 123,
+        audit: true,
+        schemaVersion: auditLogger.AUDIT_RECORD_SCHEMA_VERSION,
+        level: 30,
+        req_id: 'abc',
+        route: 'getthing',
+        req: {
+            method: 'GET',
+            url: '/my/things/1?x=1',
+            headers: {host: 'example.com'},
+            httpVersion: '1.1',
+            query: {x: '1'},
+            timers: {getThing: 1200}
+        },
+        res: {
+            statusCode: 200,
+            headers: {'content-length': 2, 'set-cookie': ['a=1', 'b=2']},
+            body: '{}',
+            trailer: false
+        },
+        latency: 2,
+        secure: false,
+        msg: 'handled: 200',
+        time: new Date(),
+        v: 0
+    };
+}
+
+function messages(errors) {
+    return errors.map(e => e.message);
+}
+
+// ---- tests
+
+tap.test('validateAuditRecord', t => {
+    const rec = mkRec();
+    t.deepEqual(auditLogger.validateAuditRecord(rec), [], 'valid');
+    t.deepEqual(
+        auditLogger.validateAuditRecord(JSON.parse(JSON.stringify(rec))),
+        [],
+        'valid as parsed from a log file'
+    );
+
+    rec.component = 'myapi';
+    rec.login = 'bob';
+    t.deepEqual(
+        auditLogger.validateAuditRecord(rec),
+        [],
+        'other top-level fields are allowed'
+    );
+
+    delete rec.schemaVersion;
+    rec.time = 'yesterday';
+    rec.req.params = {id: '1'};
+    rec.res.statusCode = '200';
+    rec.configChange = {op: 'reset'};
+    t.deepEqual(messages(auditLogger.validateAuditRecord(rec)), [
+        'rec.schemaVersion is required',
+        'rec.req.params is unknown',
+        'rec.res.statusCode (integer) is required: got string',
+        'rec.time matches /' +
+            auditLogger.AUDIT_RECORD_SCHEMA.properties.time.pattern +
+            '/: got "yesterday"',
+        'rec.configChange.op is one of update, setRouteOverride, ' +
+            'removeRouteOverride: got "reset"'
+    ]);
+    t.end();
+});
+
+tap.test('records have a schemaVersion', t => {
+    const recs = [];
+    const auditor = core.createAuditor({
+        sinks: [{type: 'callback', callback: rec => recs.push(rec)}]
+    });
+    auditor.update({logLevel: 'warn'});
+    t.equal(recs.length, 1, 'config change rec');
+    t.equal(recs[0].schemaVersion, 1);
+    t.deepEqual(auditLogger.validateAuditRecord(recs[0]), []);
+    auditor.close(() => {
+        t.end();
+    });
+});
+
+tap.test('schema file', t => {
+    const schemaFile = path.resolve(
+        __dirname,
+        '../../schema/audit-record-v' +
+            auditLogger.AUDIT_RECORD_SCHEMA_VERSION +
+            '.json'
+    );
+    t.deepEqual(
+        JSON.parse(fs.readFileSync(schemaFile, 'utf8')),
+        auditLogger.AUDIT_RECORD_SCHEMA,
+        'matches AUDIT_RECORD_SCHEMA (regenerate it with `make schema`)'
+    );
+    t.end();
+});
@@ -0,0 +1,194 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const common = require('../../lib/common');
+const redact = require('../../lib/redact');
+
+// ---- tests
+
+tap.test('redactFields', t => {
+    const cases = [
+        {
+            obj: {login: 'bob', password: 'secret'},
+            selectors: ['password'],
+            expected: {login: 'bob', password: '(redacted)'}
+        },
+        {
+            // Selectors are anchored at the top of the body.
+            obj: {password: 'a', nested: {password: 'b'}},
+            selectors: ['password'],
+            expected: {password: '(redacted)', nested: {password: 'b'}}
+        },
+        {
+            obj: {a: {secret: 1, other: 2}, b: {secret: 3}, secret: 4},
+            selectors: ['*.secret'],
+            expected: {
+                a: {secret: '(redacted)', other: 2},
+                b: {secret: '(redacted)'},
+                secret: 4
+            }
+        },
+        {
+            obj: {metadata: {credentials: {user: 'u', pass: 'p'}, x: 1}},
+            selectors: ['metadata.credentials'],
+            expected: {metadata: {credentials: '(redacted)', x: 1}}
+        },
+        {
+            obj: {
+                keys: [
+                    {name: 'a', key: 'k1'},
+                    {name: 'b', key: 'k2'}
+                ]
+            },
+            selectors: ['keys.*.key'],
+            expected: {
+                keys: [
+                    {name: 'a', key: '(redacted)'},
+                    {name: 'b', key: '(redacted)'}
+                ]
+            }
+        },
+        {
+            obj: {token: 1, a: {token: 2, b: [{token: 3}]}},
+            selectors: ['**.token'],
+            expected: {
+                token: '(redacted)',
+                a: {token: '(redacted)', b: [{token: '(redacted)'}]}
+            }
+        },
+        {
+            obj: {a: 1},
+            selectors: ['no.such.field'],
+            expected: {a: 1}
+        }
+    ];
+
+    cases.forEach(c => {
+        redact.redactFields(c.obj, c.selectors);
+        t.deepEqual(c.obj, c.expected, JSON.stringify(c.selectors));
+    });
+    t.end();
+});
+
+tap.test('redactBody', t => {
+    const bodyOpts = {redact: ['password']};
+    const obj = {login: 'bob', password: 'secret'};
+    const expected = '{"login":"bob","password":"(redacted)"}';
+
+    t.equal(
+        redact.redactBody(JSON.stringify(obj), 'application/json', bodyOpts),
+        expected,
+        'JSON string body'
+    );
+    t.equal(
+        redact.redactBody(
+            Buffer.from(JSON.stringify(obj)),
+            'application/vnd.api+json; charset=utf-8',
+            bodyOpts
+        ),
+        expected,
+        'JSON Buffer body'
+    );
+    t.equal(redact.redactBody(obj, undefined, bodyOpts), expected, 'object');
+    t.deepEqual(obj, {login: 'bob', password: 'secret'}, 'obj not modified');
+    t.equal(
+        redact.redactBody('password=secret', 'text/plain', bodyOpts),
+        'password=secret',
+        'non-JSON body is not parsed'
+    );
+    t.equal(
+        redact.redactBody('{"password": ', 'application/json', bodyOpts),
+        undefined,
+        'unparseable body is dropped by default'
+    );
+    t.equal(
+        redact.redactBody('{"password": ', 'application/json', {
+            redact: ['password'],
+            redactParseFailure: 'log'
+        }),
+        '{"password": ',
+        'unparseable body is logged with redactParseFailure="log"'
+    );
+    t.end();
+});
+
+tap.test('redactUrl', t => {
+    const isRedactedParam = common.compileNames(
+        ['Signature', '*token*'],
+        'redact.query'
+    );
+    const cases = [
+        ['/my/machines', '/my/machines'],
+        ['/my/machines?limit=10', '/my/machines?limit=10'],
+        [
+            '/bob/stor/a.txt?algorithm=RSA-SHA256&signature=cc%2Fdd%3D' +
+                '&expires=1700000000',
+            '/bob/stor/a.txt?algorithm=RSA-SHA256&signature=(redacted)' +
+                '&expires=1700000000'
+        ],
+        // Other parameters are left as they were, including their encoding.
+        [
+            '/a?q=caf%C3%A9+au+lait&SIGNATURE=x&x_token=y&access%5Ftoken=z',
+            '/a?q=caf%C3%A9+au+lait&SIGNATURE=(redacted)&x_token=(redacted)' +
+                '&access%5Ftoken=(redacted)'
+        ],
+        [
+            '/a?signature&signature=&tokens=a=b',
+            '/a?signature&signature=' + '(redacted)&tokens=(redacted)'
+        ],
+        [
+            '/a?bad=%E0%A4%A&signature=x#frag',
+            '/a?bad=%E0%A4%A' + '&signature=(redacted)#frag'
+        ]
+    ];
+    cases.forEach(c => {
+        t.equal(redact.redactUrl(c[0], isRedactedParam), c[1], c[0]);
+    });
+    t.equal(
+        redact.redactUrl('/a?signature=x', undefined),
+        '/a?signature=x',
+        'no redact.query'
+    );
+    t.end();
+});
+
+tap.test('redactQuery', t => {
+    const isRedactedParam = common.compileNames(
+        ['password', 'x-*'],
+        'redact.query'
+    );
+    const query = {login: 'bob', Password: 'secret', 'x-amz': ['a', 'b']};
+    t.deepEqual(
+        redact.redactQuery(query, isRedactedParam),
+        {
+            login: 'bob',
+            Password: '(redacted)',
+            'x-amz': ['(redacted)', '(redacted)']
+        },
+        'parsed query'
+    );
+    t.deepEqual(
+        query,
+        {login: 'bob', Password: 'secret', 'x-amz': ['a', 'b']},
+        'query is not modified'
+    );
+    t.equal(
+        redact.redactQuery('login=bob&password=secret', isRedactedParam),
+        'login=bob&password=(redacted)',
+        'query string'
+    );
+    t.equal(redact.redactQuery(undefined, isRedactedParam), undefined);
+    t.equal(redact.redactQuery('password=x', undefined), 'password=x');
+    t.end();
+});
@@ -0,0 +1,219 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+/*
+ * Test that audit records are the same for restify 4, 6 and 7+ servers.
+ */
+
+const restifyClients = require('restify-clients');
+const tap = require('tap');
+
+const testcommon = require('./testcommon');
+
+// ---- data
+
+const addr = '127.0.0.1';
+const port = '8125';
+const url = 'http://' + addr + ':' + port;
+
+// `undefined` is the current restify, with the version detected.
+const RESTIFY_VERSIONS = [4, 6, undefined];
+
+// ---- support
+
+function parsedBody(body) {
+    return typeof body === 'string' ? JSON.parse(body) : body;
+}
+
+// ---- tests
+
+// Before the tests of each version: restify modifies the node `http`
+// prototypes, so a restify 4 server doesn't work once restify 7 is loaded.
+tap.test('detected restify version wins over restifyVersion', tt => {
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'restify-versions',
+        auditLoggerOpts: {restifyVersion: 7},
+        restifyVersion: 4
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('GET /hello', t => {
+        client.get('/hello', (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(typeof recs[0].latency, 'number', 'rec.latency');
+                t.ok(recs[0].latency >= 0, 'rec.latency from restify 4 req');
+                t.equal(
+                    recs[0].req.connectionState,
+                    undefined,
+                    'no connectionState for restify 4'
+                );
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        t.end();
+    });
+
+    tt.end();
+});
+
+RESTIFY_VERSIONS.forEach(restifyVersion => {
+    const desc = 'restify ' + (restifyVersion || 'current');
+
+    tap.test(desc, tt => {
+        const auditLoggerOpts = {
+            captureStreams: true,
+            reqBody: {},
+            resBody: {includeGet2xx: true},
+            rules: [
+                {
+                    match: {path: ['/stream', '/pipe']},
+                    resBody: {includeGet2xx: true, maxLen: 10}
+                }
+            ]
+        };
+
+        const client = restifyClients.createJsonClient({url: url});
+        const server = testcommon.createServer({
+            name: 'restify-versions',
+            auditLoggerOpts: auditLoggerOpts,
+            restifyVersion: restifyVersion
+        });
+
+        tt.test('server listen', t => {
+            server.listen(port, addr, function listening() {
+                t.end();
+            });
+        });
+
+        tt.test('GET /hello', t => {
+            server.clearRecs();
+            client.get('/hello', (err, _req, res, _body) => {
+                t.ifErr(err, err);
+                t.equal(res.statusCode, 200, '200 status code');
+                server.getRecs(recs => {
+                    t.equal(recs.length, 1, 'one audit rec');
+                    const rec = recs[0];
+                    t.equal(rec.msg, 'handled: 200', 'rec.msg');
+                    t.equal(rec.route, 'gethello', 'rec.route');
+                    t.equal(typeof rec.req_id, 'string', 'rec.req_id');
+                    t.equal(typeof rec.latency, 'number', 'rec.latency');
+                    t.ok(rec.latency >= 0, 'rec.latency is not NaN');
+                    t.equal(typeof rec.req.timers, 'object', 'rec.req.timers');
+                    t.equal(
+                        typeof rec.req.timers.hello,
+                        'number',
+                        'rec.req.timers.hello'
+                    );
+                    t.deepEqual(parsedBody(rec.res.body), {hello: 'world'});
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('PUT /join', t => {
+            server.clearRecs();
+            client.put('/join', {login: 'bob'}, (err, _req, _res, _body) => {
+                t.ifErr(err, err);
+                server.getRecs(recs => {
+                    const rec = recs[0];
+                    t.deepEqual(parsedBody(rec.req.body), {login: 'bob'});
+                    t.deepEqual(parsedBody(rec.res.body), {
+                        success: true,
+                        login: 'bob'
+                    });
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('404', t => {
+            server.clearRecs();
+            client.get('/no-such-endpoint', (err, _req, res, _body) => {
+                t.ok(err, 'err');
+                t.equal(res.statusCode, 404, '404 status code');
+                server.getRecs(recs => {
+                    t.equal(recs.length, 1, 'one audit rec');
+                    t.equal(recs[0].res.statusCode, 404, 'rec.res.statusCode');
+                    t.equal(recs[0].route, undefined, 'no rec.route');
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('GET /oops', t => {
+            server.clearRecs();
+            client.get('/oops', (err, _req, res, _body) => {
+                t.ok(err, 'err');
+                t.equal(res.statusCode, 500, '500 status code');
+                server.getRecs(recs => {
+                    const rec = recs[0];
+                    t.equal(rec.level, 30, 'rec.level');
+                    t.equal(rec.route, 'oops', 'rec.route');
+                    t.equal(rec.res.statusCode, 500, 'rec.res.statusCode');
+                    t.ok(
+                        /something blew up/.test(rec.res.body),
+                        'rec.res.body'
+                    );
+                    t.ok(rec.err, 'rec.err');
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('GET /stream', t => {
+            server.clearRecs();
+            client.get('/stream', (_err, _req, res, _body) => {
+                t.equal(res.statusCode, 200, '200 status code');
+                server.getRecs(recs => {
+                    t.equal(
+                        recs[0].res.body,
+                        'line 1\nlin\n...<elided 11 chars>',
+                        'rec.res.body from res.write/res.end'
+                    );
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('GET /pipe', t => {
+            server.clearRecs();
+            client.get('/pipe', (_err, _req, res, _body) => {
+                t.equal(res.statusCode, 200, '200 status code');
+                server.getRecs(recs => {
+                    t.equal(recs[0].res.bodyLength, 80, 'rec.res.bodyLength');
+                    t.equal(recs[0].streamed, true, 'rec.streamed');
+                    t.end();
+                });
+            });
+        });
+
+        tt.test('teardown', t => {
+            server.close();
+            client.close();
+            t.end();
+        });
+
+        tt.end();
+    });
+});
@@ -0,0 +1,111 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const rules = require('../../lib/rules');
+
+// ---- support
+
+function mkCtx(opts) {
+    return {
+        req: {
+            method: opts.method || 'GET',
+            url: opts.url || '/',
+            headers: opts.headers || {},
+            connection: {remoteAddress: opts.remoteAddress || '127.0.0.1'}
+        },
+        res: {statusCode: opts.statusCode || 200},
+        route: opts.routeName ? {name: opts.routeName} : null
+    };
+}
+
+// ---- tests
+
+tap.test('compileMatch', t => {
+    const cases = [
+        [{}, {}, true],
+        [{route: 'GetPing'}, {routeName: 'getping'}, true],
+        [{route: 'getping'}, {routeName: 'GetPing'}, true],
+        [{route: 'getping'}, {}, false],
+        [{route: /^list/}, {routeName: 'listmachines'}, true],
+        [{route: '/^LIST/i'}, {routeName: 'listmachines'}, true],
+        [{route: '/^get/'}, {routeName: 'listmachines'}, false],
+        [{route: null}, {}, true],
+        [{route: null}, {routeName: 'getping'}, false],
+        [{method: 'put'}, {method: 'PUT'}, true],
+        [{method: ['POST', 'PUT']}, {method: 'GET'}, false],
+        [{path: '/my/machines/*'}, {url: '/my/machines/abc?x=1'}, true],
+        [{path: '/my/machines/*'}, {url: '/my/machines/abc/tags'}, false],
+        [{path: '/my/**'}, {url: '/my/machines/abc/tags'}, true],
+        [{path: '/my/*.json'}, {url: '/my/foo.json'}, true],
+        [{path: '/my/*.json'}, {url: '/my/fooxjson'}, false],
+        [{status: '5xx'}, {statusCode: 503}, true],
+        [{status: '5xx'}, {statusCode: 404}, false],
+        [{status: 404}, {statusCode: 404}, true],
+        [{status: '400-499'}, {statusCode: 409}, true],
+        [{status: [200, 204]}, {statusCode: 206}, false],
+        [{header: 'X-Debug'}, {headers: {'x-debug': '1'}}, true],
+        [{header: ['x-debug', 'x-foo']}, {headers: {'x-debug': '1'}}, false],
+        [{remoteAddress: '10.0.0.0/8'}, {remoteAddress: '10.1.2.3'}, true],
+        [{remoteAddress: '10.0.0.0/8'}, {remoteAddress: '11.1.2.3'}, false],
+        [
+            {remoteAddress: '10.0.0.0/8'},
+            {remoteAddress: '::ffff:10.1.2.3'},
+            true
+        ],
+        [{remoteAddress: '10.88.0.0/13'}, {remoteAddress: '10.95.1.1'}, true],
+        [{remoteAddress: '10.88.0.0/13'}, {remoteAddress: '10.96.1.1'}, false],
+        [{remoteAddress: '127.0.0.1'}, {remoteAddress: '127.0.0.1'}, true],
+        [{remoteAddress: 'fd00::/8'}, {remoteAddress: 'fd12::1'}, true],
+        [{remoteAddress: 'fd00::/8'}, {remoteAddress: 'fe80::1'}, false],
+        [{remoteAddress: '::1'}, {remoteAddress: '::1'}, true],
+        [{remoteAddress: 'fd00::/8'}, {remoteAddress: '10.1.2.3'}, false],
+        [{method: 'GET', status: '2xx'}, {statusCode: 500}, false]
+    ];
+
+    cases.forEach(c => {
+        const matcher = rules.compileMatch(c[0], 'match');
+        t.equal(
+            matcher(mkCtx(c[1])),
+            c[2],
+            JSON.stringify(c[0], (_k, v) =>
+                v instanceof RegExp ? '' + v : v
+            ) +
+                ' vs ' +
+                JSON.stringify(c[1])
+        );
+    });
+    t.end();
+});
+
+tap.test('compileMatch errors', t => {
+    t.throws(() => {
+        rules.compileMatch({bogus: true}, 'rules[0].match');
+    }, /rules\[0\]\.match\.bogus is a supported match field/);
+    t.throws(() => {
+        rules.compileMatch({status: 'nope'}, 'rules[0].match');
+    }, /rules\[0\]\.match\.status is a status code/);
+    t.throws(() => {
+        rules.compileMatch({remoteAddress: 'nope'}, 'rules[0].match');
+    }, /is an IP address or CIDR/);
+    t.throws(() => {
+        rules.compileMatch({route: '/^get/g'}, 'rules[0].match');
+    }, /rules\[0\]\.match\.route has invalid RegExp flags "g": only i, m/);
+    t.throws(() => {
+        rules.compileMatch({route: /^get/iy}, 'rules[0].match');
+    }, /rules\[0\]\.match\.route has invalid RegExp flags "y"/);
+    t.throws(() => {
+        rules.compileMatch({route: '/^get/su'}, 'rules[0].match');
+    }, /invalid RegExp flags "su"/);
+    t.end();
+});
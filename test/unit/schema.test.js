@@ -0,0 +1,163 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const schema = require('../../lib/schema');
+
+// ---- support
+
+function messages(errors) {
+    return errors.map(e => e.message);
+}
+
+// ---- tests
+
+tap.test('validate types', t => {
+    const s = {
+        type: 'object',
+        properties: {
+            count: {type: 'integer', minimum: 1},
+            name: {type: 'string', minLength: 1},
+            fn: {type: 'function'},
+            re: {type: ['string', 'regexp']},
+            key: {type: 'buffer'}
+        }
+    };
+    t.deepEqual(
+        schema.validate(
+            s,
+            {
+                count: 2,
+                name: 'x',
+                fn: () => {},
+                re: /x/,
+                key: Buffer.from('k')
+            },
+            'opts'
+        ),
+        [],
+        'valid'
+    );
+    t.deepEqual(
+        messages(
+            schema.validate(
+                s,
+                {count: 1.5, name: '', fn: 'f', re: 1, key: 'k'},
+                'opts'
+            )
+        ),
+        [
+            'opts.count (integer) is required: got number',
+            'opts.name is at least 1 characters long',
+            'opts.fn (function) is required: got string',
+            'opts.re (string or regexp) is required: got number',
+            'opts.key (buffer) is required: got string'
+        ],
+        'all errors are reported'
+    );
+    t.deepEqual(
+        messages(schema.validate({type: 'object'}, Buffer.from(''), 'opts')),
+        ['opts (object) is required: got buffer'],
+        'a Buffer is not an object'
+    );
+    t.end();
+});
+
+tap.test('validate values', t => {
+    const s = {
+        type: 'object',
+        properties: {
+            level: {enum: ['info', 'warn']},
+            sample: {type: 'number', minimum: 0, maximum: 1},
+            interval: {type: 'number', exclusiveMinimum: 0},
+            route: {type: 'string', pattern: '^[a-z]+$'},
+            buckets: {type: 'array', items: {type: 'number'}, minItems: 1},
+            caller: {
+                type: 'array',
+                items: {anyOf: [{type: 'function'}, {const: 'basic'}]}
+            }
+        },
+        required: ['level']
+    };
+    t.deepEqual(
+        messages(
+            schema.validate(
+                s,
+                {
+                    sample: 2,
+                    interval: 0,
+                    route: 'GetPing',
+                    buckets: [],
+                    caller: ['basic', 'digest']
+                },
+                'opts'
+            )
+        ),
+        [
+            'opts.level is required',
+            'opts.sample is at most 1: got 2',
+            'opts.interval is greater than 0: got 0',
+            'opts.route matches /^[a-z]+$/: got "GetPing"',
+            'opts.buckets has at least 1 items',
+            'opts.caller[1] does not match any of the allowed forms'
+        ]
+    );
+    t.deepEqual(messages(schema.validate(s, {level: 'loud'}, 'opts')), [
+        'opts.level is one of info, warn: got "loud"'
+    ]);
+    t.end();
+});
+
+tap.test('validate unknown fields', t => {
+    const s = {
+        type: 'object',
+        properties: {
+            resBody: {
+                type: 'object',
+                properties: {includeGet2xx: {type: 'boolean'}},
+                additionalProperties: false
+            },
+            logLevelByStatus: {
+                type: 'object',
+                additionalProperties: {type: 'string'}
+            }
+        },
+        additionalProperties: false
+    };
+    const errors = schema.validate(
+        s,
+        {
+            resBody: {includeGET2xx: true},
+            logLevelByStatus: {'5xx': 50},
+            respBody: {},
+            ignored: undefined
+        },
+        'opts'
+    );
+    t.deepEqual(errors, [
+        {
+            path: 'opts.resBody.includeGET2xx',
+            message:
+                'opts.resBody.includeGET2xx is unknown ' +
+                '(did you mean "includeGet2xx"?)'
+        },
+        {
+            path: 'opts.logLevelByStatus["5xx"]',
+            message:
+                'opts.logLevelByStatus["5xx"] (string) is required: got number'
+        },
+        {path: 'opts.respBody', message: 'opts.respBody is unknown'},
+        {path: 'opts.ignored', message: 'opts.ignored is unknown'}
+    ]);
+    t.end();
+});
@@ -0,0 +1,412 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const bunyan = require('bunyan');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const pino = require('pino');
+const restifyClients = require('restify-clients');
+const stream = require('stream');
+const tap = require('tap');
+
+const core = require('../../lib/core');
+const sinks = require('../../lib/sinks');
+const testcommon = require('./testcommon');
+
+// ---- data
+
+const addr = '127.0.0.1';
+const port = '8126';
+const url = 'http://' + addr + ':' + port;
+
+// ---- support
+
+function mkTmpDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'triton-audit-logger-'));
+}
+
+function rmTmpDir(dir) {
+    fs.readdirSync(dir).forEach(name => {
+        fs.unlinkSync(path.join(dir, name));
+    });
+    fs.rmdirSync(dir);
+}
+
+function readRecs(file) {
+    return fs
+        .readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line)
+        .map(line => JSON.parse(line));
+}
+
+function mkRec(n) {
+    return {
+        name: 'test',
+        hostname: 'myhost',
+        pid: 123,
+        audit: true,
+        level: 30,
+        req_id: 'req-' + n,
+        msg: 'handled: 200',
+        time: new Date(),
+        v: 0
+    };
+}
+
+// ---- tests
+
+tap.test('multiple sinks with level filters', tt => {
+    const tmpDir = mkTmpDir();
+    const file = path.join(tmpDir, 'audit.log');
+    const callbackRecs = [];
+    const rawRecs = [];
+    const rawStream = new stream.Writable({
+        objectMode: true,
+        write(rec, _enc, cb) {
+            rawRecs.push(rec);
+            cb();
+        }
+    });
+
+    const client = restifyClients.createJsonClient({url: url});
+    const server = testcommon.createServer({
+        name: 'sinks',
+        auditLoggerOpts: {
+            logLevelByStatus: {'5xx': 'error'}
+        },
+        sinks: [
+            {type: 'file', path: file},
+            {
+                type: 'callback',
+                level: 'error',
+                callback: rec => callbackRecs.push(rec)
+            },
+            {type: 'stream', stream: rawStream, raw: true}
+        ]
+    });
+
+    tt.test('server listen', t => {
+        server.listen(port, addr, function listening() {
+            t.end();
+        });
+    });
+
+    tt.test('GET /hello', t => {
+        client.get('/hello', (err, _req, _res, _body) => {
+            t.ifErr(err, err);
+            server.getRecs(recs => {
+                t.equal(recs.length, 1, 'one bunyan rec');
+                t.equal(callbackRecs.length, 0, 'no callback rec (level)');
+                t.equal(rawRecs.length, 1, 'one raw stream rec');
+                const rec = rawRecs[0];
+                t.equal(rec.name, 'sinks', 'rec.name from opts.log');
+                t.equal(rec.audit, true, 'rec.audit');
+                t.equal(rec.level, 30, 'rec.level');
+                t.equal(rec.msg, 'handled: 200', 'rec.msg');
+                t.ok(rec.time instanceof Date, 'rec.time');
+                t.equal(rec.route, 'gethello', 'rec.route');
+                t.equal(rec.req.url, '/hello', 'rec.req serialized');
+                t.equal(rec.res.statusCode, 200, 'rec.res serialized');
+                t.equal(rec.req_id, recs[0].req_id, 'same rec as bunyan');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('GET /oops', t => {
+        client.get('/oops', (err, _req, _res, _body) => {
+            t.ok(err, 'err');
+            server.getRecs(_recs => {
+                t.equal(callbackRecs.length, 1, 'one callback rec');
+                t.equal(callbackRecs[0].level, 50, 'rec.level');
+                t.equal(callbackRecs[0].err.name, 'InternalError', 'rec.err');
+                t.end();
+            });
+        });
+    });
+
+    tt.test('teardown', t => {
+        server.close();
+        client.close();
+        server.auditHandler.close(() => {
+            const fileRecs = readRecs(file);
+            t.equal(fileRecs.length, 2, 'two file recs');
+            t.equal(fileRecs[0].req.url, '/hello', 'file rec 0');
+            t.equal(fileRecs[1].res.statusCode, 500, 'file rec 1');
+            t.equal(typeof fileRecs[1].time, 'string', 'rec.time');
+            rmTmpDir(tmpDir);
+            t.end();
+        });
+    });
+
+    tt.end();
+});
+
+tap.test('file sink rotation by size', t => {
+    const tmpDir = mkTmpDir();
+    const file = path.join(tmpDir, 'audit.log');
+    const recLen = JSON.stringify(mkRec(0)).length + 1;
+    const sink = sinks.createSink(
+        {type: 'file', path: file, rotate: {size: recLen * 2, count: 2}},
+        'spec'
+    );
+
+    for (let i = 0; i < 7; i++) {
+        sink.write(mkRec(i));
+    }
+    sink.close(() => {
+        t.deepEqual(
+            fs.readdirSync(tmpDir).sort(),
+            ['audit.log', 'audit.log.0', 'audit.log.1'],
+            'keeps "count" rotated files'
+        );
+        t.deepEqual(
+            readRecs(file).map(rec => rec.req_id),
+            ['req-6']
+        );
+        t.deepEqual(
+            readRecs(file + '.0').map(rec => rec.req_id),
+            ['req-4', 'req-5']
+        );
+        t.deepEqual(
+            readRecs(file + '.1').map(rec => rec.req_id),
+            ['req-2', 'req-3']
+        );
+        rmTmpDir(tmpDir);
+        t.end();
+    });
+});
+
+tap.test('file sink rotation by time', t => {
+    const tmpDir = mkTmpDir();
+    const file = path.join(tmpDir, 'audit.log');
+    const sink = sinks.createSink(
+        {type: 'file', path: file, rotate: {period: 50}},
+        'spec'
+    );
+
+    sink.write(mkRec(0));
+    setTimeout(() => {
+        sink.write(mkRec(1));
+        sink.close(() => {
+            t.deepEqual(
+                readRecs(file).map(rec => rec.req_id),
+                ['req-1']
+            );
+            t.deepEqual(
+                readRecs(file + '.0').map(rec => rec.req_id),
+                ['req-0']
+            );
+            rmTmpDir(tmpDir);
+            t.end();
+        });
+    }, 100);
+});
+
+tap.test('syslog sink', t => {
+    const tmpDir = mkTmpDir();
+    const sockPath = path.join(tmpDir, 'syslog.sock');
+    let data = '';
+
+    const syslogServer = net.createServer(conn => {
+        conn.on('data', chunk => {
+            data += chunk;
+        });
+        conn.on('end', () => {
+            const lines = data.split('\n').filter(line => line);
+            t.equal(lines.length, 2, 'two messages');
+            const match = /^<(\d+)>1 (\S+) myhost myapi 123 audit - (.*)$/.exec(
+                lines[0]
+            );
+            t.ok(match, 'RFC 5424 message: ' + lines[0]);
+            // local3 (19) * 8 + informational (6)
+            t.equal(match[1], '158', 'PRI');
+            t.equal(JSON.parse(match[3]).req_id, 'req-0', 'MSG is the rec');
+            // local3 (19) * 8 + error (3)
+            t.ok(/^<155>1 /.test(lines[1]), 'PRI for an error');
+            syslogServer.close(() => {
+                rmTmpDir(tmpDir);
+                t.end();
+            });
+        });
+    });
+
+    syslogServer.listen(sockPath, () => {
+        const sink = sinks.createSink(
+            {
+                type: 'syslog',
+                path: sockPath,
+                facility: 'local3',
+                appName: 'myapi'
+            },
+            'spec'
+        );
+        const errRec = mkRec(1);
+        errRec.level = 50;
+        sink.write(mkRec(0));
+        sink.write(errRec);
+        sink.close();
+    });
+});
+
+tap.test('syslog sink error', t => {
+    const sink = sinks.createSink(
+        {type: 'syslog', path: '/no/such/syslog.sock'},
+        'spec'
+    );
+    sink.once('error', err => {
+        t.ok(err, 'error event for a missing socket');
+        sink.once('error', dropErr => {
+            t.ok(
+                /^1 audit records dropped/.test(dropErr.message),
+                'dropped records are reported on close'
+            );
+        });
+        sink.close(() => {
+            t.end();
+        });
+    });
+    sink.write(mkRec(0));
+});
+
+tap.test('syslog sink dropped records', t => {
+    const tmpDir = mkTmpDir();
+    const sockPath = path.join(tmpDir, 'syslog.sock');
+    const errors = [];
+    let data = '';
+
+    const sink = sinks.createSink({type: 'syslog', path: sockPath}, 'spec');
+    sink.on('error', err => {
+        errors.push(err.message);
+    });
+    sink.write(mkRec(0));
+    sink.write(mkRec(1));
+
+    setTimeout(() => {
+        t.equal(errors.length, 1, 'connect error');
+        t.equal(sink.numDropped, 2, 'records written while connecting');
+        sink.write(mkRec(2));
+        t.equal(sink.numDropped, 3, 'records written before reconnecting');
+
+        const syslogServer = net.createServer(conn => {
+            conn.on('data', chunk => {
+                data += chunk;
+            });
+            conn.on('end', () => {
+                t.deepEqual(
+                    errors.slice(1),
+                    [
+                        '3 audit records dropped while the syslog socket "' +
+                            sockPath +
+                            '" was unavailable'
+                    ],
+                    'dropped records are reported on reconnecting'
+                );
+                t.ok(/"req_id":"req-3"/.test(data), 'later records');
+                syslogServer.close(() => {
+                    rmTmpDir(tmpDir);
+                    t.end();
+                });
+            });
+        });
+        syslogServer.listen(sockPath, () => {
+            // Wait out the reconnect delay.
+            setTimeout(() => {
+                sink.write(mkRec(3));
+                sink.close();
+            }, 1100);
+        });
+    }, 100);
+});
+
+tap.test('pino sink', t => {
+    const lines = [];
+    const dest = new stream.Writable({
+        write(chunk, _enc, cb) {
+            lines.push(chunk.toString());
+            cb();
+        }
+    });
+    const logger = pino({name: 'myapi', level: 'warn'}, dest);
+    const sink = sinks.createSink({type: 'pino', logger: logger}, 'spec');
+
+    t.equal(sink.enabled('info'), false, 'info is not enabled');
+    t.equal(sink.enabled('warn'), true, 'warn is enabled');
+
+    const rec = mkRec(0);
+    rec.level = 40;
+    sink.write(rec, 'warn');
+    setImmediate(() => {
+        t.equal(lines.length, 1, 'one pino line');
+        const pinoRec = JSON.parse(lines[0]);
+        t.equal(pinoRec.name, 'myapi', 'name from pino');
+        t.equal(pinoRec.level, 40, 'level');
+        t.equal(pinoRec.audit, true, 'audit');
+        t.equal(pinoRec.req_id, 'req-0', 'req_id');
+        t.equal(pinoRec.msg, 'handled: 200', 'msg');
+        t.end();
+    });
+});
+
+tap.test('sink errors are logged on opts.log', t => {
+    const recs = [];
+    const log = bunyan.createLogger({
+        name: 'sink-errors',
+        streams: [{type: 'raw', stream: {write: rec => recs.push(rec)}}]
+    });
+    const auditor = core.createAuditor({
+        log: log,
+        sinks: [{type: 'file', path: '/no/such/dir/audit.log'}]
+    });
+
+    setTimeout(() => {
+        t.equal(recs.length, 1, 'one log rec');
+        t.equal(recs[0].level, 40, 'WARN-level');
+        t.equal(recs[0].msg, 'audit log sink error', 'rec.msg');
+        t.equal(recs[0].sink, 'opts.sinks[0]', 'rec.sink');
+        t.equal(recs[0].err.code, 'ENOENT', 'rec.err');
+        auditor.close(() => {
+            t.end();
+        });
+    }, 100);
+});
+
+tap.test('invalid sinks', t => {
+    t.throws(
+        () => sinks.createSink({type: 'carrier-pigeon'}, 'opts.sinks[0]'),
+        /opts.sinks\[0\].type is a sink type/
+    );
+    t.throws(
+        () => core.createAuditor({sinks: []}),
+        /opts.log or opts.sinks is required/
+    );
+    t.throws(
+        () => sinks.createSink({type: 'file'}, 'opts.sinks[0]'),
+        /opts.sinks\[0\].path/
+    );
+    t.throws(
+        () =>
+            sinks.createSink(
+                {type: 'syslog', path: '/run/log', facility: 'local9'},
+                'opts.sinks[0]'
+            ),
+        /facility is a syslog facility name/
+    );
+    t.throws(
+        () => sinks.createSink({type: 'syslog'}, 'opts.sinks[0]'),
+        /opts.sinks\[0\].path \(string\) is required/
+    );
+    t.end();
+});
@@ -12,11 +12,37 @@
 
 const assert = require('assert-plus');
 const bunyan = require('bunyan');
+const express = require('express');
+const http = require('http');
 const restify = require('restify');
 const restifyErrors = require('restify-errors');
+const stream = require('stream');
 
 const auditLogger = require('../..');
 
+/*
+ * The restify module to use for test servers, by restify major version.
+ * Older restify versions are installed as aliased dev dependencies.
+ */
+function restifyFromVersion(version) {
+    switch (version) {
+        case 4:
+            return require('restify4');
+        case 6: {
+            // restify 6 and 7 both add their error types to the shared
+            // restify-errors module, so give restify 6 its own instance.
+            const errorsPath = require.resolve('restify-errors');
+            const errorsMod = require.cache[errorsPath];
+            delete require.cache[errorsPath];
+            const restify6 = require('restify6');
+            require.cache[errorsPath] = errorsMod;
+            return restify6;
+        }
+        default:
+            return restify;
+    }
+}
+
 function deepCopy(obj) {
     return JSON.parse(JSON.stringify(obj));
 }
@@ -25,9 +51,59 @@ function CapturingStream(recs) {
     this.recs = recs;
 }
 CapturingStream.prototype.write = function write(rec) {
+    // Every audit record a test server logs must match the record schema.
+    // Thrown outside of the logger, which would report it as a sink error.
+    const errors = rec.audit ? auditLogger.validateAuditRecord(rec) : [];
+    if (errors.length > 0) {
+        setImmediate(() => {
+            throw new Error(
+                'audit record does not match the schema: ' +
+                    errors.map(e => e.message).join(', ')
+            );
+        });
+    }
     this.recs.push(rec);
 };
 
+function createCapturingLogger(name) {
+    let recs = [];
+    let log = bunyan.createLogger({
+        name: name,
+        serializers: restify.bunyan.serializers,
+        streams: [
+            {
+                stream: new CapturingStream(recs),
+                type: 'raw'
+            }
+        ]
+    });
+    return {log: log, recs: recs};
+}
+
+function addRecsAccessors(server, recs) {
+    server.getRecs = function getRecs(cb) {
+        // Async to allow 'after' event to be handled for audit logging.
+        setImmediate(() => {
+            cb(recs);
+        });
+    };
+    server.clearRecs = function clearRecs() {
+        recs.length = 0;
+    };
+}
+
+/*
+ * A readable stream of 10 "chunk <n>" lines, for the `GET /pipe` endpoints.
+ */
+function createChunksStream() {
+    let n = 0;
+    return new stream.Readable({
+        read() {
+            this.push(n < 10 ? 'chunk ' + n++ + '\n' : null);
+        }
+    });
+}
+
 /*
  * Creates a test restify server with the given audit logger options.
  *
@@ -44,76 +120,273 @@ CapturingStream.prototype.write = function write(rec) {
  * - `GET /hello`, JSON object response, 200 status.
  * - `PUT /join`, expects JSON body with `login` field, 200 or 409 status.
  * - `GET /oops`, 500 status, JSON error body. Should log the error.
+ * - `GET /cookie`, 200 status, sets a "Set-Cookie" response header.
+ * - `GET /stream`, 200 status, text body written with `res.write()`.
+ * - `GET /pipe`, 200 status, 80 byte text body piped from a stream.
+ * - `GET /slow?ms=<ms>`, 200 status, JSON object response after a
+ *   `slowStart` handler waits `ms` ms.
+ * - `PUT /upload`, 200 status, echoes a binary request body and its
+ *   Content-Type, or responds with a JSON body parsed by the body parser
+ *   (e.g. multipart form fields).
+ *
+ * `opts.sinks` are passed to the audit logger as is (unlike
+ * `opts.auditLoggerOpts`, which is copied via JSON). The audit log handler
+ * is `server.auditHandler`, e.g. to `server.auditHandler.close(cb)`.
+ *
+ * Set `opts.restifyVersion` (4, 6 or 7) to build the server with that
+ * restify major version. By default the current restify is used. The audit
+ * logger detects the version either way.
  */
 function createServer(opts) {
     assert.string(opts.name, 'opts.name');
     assert.optionalObject(opts.auditLoggerOpts, 'opts.auditLoggerOpts');
+    assert.optionalNumber(opts.restifyVersion, 'opts.restifyVersion');
+    assert.optionalArrayOfObject(opts.sinks, 'opts.sinks');
 
     let auditLoggerOpts = opts.auditLoggerOpts
         ? deepCopy(opts.auditLoggerOpts)
         : {};
-    let log;
-    let recs = [];
+    let capture = createCapturingLogger(opts.name);
+    let log = capture.log;
+    let restifyMod = restifyFromVersion(opts.restifyVersion);
+    let bodyParser =
+        opts.restifyVersion === 4
+            ? restifyMod.bodyParser
+            : restifyMod.plugins.bodyParser;
     let server;
 
-    log = bunyan.createLogger({
-        name: opts.name,
-        serializers: restify.bunyan.serializers,
-        streams: [
-            {
-                stream: new CapturingStream(recs),
-                type: 'raw'
-            }
-        ]
-    });
-
-    server = restify.createServer({
+    server = restifyMod.createServer({
         name: opts.name,
         log: log
     });
 
-    server.getRecs = function getRecs(cb) {
-        // Async to allow 'after' event to be handled for audit logging.
-        setImmediate(() => {
-            cb(recs);
-        });
-    };
-    server.clearRecs = function clearRecs() {
-        recs.length = 0;
-    };
+    addRecsAccessors(server, capture.recs);
 
     auditLoggerOpts.log = log;
-    server.on('after', auditLogger.createAuditLogHandler(auditLoggerOpts));
+    if (opts.sinks) {
+        auditLoggerOpts.sinks = opts.sinks;
+    }
+    const auditHandler = auditLogger.createAuditLogHandler(auditLoggerOpts);
+    server.pre(auditHandler.pre);
+    server.on('after', auditHandler);
+    server.auditHandler = auditHandler;
 
     // Endpoints.
     server.get('/hello', function hello(req, res, next) {
         res.send({hello: 'world'});
         next();
     });
-    server.put(
-        '/join',
-        restify.plugins.bodyParser({mapParams: false}),
-        function join(req, res, next) {
-            if (!req.body.login) {
-                next(
-                    new restifyErrors.InvalidArgumentError(
-                        'missing login field'
-                    )
-                );
-            } else {
-                res.send({success: true, login: req.body.login});
-                next();
-            }
+    server.put('/join', bodyParser({mapParams: false}), function join(
+        req,
+        res,
+        next
+    ) {
+        if (!req.body.login) {
+            next(new restifyErrors.InvalidArgumentError('missing login field'));
+        } else {
+            res.send({success: true, login: req.body.login});
+            next();
         }
-    );
+    });
+    server.put('/upload', bodyParser({mapParams: false}), function upload(
+        req,
+        res,
+        next
+    ) {
+        if (Buffer.isBuffer(req.body)) {
+            res.writeHead(200, {'Content-Type': req.headers['content-type']});
+            res.end(req.body);
+        } else {
+            res.send(req.body);
+        }
+        next();
+    });
     server.get({path: '/oops', name: 'oops'}, function oops(req, res, next) {
         let err = new Error('this was the root cause');
         next(new restifyErrors.InternalError(err, 'something blew up'));
     });
 
+    server.get('/cookie', function cookie(req, res, next) {
+        res.header('Set-Cookie', ['session=s3cr3t; HttpOnly', 'theme=dark']);
+        res.send({cookie: true});
+        next();
+    });
+    server.get('/stream', function stream(req, res, next) {
+        res.writeHead(200, {'Content-Type': 'text/plain'});
+        res.write('line 1\n');
+        res.write('line 2\n');
+        res.end('line 3\n');
+        next();
+    });
+    server.get('/pipe', function pipe(req, res, next) {
+        res.writeHead(200, {'Content-Type': 'text/plain'});
+        const chunks = createChunksStream();
+        chunks.on('end', () => next());
+        chunks.pipe(res);
+    });
+    server.get(
+        '/slow',
+        function slowStart(req, res, next) {
+            const ms = Number(req.url.split('?ms=')[1]) || 0;
+            setTimeout(next, ms);
+        },
+        function slowEnd(req, res, next) {
+            res.send({slow: true});
+            next();
+        }
+    );
+
+    return server;
+}
+
+/*
+ * Creates a test Express server, with the same endpoints and `getRecs`,
+ * `clearRecs` methods as `createServer`.
+ */
+function createExpressServer(opts) {
+    assert.string(opts.name, 'opts.name');
+    assert.optionalObject(opts.auditLoggerOpts, 'opts.auditLoggerOpts');
+
+    let auditLoggerOpts = opts.auditLoggerOpts
+        ? deepCopy(opts.auditLoggerOpts)
+        : {};
+    let capture = createCapturingLogger(opts.name);
+    let app = express();
+
+    auditLoggerOpts.log = capture.log;
+    const auditMiddleware = auditLogger.createExpressAuditLogger(
+        auditLoggerOpts
+    );
+    app.use(auditMiddleware);
+
+    app.get('/hello', function hello(req, res) {
+        res.json({hello: 'world'});
+    });
+    app.put('/join', express.json(), function join(req, res, next) {
+        if (!req.body.login) {
+            let err = new Error('missing login field');
+            err.statusCode = 409;
+            next(err);
+        } else {
+            res.json({success: true, login: req.body.login});
+        }
+    });
+    app.get('/oops', function oops(req, res, next) {
+        next(new Error('something blew up'));
+    });
+    app.get('/cookie', function cookie(req, res) {
+        res.set('Set-Cookie', ['session=s3cr3t; HttpOnly', 'theme=dark']);
+        res.json({cookie: true});
+    });
+    app.get('/stream', function stream(req, res) {
+        res.type('text/plain');
+        res.write('line 1\n');
+        res.write('line 2\n');
+        res.end('line 3\n');
+    });
+    app.get('/pipe', function pipe(req, res) {
+        res.type('text/plain');
+        createChunksStream().pipe(res);
+    });
+    app.get(
+        '/slow',
+        function slowStart(req, res, next) {
+            const ms = Number(req.url.split('?ms=')[1]) || 0;
+            setTimeout(next, ms);
+        },
+        function slowEnd(req, res) {
+            res.json({slow: true});
+        }
+    );
+
+    app.use(auditMiddleware.errorHandler);
+    app.use(function onError(err, req, res, _next) {
+        res.status(err.statusCode || 500).json({message: err.message});
+    });
+
+    let server = http.createServer(app);
+    addRecsAccessors(server, capture.recs);
+    return server;
+}
+
+/*
+ * Creates a test plain node `http` server, with the same endpoints and
+ * `getRecs`, `clearRecs` methods as `createServer`.
+ */
+function createHttpServer(opts) {
+    assert.string(opts.name, 'opts.name');
+    assert.optionalObject(opts.auditLoggerOpts, 'opts.auditLoggerOpts');
+
+    let auditLoggerOpts = opts.auditLoggerOpts
+        ? deepCopy(opts.auditLoggerOpts)
+        : {};
+    let capture = createCapturingLogger(opts.name);
+
+    function sendJson(res, statusCode, obj) {
+        res.writeHead(statusCode, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify(obj));
+    }
+
+    function onRequest(req, res) {
+        let route = req.method + ' ' + req.url.split('?')[0];
+        switch (route) {
+            case 'GET /hello':
+                sendJson(res, 200, {hello: 'world'});
+                break;
+            case 'PUT /join':
+                let chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    req.rawBody = Buffer.concat(chunks).toString();
+                    let body = JSON.parse(req.rawBody);
+                    if (!body.login) {
+                        sendJson(res, 409, {message: 'missing login field'});
+                    } else {
+                        sendJson(res, 200, {success: true, login: body.login});
+                    }
+                });
+                break;
+            case 'GET /oops':
+                sendJson(res, 500, {message: 'something blew up'});
+                break;
+            case 'GET /cookie':
+                res.setHeader('Set-Cookie', [
+                    'session=s3cr3t; HttpOnly',
+                    'theme=dark'
+                ]);
+                sendJson(res, 200, {cookie: true});
+                break;
+            case 'GET /stream':
+                res.writeHead(200, {'Content-Type': 'text/plain'});
+                res.write('line 1\n');
+                res.write('line 2\n');
+                res.end('line 3\n');
+                break;
+            case 'GET /pipe':
+                res.writeHead(200, {'Content-Type': 'text/plain'});
+                createChunksStream().pipe(res);
+                break;
+            case 'GET /slow':
+                setTimeout(() => {
+                    sendJson(res, 200, {slow: true});
+                }, Number(req.url.split('?ms=')[1]) || 0);
+                break;
+            default:
+                sendJson(res, 404, {message: req.url + ' does not exist'});
+                break;
+        }
+    }
+
+    auditLoggerOpts.log = capture.log;
+    let server = http.createServer(
+        auditLogger.wrapRequestListener(onRequest, auditLoggerOpts)
+    );
+    addRecsAccessors(server, capture.recs);
     return server;
 }
 
 module.exports = {
+    createExpressServer: createExpressServer,
+    createHttpServer: createHttpServer,
     createServer: createServer
 };
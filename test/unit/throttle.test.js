@@ -0,0 +1,131 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const core = require('../../lib/core');
+const throttle = require('../../lib/throttle');
+
+// ---- support
+
+/*
+ * A minimal exchange for `auditor.audit()`.
+ */
+function mkExchange(url) {
+    return {
+        req: {
+            connection: {remoteAddress: '127.0.0.1', remotePort: 1234},
+            headers: {},
+            httpVersion: '1.1',
+            method: 'GET',
+            url: url
+        },
+        res: {
+            statusCode: 200,
+            getHeader: () => undefined,
+            getHeaderNames: () => []
+        },
+        route: null,
+        reqId: 'abc',
+        latency: 1
+    };
+}
+
+// ---- tests
+
+tap.test('sample', t => {
+    const reports = [];
+    const thr = new throttle.AuditThrottle({
+        report: (routeName, counts) => {
+            reports.push([routeName, counts]);
+        }
+    });
+
+    t.ok(thr.shouldLog('getping', {sample: 1}, 200), 'sample=1 logs');
+    t.notOk(thr.shouldLog('getping', {sample: 0}, 200), 'sample=0 skips');
+    t.notOk(thr.shouldLog('getping', {sample: 0}, 404), 'sample=0 skips 4xx');
+    t.ok(thr.shouldLog('getping', {sample: 0}, 500), 'always log 5xx');
+    t.ok(thr.shouldLog('getping', {sample: 0}, 404, new Error('x')), 'err');
+    t.ok(thr.shouldLog(undefined, {}, 200), 'no throttling');
+
+    thr.flush();
+    t.deepEqual(reports, [['getping', {sample: 2, rateLimit: 0}]]);
+    thr.flush();
+    t.equal(reports.length, 1, 'nothing more to report');
+    t.equal(thr.reportTimer, null, 'report timer is stopped');
+    t.end();
+});
+
+tap.test('rateLimit', t => {
+    const reports = [];
+    const thr = new throttle.AuditThrottle({
+        report: (routeName, counts) => {
+            reports.push([routeName, counts]);
+        }
+    });
+    const routeOpts = {rateLimit: {max: 2, interval: 60000}};
+
+    t.ok(thr.shouldLog('getconfigs', routeOpts, 200), '1st');
+    t.ok(thr.shouldLog('getconfigs', routeOpts, 200), '2nd');
+    t.notOk(thr.shouldLog('getconfigs', routeOpts, 200), '3rd');
+    t.ok(thr.shouldLog('getconfigs', routeOpts, 503), 'always log 5xx');
+    t.ok(thr.shouldLog('getping', routeOpts, 200), 'limited per route');
+    t.notOk(thr.shouldLog('getconfigs', routeOpts, 200), '4th');
+
+    thr.flush();
+    t.deepEqual(reports, [['getconfigs', {sample: 0, rateLimit: 2}]]);
+    t.end();
+});
+
+tap.test('rateLimit per rule', t => {
+    const reports = [];
+    const thr = new throttle.AuditThrottle({
+        report: (routeName, counts, routeOpts) => {
+            reports.push([routeName, counts, routeOpts.ruleDesc]);
+        }
+    });
+    const aOpts = {ruleDesc: 'rules[0]', rateLimit: {max: 1}};
+    const bOpts = {ruleDesc: 'rules[1]', rateLimit: {max: 100}};
+
+    t.ok(thr.shouldLog(undefined, bOpts, 200), 'b 1st');
+    t.ok(thr.shouldLog(undefined, bOpts, 200), 'b 2nd');
+    t.ok(thr.shouldLog(undefined, aOpts, 200), 'a 1st');
+    t.notOk(thr.shouldLog(undefined, aOpts, 200), 'a 2nd');
+
+    thr.flush();
+    t.deepEqual(reports, [[undefined, {sample: 0, rateLimit: 1}, 'rules[0]']]);
+    t.end();
+});
+
+tap.test('rateLimit with path rules', t => {
+    const recs = [];
+    const auditor = core.createAuditor({
+        sinks: [{type: 'callback', callback: rec => recs.push(rec)}],
+        rules: [
+            {match: {path: '/a'}, rateLimit: {max: 1, interval: 60000}},
+            {match: {path: '/b'}, rateLimit: {max: 100, interval: 60000}}
+        ]
+    });
+    ['/b', '/b', '/a', '/a', '/b'].forEach(url => {
+        auditor.audit(mkExchange(url));
+    });
+    t.deepEqual(
+        recs.map(rec => rec.req.url),
+        ['/b', '/b', '/a', '/b'],
+        '"/b" requests do not use up the "/a" rate limit'
+    );
+    auditor.close(() => {
+        t.equal(recs.length, 5, 'suppressed count rec');
+        t.equal(recs[4].suppressedByRateLimit, 1);
+        t.end();
+    });
+});
@@ -0,0 +1,114 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const trace = require('../../lib/trace');
+
+// ---- data
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_ID = '00f067aa0ba902b7';
+const SPAN_ID = 'b7ad6b7169203331';
+
+// ---- support
+
+function fakeRes(headers) {
+    return {
+        getHeader: name => headers[name]
+    };
+}
+
+// ---- tests
+
+tap.test('parseTraceparent', t => {
+    t.deepEqual(trace.parseTraceparent(`00-${TRACE_ID}-${PARENT_ID}-01`), {
+        traceId: TRACE_ID,
+        parentId: PARENT_ID,
+        flags: '01'
+    });
+    t.ok(
+        trace.parseTraceparent(`01-${TRACE_ID}-${PARENT_ID}-01-extra`),
+        'a future version may have more fields'
+    );
+    [
+        `00-${TRACE_ID}-${PARENT_ID}-01-extra`,
+        `ff-${TRACE_ID}-${PARENT_ID}-01`,
+        `00-${'0'.repeat(32)}-${PARENT_ID}-01`,
+        `00-${TRACE_ID}-${'0'.repeat(16)}-01`,
+        `00-${TRACE_ID.toUpperCase()}-${PARENT_ID}-01`,
+        `00-${TRACE_ID}-${PARENT_ID}`,
+        undefined
+    ].forEach(value => {
+        t.equal(trace.parseTraceparent(value), undefined, String(value));
+    });
+    t.end();
+});
+
+tap.test('compileTrace', t => {
+    t.equal(trace.compileTrace(undefined, 'opts.trace'), undefined);
+
+    const traceFieldsFromReq = trace.compileTrace(true, 'opts.trace');
+    const req = {
+        headers: {
+            traceparent: `00-${TRACE_ID}-${PARENT_ID}-01`,
+            tracestate: 'triton=abc,other=def',
+            'request-id': 'cafe0000-0000-4000-8000-000000000000'
+        }
+    };
+    t.deepEqual(
+        traceFieldsFromReq(
+            req,
+            fakeRes({traceresponse: `00-${TRACE_ID}-${SPAN_ID}-01`})
+        ),
+        {
+            trace_id: TRACE_ID,
+            parent_span_id: PARENT_ID,
+            trace_state: 'triton=abc,other=def',
+            span_id: SPAN_ID,
+            upstream_req_id: 'cafe0000-0000-4000-8000-000000000000'
+        },
+        'request and response headers'
+    );
+    t.deepEqual(
+        traceFieldsFromReq(
+            req,
+            fakeRes({traceparent: `00-${TRACE_ID}-${PARENT_ID}-01`})
+        ).span_id,
+        undefined,
+        'a response traceparent echoing the request is not a span'
+    );
+    t.deepEqual(
+        traceFieldsFromReq(
+            {headers: {tracestate: 'triton=abc'}},
+            fakeRes({traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`})
+        ),
+        {trace_id: TRACE_ID, span_id: SPAN_ID},
+        'no valid request traceparent'
+    );
+
+    const custom = trace.compileTrace(
+        {reqIdHeaders: ['X-Upstream-Id']},
+        'opts.trace'
+    );
+    t.deepEqual(
+        custom({headers: {'x-upstream-id': 'abc', 'x-request-id': 'def'}}),
+        {upstream_req_id: 'abc'},
+        'configured headers'
+    );
+
+    t.throws(
+        () => trace.compileTrace({reqIdHeaders: 'x-id'}, 'opts.trace'),
+        /opts.trace.reqIdHeaders \(\[string\]\) is required/
+    );
+    t.end();
+});
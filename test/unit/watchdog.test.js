@@ -0,0 +1,69 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+'use strict';
+
+const tap = require('tap');
+
+const core = require('../../lib/core');
+const watchdog = require('../../lib/watchdog');
+
+// ---- tests
+
+tap.test('InFlightWatchdog', t => {
+    const reports = [];
+    const wd = new watchdog.InFlightWatchdog({
+        threshold: 50,
+        report: (watched, elapsed) => {
+            reports.push([watched.name, elapsed]);
+        }
+    });
+    t.equal(wd.interval, 25, 'default interval is half the threshold');
+
+    const hung = {name: 'hung'};
+    const done = {name: 'done'};
+    wd.watch(hung);
+    wd.watch(done);
+    wd.check();
+    t.equal(reports.length, 0, 'nothing past the threshold yet');
+    wd.unwatch(done);
+
+    setTimeout(() => {
+        wd.check();
+        t.equal(reports.length, 1, 'one report');
+        t.equal(reports[0][0], 'hung', 'the hung request is reported');
+        t.ok(reports[0][1] >= 50, 'elapsed');
+        t.equal(wd.checkTimer, null, 'check timer is stopped');
+        wd.check();
+        t.equal(reports.length, 1, 'reported once');
+        wd.close();
+        t.end();
+    }, 60);
+});
+
+tap.test('watchdog options', t => {
+    t.throws(
+        () =>
+            core.createAuditor({
+                sinks: [{type: 'callback', callback: () => {}}],
+                watchdog: {interval: 1000}
+            }),
+        /opts.watchdog.threshold \(number\) is required/
+    );
+    t.throws(
+        () =>
+            core.createAuditor({
+                sinks: [{type: 'callback', callback: () => {}}],
+                watchdog: {threshold: 1000, logLevel: 'loud'}
+            }),
+        /unknown level name: "loud"/
+    );
+    t.end();
+});
@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright 2026 Joyent, Inc.
+ */
+
+/*
+ * Write the audit record JSON Schema (lib/record-schema.js) to
+ * "schema/audit-record-v<N>.json".
+ */
+
+var fs = require('fs');
+var path = require('path');
+
+var recordSchema = require('../lib/record-schema');
+
+var schemaFile = path.resolve(
+    __dirname,
+    '..',
+    'schema',
+    'audit-record-v' + recordSchema.AUDIT_RECORD_SCHEMA_VERSION + '.json'
+);
+fs.writeFileSync(
+    schemaFile,
+    JSON.stringify(recordSchema.AUDIT_RECORD_SCHEMA, null, 4) + '\n'
+);
+console.log('wrote %s', path.relative(process.cwd(), schemaFile));